@@ -1,17 +1,43 @@
+const fs = require('fs');
+const path = require('path');
 const esbuild = require('esbuild');
 
 const isWatch = process.argv.includes('--watch');
 
+// Assets carregados pelos webviews via asWebviewUri (sem CDN)
+const MEDIA_ASSETS = [
+    ['node_modules/mermaid/dist/mermaid.min.js', 'dist/media/mermaid.min.js'],
+    ['node_modules/@fontsource/inter/files/inter-latin-400-normal.woff2', 'dist/media/fonts/inter-latin-400-normal.woff2'],
+    ['node_modules/@fontsource/inter/files/inter-latin-500-normal.woff2', 'dist/media/fonts/inter-latin-500-normal.woff2'],
+    ['node_modules/@fontsource/inter/files/inter-latin-600-normal.woff2', 'dist/media/fonts/inter-latin-600-normal.woff2'],
+    ['node_modules/@fontsource/inter/files/inter-latin-700-normal.woff2', 'dist/media/fonts/inter-latin-700-normal.woff2']
+];
+
+function copyMediaAssets() {
+    for (const [from, to] of MEDIA_ASSETS) {
+        fs.mkdirSync(path.dirname(to), { recursive: true });
+        fs.copyFileSync(from, to);
+    }
+}
+
 const buildOptions = {
     entryPoints: ['extension.js'],
     bundle: true,
     platform: 'node',
     target: 'node14',
     outfile: 'dist/extension.js',
-    external: ['vscode'],
+    // canvas: dependencia opcional do pdfjs-dist (renderizacao), nao usada na extracao de texto
+    external: ['vscode', 'canvas'],
     sourcemap: true
 };
 
+try {
+    copyMediaAssets();
+} catch (error) {
+    console.error(`Failed to copy webview assets: ${error.message}`);
+    process.exit(1);
+}
+
 if (isWatch) {
     esbuild.context(buildOptions).then((ctx) => ctx.watch());
 } else {
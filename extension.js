@@ -13,22 +13,29 @@
  *     - vscode: API do VSCode
  *     - explorers: Reference, Code, Relation explorers
  *     - viewers: Graph, Abstract viewers
+ *     - providers: Diagnosticos locais de template
  *     - core: TemplateManager
  *
  * Notas de implementação:
  *     - Activation event: onStartupFinished (lazy loading)
  *     - File watchers para .syn, .synt, .synp
  *     - Template manager compartilhado entre explorers
+ *     - Multi-root: uma sessao LSP (client + loadProject) por pasta com
+ *       projeto .synp; explorers agrupam por projeto quando ha mais de um
  */
 
 const path = require('path');
 const vscode = require('vscode');
-const SynesisLspClient = require('./src/lsp/synesisClient');
+const LspSessionManager = require('./src/lsp/lspSessionManager');
 const DataService = require('./src/services/dataService');
 
 // Core
 const TemplateManager = require('./src/core/templateManager');
 const WorkspaceScanner = require('./src/core/workspaceScanner');
+const projectLoader = require('./src/core/projectLoader');
+const codeRefactor = require('./src/core/codeRefactor');
+const { buildBlockSnippet, findPrecedingBibref } = require('./src/core/blockSnippets');
+const SymbolIndex = require('./src/core/symbolIndex');
 
 // Explorers
 const ReferenceExplorer = require('./src/explorers/reference/referenceExplorer');
@@ -36,20 +43,36 @@ const CodeExplorer = require('./src/explorers/code/codeExplorer');
 const RelationExplorer = require('./src/explorers/relation/relationExplorer');
 const OntologyExplorer = require('./src/explorers/ontology/ontologyExplorer');
 const OntologyAnnotationExplorer = require('./src/explorers/ontology/ontologyAnnotationExplorer');
+const { pickFilter } = require('./src/explorers/filterPicker');
 
 // Viewers
 const GraphViewer = require('./src/viewers/graphViewer');
+const CooccurrenceViewer = require('./src/viewers/cooccurrenceViewer');
 const AbstractViewer = require('./src/viewers/abstractViewer');
-
-let lspClient;
+const QuotationReportViewer = require('./src/viewers/quotationReportViewer');
+const ProjectOverviewViewer = require('./src/viewers/projectOverviewViewer');
+
+// Providers
+const TemplateDiagnostics = require('./src/providers/templateDiagnostics');
+const OntologyCodeActionProvider = require('./src/providers/ontologyCodeActions');
+const CodeHoverProvider = require('./src/providers/codeHover');
+const BibrefHoverProvider = require('./src/providers/bibrefHover');
+const SynesisCompletionProvider = require('./src/providers/synesisCompletion');
+const SynesisDocumentSymbolProvider = require('./src/providers/documentSymbols');
+const SynesisWorkspaceSymbolProvider = require('./src/providers/workspaceSymbols');
+
+let lspSessions;
 let lspStatusItem;
-let lspLoadTimer;
+let dataSourceItem;
+let projectStatusItem;
 let dataService;
-let lspStartPromise;
+let templateDiagnostics;
 let lspCommandLabel;
 let lspCommandPath;
 let lspCommandArgs;
-let pendingLspWorkspaceRoot;
+let lspFallbackState = 'loading';
+let lspStartErrorShown = false;
+let lspMethodsValidated = false;
 let referenceTreeView;
 let codeTreeView;
 let relationTreeView;
@@ -103,49 +126,62 @@ function activate(context) {
     vscode.commands.executeCommand('setContext', 'synesis.ontology.filterActive', false);
     vscode.commands.executeCommand('setContext', 'synesis.ontology.annotation.filterActive', false);
     vscode.commands.executeCommand('setContext', 'synesis.relation.filterActive', false);
+    vscode.commands.executeCommand('setContext', 'synesis.multiProject', false);
 
     // LSP setup
     const lspConfig = vscode.workspace.getConfiguration('synesisExplorer');
     const lspEnabled = lspConfig.get('lsp.enabled', true);
     const pythonPath = lspConfig.get('lsp.pythonPath', 'synesis-lsp');
     const lspArgs = lspConfig.get('lsp.args', []);
+    const localFallbackEnabled = lspConfig.get('localFallback.enabled', true);
 
     lspStatusItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
     lspStatusItem.tooltip = 'Synesis LSP';
     lspStatusItem.show();
     context.subscriptions.push(lspStatusItem);
 
+    dataSourceItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 99);
+    context.subscriptions.push(dataSourceItem);
+
+    projectStatusItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 101);
+    projectStatusItem.command = 'synesis.project.select';
+    context.subscriptions.push(projectStatusItem);
+
     if (lspEnabled) {
-        lspClient = new SynesisLspClient();
-        lspStartPromise = startLspClient(lspClient, pythonPath, lspArgs);
+        lspSessions = new LspSessionManager();
+        setLspStatus('loading');
     } else {
         setLspStatus('disabled');
     }
 
     // Shared template manager
     const templateManager = new TemplateManager();
-    const workspaceScanner = new WorkspaceScanner();
+    const workspaceScanner = new WorkspaceScanner(context.workspaceState);
 
-    // DataService (LSP-only adapter)
+    // DataService (LSP first, local parsers as fallback)
     dataService = new DataService({
-        lspClient: lspClient || null,
-        onLspIncompatible: () => setLspStatus('incompatible')
+        lspSessions: lspSessions || null,
+        workspaceScanner,
+        templateManager,
+        localFallback: localFallbackEnabled,
+        onLspIncompatible: () => setLspStatus('incompatible'),
+        onProviderChange: (provider) => setDataSource(provider)
     });
 
     // Initialize Reference Explorer
-    const referenceExplorer = new ReferenceExplorer(dataService);
+    const referenceExplorer = new ReferenceExplorer(dataService, context.workspaceState);
     referenceTreeView = vscode.window.createTreeView('synesisReferenceExplorer', {
         treeDataProvider: referenceExplorer,
         showCollapseAll: true
     });
 
-    const codeExplorer = new CodeExplorer(dataService);
+    const codeExplorer = new CodeExplorer(dataService, context.workspaceState);
     codeTreeView = vscode.window.createTreeView('synesisCodeExplorer', {
         treeDataProvider: codeExplorer,
         showCollapseAll: true
     });
 
-    const relationExplorer = new RelationExplorer(dataService);
+    const relationExplorer = new RelationExplorer(dataService, context.workspaceState);
     relationTreeView = vscode.window.createTreeView('synesisRelationExplorer', {
         treeDataProvider: relationExplorer,
         showCollapseAll: true
@@ -157,14 +193,78 @@ function activate(context) {
         showCollapseAll: true
     });
 
-    const ontologyAnnotationExplorer = new OntologyAnnotationExplorer(dataService);
+    const ontologyAnnotationExplorer = new OntologyAnnotationExplorer(dataService, context.workspaceState);
     const ontologyAnnotationTreeView = vscode.window.createTreeView('synesisOntologyAnnotationExplorer', {
         treeDataProvider: ontologyAnnotationExplorer,
         showCollapseAll: true
     });
 
     const abstractViewer = new AbstractViewer(workspaceScanner, templateManager);
-    const graphViewer = new GraphViewer(dataService);
+    const graphViewer = new GraphViewer(dataService, context.extensionUri, workspaceScanner);
+    const cooccurrenceViewer = new CooccurrenceViewer(workspaceScanner, templateManager, context.extensionUri);
+    const quotationReportViewer = new QuotationReportViewer(workspaceScanner, templateManager, context.extensionUri);
+    context.subscriptions.push(quotationReportViewer);
+    const projectOverviewViewer = new ProjectOverviewViewer(dataService, workspaceScanner, context.extensionUri);
+    context.subscriptions.push(projectOverviewViewer);
+
+    // Template diagnostics (client-side; 'auto' defers to the LSP when it is ready)
+    templateDiagnostics = new TemplateDiagnostics(workspaceScanner, templateManager, {
+        isEnabled: (document) => {
+            const mode = vscode.workspace.getConfiguration('synesisExplorer').get('templateDiagnostics.mode', 'auto');
+            if (mode === 'off') {
+                return false;
+            }
+            return mode === 'always' || dataService.getLspStatus(document ? document.uri : undefined) !== 'ready';
+        }
+    });
+    context.subscriptions.push(templateDiagnostics);
+
+    // Quick fix: ONTOLOGY block for codes without a .syno definition
+    const ontologyCodeActions = new OntologyCodeActionProvider(workspaceScanner, templateManager);
+    context.subscriptions.push(
+        vscode.languages.registerCodeActionsProvider(
+            { language: 'synesis', pattern: '**/*.syn' },
+            ontologyCodeActions,
+            { providedCodeActionKinds: OntologyCodeActionProvider.providedCodeActionKinds }
+        )
+    );
+
+    // Hover: ONTOLOGY definition and corpus usage of codes (works without the LSP)
+    const codeHover = new CodeHoverProvider(workspaceScanner, templateManager, dataService);
+    context.subscriptions.push(
+        vscode.languages.registerHoverProvider({ language: 'synesis', pattern: '**/*.syn' }, codeHover)
+    );
+
+    // Hover: bibliographic metadata of SOURCE/ITEM bibrefs (works without the LSP)
+    const bibrefHover = new BibrefHoverProvider(workspaceScanner, dataService);
+    context.subscriptions.push(
+        vscode.languages.registerHoverProvider({ language: 'synesis', pattern: '**/*.syn' }, bibrefHover)
+    );
+
+    // Outline, breadcrumbs and Go to Symbol while the LSP is not ready
+    context.subscriptions.push(
+        vscode.languages.registerDocumentSymbolProvider(
+            { language: 'synesis' },
+            new SynesisDocumentSymbolProvider(dataService),
+            { label: 'Synesis' }
+        )
+    );
+
+    // Go to Symbol in Workspace: concepts, codes, bibrefs and template fields (works without the LSP)
+    const symbolIndex = new SymbolIndex(workspaceScanner, templateManager);
+    context.subscriptions.push(
+        vscode.languages.registerWorkspaceSymbolProvider(new SynesisWorkspaceSymbolProvider(symbolIndex))
+    );
+
+    // Completion: field names, codes, chain relations and bibrefs (works without the LSP)
+    const synesisCompletion = new SynesisCompletionProvider(workspaceScanner, templateManager, dataService);
+    context.subscriptions.push(
+        vscode.languages.registerCompletionItemProvider(
+            { language: 'synesis', pattern: '**/*.{syn,syno}' },
+            synesisCompletion,
+            ...SynesisCompletionProvider.triggerCharacters
+        )
+    );
 
     // Register commands
     const refreshAllExplorers = () => {
@@ -182,96 +282,176 @@ function activate(context) {
         refreshDebounceTimer = setTimeout(refreshFn, delay);
     };
 
-    const runLspLoadProject = async ({ showProgress, showErrorMessage, workspaceRoot }) => {
-        if (!lspClient || !lspClient.isReady()) {
-            setLspStatus('error');
+    const lspLoadTimers = new Map(); // session.key -> timer
+    const runLspLoadProject = async ({ showProgress, showErrorMessage, session }) => {
+        const target = session || getActiveLspSession();
+        if (!target || !target.client.isReady()) {
+            setLspStatus('error', null, target);
             if (showErrorMessage) {
                 vscode.window.showErrorMessage('Synesis LSP is not ready.');
             }
             return;
         }
 
-        const resolvedRoot = workspaceRoot || resolveWorkspaceRoot(vscode.window.activeTextEditor?.document);
-        if (!resolvedRoot) {
-            setLspStatus('error');
-            if (showErrorMessage) {
-                vscode.window.showErrorMessage('No workspace folder found to load project.');
-            }
-            return;
-        }
-
-        setLspStatus('loading');
+        setLspStatus('loading', null, target);
         try {
-            const loadRequest = () => lspClient.sendRequest('synesis/loadProject', { workspaceRoot: resolvedRoot });
+            const loadRequest = () => target.client.sendRequest('synesis/loadProject', { workspaceRoot: target.workspaceRoot });
+            const title = lspSessions.getSessions().length > 1
+                ? `Synesis LSP: Loading ${target.folder.name}`
+                : 'Synesis LSP: Loading project';
             const result = showProgress
                 ? await vscode.window.withProgress(
                     {
                         location: vscode.ProgressLocation.Window,
-                        title: 'Synesis LSP: Loading project'
+                        title
                     },
                     loadRequest
                 )
                 : await loadRequest();
 
             if (result && result.success) {
-                setLspStatus('ready', result.stats);
+                setLspStatus('ready', result.stats, target);
                 refreshAllExplorers();
+                templateDiagnostics.validateOpenDocuments();
             } else {
-                setLspStatus('error');
+                setLspStatus('error', null, target);
                 if (showErrorMessage) {
                     const message = result && result.error ? result.error : 'Unknown error from LSP.';
                     vscode.window.showErrorMessage(`Synesis LSP load failed: ${message}`);
                 }
             }
         } catch (error) {
-            setLspStatus('error');
+            setLspStatus('error', null, target);
             if (showErrorMessage) {
                 vscode.window.showErrorMessage(`Synesis LSP load failed: ${error.message}`);
             }
         }
     };
 
-    if (lspStartPromise) {
-        lspStartPromise.then(async (started) => {
-            if (started) {
-                validateLspCapabilities();
-                await validateSynesisCustomMethods();
-                runLspLoadProject({ showProgress: true, showErrorMessage: true });
-            } else {
-                refreshAllExplorers();
-            }
-        });
-    } else {
-        setTimeout(() => refreshAllExplorers(), 500);
-    }
+    const startLspSession = async (session) => {
+        const started = await startLspClient(session, pythonPath, lspArgs);
+        if (!started) {
+            refreshAllExplorers();
+            return;
+        }
 
-    const scheduleLspLoadProject = (document) => {
-        if (!lspClient || !lspClient.isReady()) {
+        // Capacidades e metodos custom sao os mesmos em todas as sessoes
+        if (!lspMethodsValidated) {
+            lspMethodsValidated = true;
+            validateLspCapabilities(session.client);
+            await validateSynesisCustomMethods(session);
+        }
+        await runLspLoadProject({ showProgress: true, showErrorMessage: true, session });
+    };
+
+    // Relista projetos e alinha as sessoes LSP (uma por pasta com .synp)
+    const syncLspSessions = async () => {
+        const projects = await dataService.refreshProjects();
+        if (workspaceScanner.getActiveProjectUri() && !workspaceScanner.findActiveProject(projects)) {
+            await workspaceScanner.setActiveProjectUri(null);
+        }
+        vscode.commands.executeCommand('setContext', 'synesis.multiProject', projects.length > 1);
+        updateProjectStatus();
+
+        if (!lspSessions) {
+            refreshAllExplorers();
             return;
         }
-        if (lspLoadTimer) {
-            clearTimeout(lspLoadTimer);
+
+        const { added, removed } = lspSessions.sync(getProjectFolders(projects));
+        for (const session of removed) {
+            clearTimeout(lspLoadTimers.get(session.key));
+            lspLoadTimers.delete(session.key);
         }
-        pendingLspWorkspaceRoot = resolveWorkspaceRoot(document) || pendingLspWorkspaceRoot;
-        lspLoadTimer = setTimeout(() => {
+        renderLspStatus();
+
+        if (added.length === 0) {
+            refreshAllExplorers();
+            return;
+        }
+        await Promise.all(added.map(session => startLspSession(session)));
+    };
+
+    let projectSyncTimer;
+    const scheduleProjectSync = () => {
+        clearTimeout(projectSyncTimer);
+        projectSyncTimer = setTimeout(() => syncLspSessions(), 500);
+    };
+
+    syncLspSessions();
+
+    const scheduleLspLoadProject = (document) => {
+        const session = lspSessions ? lspSessions.getSessionForUri(document.uri) : null;
+        if (!session || !session.client.isReady()) {
+            return;
+        }
+        clearTimeout(lspLoadTimers.get(session.key));
+        lspLoadTimers.set(session.key, setTimeout(() => {
+            lspLoadTimers.delete(session.key);
             runLspLoadProject({
                 showProgress: false,
                 showErrorMessage: false,
-                workspaceRoot: pendingLspWorkspaceRoot
+                session
             });
-        }, 1000);
+        }, 1000));
     };
 
+    context.subscriptions.push(
+        vscode.commands.registerCommand('synesis.project.select', async (projectItem) => {
+            let project = projectItem && projectItem.project ? projectItem.project : null;
+
+            if (!project) {
+                const projects = await dataService.refreshProjects();
+                if (projects.length === 0) {
+                    vscode.window.showInformationMessage('No Synesis project (.synp) found in the workspace.');
+                    return;
+                }
+                project = await workspaceScanner.promptForProject(projects, 'Select the active Synesis project');
+                if (!project) {
+                    return;
+                }
+            }
+
+            await workspaceScanner.setActiveProjectUri(project.uri);
+        }),
+        workspaceScanner.onDidChangeActiveProject(() => {
+            updateProjectStatus();
+            renderLspStatus();
+            refreshAllExplorers();
+        })
+    );
+
     context.subscriptions.push(
         vscode.commands.registerCommand('synesis.lsp.loadProject', async () => {
             await runLspLoadProject({
                 showProgress: true,
                 showErrorMessage: true,
-                workspaceRoot: resolveWorkspaceRoot(vscode.window.activeTextEditor?.document)
+                session: getActiveLspSession()
             });
         })
     );
 
+    // Explorer filters: live QuickPick with match counts and recent queries
+    const promptFilter = async (explorer, title, viewId) => {
+        const value = await pickFilter(explorer, { title, viewId, memento: context.workspaceState });
+        if (value !== undefined) {
+            explorer.setFilter(value);
+        }
+    };
+
+    const insertBlock = async scope => {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showWarningMessage('No active editor');
+            return;
+        }
+
+        const projectUri = await workspaceScanner.findProjectFileForUri(editor.document.uri);
+        const registry = await templateManager.loadFieldRegistry(projectUri);
+        const name = scope === 'ITEM' ? findPrecedingBibref(editor.document, editor.selection.active.line) : null;
+        await editor.insertSnippet(new vscode.SnippetString(buildBlockSnippet(registry, scope, { name })));
+    };
+
     context.subscriptions.push(
         vscode.commands.registerCommand('synesis.reference.refresh', () => {
             referenceExplorer.refresh();
@@ -279,33 +459,11 @@ function activate(context) {
     );
 
     context.subscriptions.push(
-        vscode.commands.registerCommand('synesis.reference.filter', async () => {
-            const value = await vscode.window.showInputBox({
-                prompt: 'Filter references by name (leave blank to show all)',
-                value: referenceExplorer.getFilter()
-            });
-
-            if (value === undefined) {
-                return;
-            }
-
-            referenceExplorer.setFilter(value);
-        })
+        vscode.commands.registerCommand('synesis.reference.filter', () => promptFilter(referenceExplorer, 'References', 'reference'))
     );
 
     context.subscriptions.push(
-        vscode.commands.registerCommand('synesis.reference.filterActive', async () => {
-            const value = await vscode.window.showInputBox({
-                prompt: 'Filter references by name (leave blank to show all)',
-                value: referenceExplorer.getFilter()
-            });
-
-            if (value === undefined) {
-                return;
-            }
-
-            referenceExplorer.setFilter(value);
-        })
+        vscode.commands.registerCommand('synesis.reference.filterActive', () => promptFilter(referenceExplorer, 'References', 'reference'))
     );
 
     context.subscriptions.push(
@@ -315,35 +473,49 @@ function activate(context) {
     );
 
     context.subscriptions.push(
-        vscode.commands.registerCommand('synesis.code.filter', async () => {
-            const value = await vscode.window.showInputBox({
-                prompt: 'Filter codes by name (leave blank to show all)',
-                value: codeExplorer.getFilter()
-            });
+        vscode.commands.registerCommand('synesis.code.filter', () => promptFilter(codeExplorer, 'Codes', 'code'))
+    );
 
-            if (value === undefined) {
-                return;
-            }
+    context.subscriptions.push(
+        vscode.commands.registerCommand('synesis.code.filterActive', () => promptFilter(codeExplorer, 'Codes', 'code'))
+    );
 
-            codeExplorer.setFilter(value);
+    context.subscriptions.push(
+        vscode.commands.registerCommand('synesis.code.groupByTopic', () => {
+            codeExplorer.setGroupByTopic(true);
         })
     );
 
     context.subscriptions.push(
-        vscode.commands.registerCommand('synesis.code.filterActive', async () => {
-            const value = await vscode.window.showInputBox({
-                prompt: 'Filter codes by name (leave blank to show all)',
-                value: codeExplorer.getFilter()
-            });
-
-            if (value === undefined) {
-                return;
-            }
-
-            codeExplorer.setFilter(value);
+        vscode.commands.registerCommand('synesis.code.showFlat', () => {
+            codeExplorer.setGroupByTopic(false);
         })
     );
 
+    // Sort / group modes (persisted per view in workspaceState)
+    const sortableExplorers = [
+        ['reference', referenceExplorer],
+        ['code', codeExplorer],
+        ['relation', relationExplorer],
+        ['ontology.annotation', ontologyAnnotationExplorer]
+    ];
+    for (const [prefix, explorer] of sortableExplorers) {
+        context.subscriptions.push(
+            vscode.commands.registerCommand(`synesis.${prefix}.sortBy`, async () => {
+                const mode = await explorer.viewOptions.pickSort();
+                if (mode) {
+                    await explorer.setSortMode(mode);
+                }
+            }),
+            vscode.commands.registerCommand(`synesis.${prefix}.groupBy`, async () => {
+                const mode = await explorer.viewOptions.pickGroup();
+                if (mode) {
+                    await explorer.setGroupMode(mode);
+                }
+            })
+        );
+    }
+
     context.subscriptions.push(
         vscode.commands.registerCommand('synesis.relation.refresh', () => {
             relationExplorer.refresh();
@@ -351,33 +523,11 @@ function activate(context) {
     );
 
     context.subscriptions.push(
-        vscode.commands.registerCommand('synesis.relation.filter', async () => {
-            const value = await vscode.window.showInputBox({
-                prompt: 'Filter relations by name (leave blank to show all)',
-                value: relationExplorer.getFilter()
-            });
-
-            if (value === undefined) {
-                return;
-            }
-
-            relationExplorer.setFilter(value);
-        })
+        vscode.commands.registerCommand('synesis.relation.filter', () => promptFilter(relationExplorer, 'Relations', 'relation'))
     );
 
     context.subscriptions.push(
-        vscode.commands.registerCommand('synesis.relation.filterActive', async () => {
-            const value = await vscode.window.showInputBox({
-                prompt: 'Filter relations by name (leave blank to show all)',
-                value: relationExplorer.getFilter()
-            });
-
-            if (value === undefined) {
-                return;
-            }
-
-            relationExplorer.setFilter(value);
-        })
+        vscode.commands.registerCommand('synesis.relation.filterActive', () => promptFilter(relationExplorer, 'Relations', 'relation'))
     );
 
     context.subscriptions.push(
@@ -387,80 +537,86 @@ function activate(context) {
     );
 
     context.subscriptions.push(
-        vscode.commands.registerCommand('synesis.ontology.filter', async () => {
-            const value = await vscode.window.showInputBox({
-                prompt: 'Filter topics by name (leave blank to show all)',
-                value: ontologyExplorer.getFilter()
-            });
+        vscode.commands.registerCommand('synesis.ontology.filter', () => promptFilter(ontologyExplorer, 'Ontology Topics', 'ontology'))
+    );
 
-            if (value === undefined) {
-                return;
-            }
+    context.subscriptions.push(
+        vscode.commands.registerCommand('synesis.ontology.filterActive', () => promptFilter(ontologyExplorer, 'Ontology Topics', 'ontology'))
+    );
 
-            ontologyExplorer.setFilter(value);
+    context.subscriptions.push(
+        vscode.commands.registerCommand('synesis.ontology.annotation.refresh', () => {
+            ontologyAnnotationExplorer.refresh();
         })
     );
 
     context.subscriptions.push(
-        vscode.commands.registerCommand('synesis.ontology.filterActive', async () => {
-            const value = await vscode.window.showInputBox({
-                prompt: 'Filter topics by name (leave blank to show all)',
-                value: ontologyExplorer.getFilter()
-            });
+        vscode.commands.registerCommand('synesis.ontology.annotation.filter', () => promptFilter(ontologyAnnotationExplorer, 'Ontology Annotations', 'ontology.annotation'))
+    );
 
-            if (value === undefined) {
-                return;
-            }
+    context.subscriptions.push(
+        vscode.commands.registerCommand('synesis.ontology.annotation.filterActive', () => promptFilter(ontologyAnnotationExplorer, 'Ontology Annotations', 'ontology.annotation'))
+    );
 
-            ontologyExplorer.setFilter(value);
+    context.subscriptions.push(
+        // Menus pass the resource Uri; hover links pass [bibref, file]
+        vscode.commands.registerCommand('synesis.showAbstract', (bibref, filePath) => {
+            abstractViewer.showAbstract(typeof bibref === 'string' ? bibref : undefined, filePath);
         })
     );
 
     context.subscriptions.push(
-        vscode.commands.registerCommand('synesis.ontology.annotation.refresh', () => {
-            ontologyAnnotationExplorer.refresh();
+        vscode.commands.registerCommand('synesis.showGraph', (bibref, filePath) => {
+            graphViewer.showGraph(typeof bibref === 'string' ? bibref : undefined, filePath);
         })
     );
 
     context.subscriptions.push(
-        vscode.commands.registerCommand('synesis.ontology.annotation.filter', async () => {
-            const value = await vscode.window.showInputBox({
-                prompt: 'Filter ontology annotations by name (leave blank to show all)',
-                value: ontologyAnnotationExplorer.getFilter()
-            });
-
-            if (value === undefined) {
-                return;
-            }
+        vscode.commands.registerCommand('synesis.insertSourceBlock', () => insertBlock('SOURCE')),
+        vscode.commands.registerCommand('synesis.insertItemBlock', () => insertBlock('ITEM')),
+        vscode.commands.registerCommand('synesis.insertOntologyBlock', () => insertBlock('ONTOLOGY'))
+    );
 
-            ontologyAnnotationExplorer.setFilter(value);
+    context.subscriptions.push(
+        vscode.commands.registerCommand('synesis.showProjectGraph', () => {
+            graphViewer.showProjectGraph();
         })
     );
 
     context.subscriptions.push(
-        vscode.commands.registerCommand('synesis.ontology.annotation.filterActive', async () => {
-            const value = await vscode.window.showInputBox({
-                prompt: 'Filter ontology annotations by name (leave blank to show all)',
-                value: ontologyAnnotationExplorer.getFilter()
-            });
-
-            if (value === undefined) {
-                return;
-            }
+        vscode.commands.registerCommand('synesis.showCooccurrence', () => {
+            cooccurrenceViewer.show();
+        })
+    );
 
-            ontologyAnnotationExplorer.setFilter(value);
+    context.subscriptions.push(
+        vscode.commands.registerCommand('synesis.verifyQuotations', () => {
+            quotationReportViewer.show();
         })
     );
 
     context.subscriptions.push(
-        vscode.commands.registerCommand('synesis.showAbstract', () => {
-            abstractViewer.showAbstract();
+        vscode.commands.registerCommand('synesis.showProjectOverview', (projectItem) => {
+            projectOverviewViewer.show(projectItem);
         })
     );
 
     context.subscriptions.push(
-        vscode.commands.registerCommand('synesis.showGraph', () => {
-            graphViewer.showGraph();
+        vscode.commands.registerCommand('synesis.code.reveal', async (code) => {
+            if (!code) {
+                return;
+            }
+            if (!codeExplorer.hasCodes()) {
+                await codeExplorer.refresh();
+            }
+
+            const item = codeExplorer.findCodeItem(code);
+            if (!item) {
+                vscode.window.showWarningMessage(`Code "${code}" not found in Code Explorer.`);
+                return;
+            }
+
+            await codeTreeView.reveal(item, { select: true, focus: true, expand: true });
         })
     );
 
@@ -526,6 +682,162 @@ function activate(context) {
         })
     );
 
+    // Merge/split: WorkspaceEdit em CODE/CHAIN (.syn) e ONTOLOGY (.syno), com preview
+    const resolveCodeProject = (treeItem) => {
+        const project = treeItem && treeItem.projectKey
+            ? dataService.getProjects().find(candidate => candidate.key === treeItem.projectKey)
+            : dataService.getActiveProject();
+        return project && project.uri ? project : null;
+    };
+
+    const applyCodeRefactor = async (project, result, summary) => {
+        if (result.fieldCount + result.blockCount === 0) {
+            vscode.window.showInformationMessage('Nothing to change.');
+            return;
+        }
+
+        const applied = await vscode.workspace.applyEdit(result.edit);
+        if (!applied) {
+            return;
+        }
+        // Salva so os documentos tocados pelo edit, nao outros editores sujos
+        const touched = new Set(result.edit.entries().map(([uri]) => uri.toString()));
+        await Promise.all(vscode.workspace.textDocuments
+            .filter(document => document.isDirty && touched.has(document.uri.toString()))
+            .map(document => document.save()));
+
+        const session = lspSessions ? lspSessions.getSessionForUri(project.uri) : null;
+        if (session && session.client.isReady()) {
+            await runLspLoadProject({ showProgress: false, showErrorMessage: false, session });
+        } else {
+            dataService.invalidateLocalCache();
+            refreshAllExplorers();
+        }
+        vscode.window.showInformationMessage(summary);
+    };
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('synesis.code.merge', async (treeItem) => {
+            if (!treeItem && codeTreeView && codeTreeView.selection.length > 0) {
+                treeItem = codeTreeView.selection[0];
+            }
+            if (!treeItem || !treeItem.code) {
+                return;
+            }
+            const project = resolveCodeProject(treeItem);
+            if (!project) {
+                vscode.window.showWarningMessage('No project file found.');
+                return;
+            }
+
+            const codes = await dataService.getCodes(project);
+            const picks = await vscode.window.showQuickPick(
+                codes
+                    .filter(entry => entry.code !== treeItem.code)
+                    .sort((a, b) => a.code.localeCompare(b.code))
+                    .map(entry => ({
+                        label: entry.code,
+                        description: `${entry.usageCount} occurrence(s)`,
+                        code: entry.code
+                    })),
+                {
+                    canPickMany: true,
+                    matchOnDescription: true,
+                    placeHolder: `Select codes to merge with "${treeItem.code}"`
+                }
+            );
+            if (!picks || picks.length === 0) {
+                return;
+            }
+
+            const target = await vscode.window.showInputBox({
+                prompt: 'Name of the merged code',
+                value: treeItem.code,
+                validateInput: (value) => validateCodeName(value)
+            });
+            if (!target) {
+                return;
+            }
+
+            const name = target.trim();
+            const sources = [treeItem.code, ...picks.map(pick => pick.code)].filter(code => code !== name);
+            try {
+                const registry = await templateManager.loadFieldRegistry(project.uri);
+                const result = await codeRefactor.buildMergeEdit(workspaceScanner, registry, project.uri, sources, name);
+                await applyCodeRefactor(project, result, `Merged ${sources.length} code(s) into "${name}".`);
+            } catch (error) {
+                console.error('Merge codes failed:', error);
+                vscode.window.showErrorMessage(`Merge failed: ${error.message}`);
+            }
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('synesis.code.split', async (treeItem) => {
+            if (!treeItem && codeTreeView && codeTreeView.selection.length > 0) {
+                treeItem = codeTreeView.selection[0];
+            }
+            if (!treeItem || !treeItem.code) {
+                return;
+            }
+            const project = resolveCodeProject(treeItem);
+            if (!project) {
+                vscode.window.showWarningMessage('No project file found.');
+                return;
+            }
+
+            try {
+                const code = treeItem.code;
+                const registry = await templateManager.loadFieldRegistry(project.uri);
+                const occurrences = await codeRefactor.findCodeOccurrences(workspaceScanner, registry, project.uri, code);
+                if (occurrences.length === 0) {
+                    vscode.window.showWarningMessage(`Code "${code}" has no occurrences in CODE or CHAIN fields.`);
+                    return;
+                }
+
+                const picks = await vscode.window.showQuickPick(
+                    occurrences.map(occurrence => ({
+                        label: `${vscode.workspace.asRelativePath(occurrence.file)}:${occurrence.line + 1}`,
+                        description: `${occurrence.bibref} · ${occurrence.field}`,
+                        detail: occurrence.lineText,
+                        occurrence
+                    })),
+                    {
+                        canPickMany: true,
+                        matchOnDescription: true,
+                        matchOnDetail: true,
+                        placeHolder: `Select occurrences of "${code}" to move to a new code`
+                    }
+                );
+                if (!picks || picks.length === 0) {
+                    return;
+                }
+
+                const newCode = await vscode.window.showInputBox({
+                    prompt: 'Name of the new code',
+                    validateInput: (value) => validateCodeName(value, code)
+                });
+                if (!newCode) {
+                    return;
+                }
+
+                const name = newCode.trim();
+                const result = await codeRefactor.buildSplitEdit(
+                    workspaceScanner,
+                    registry,
+                    project.uri,
+                    code,
+                    picks.map(pick => pick.occurrence),
+                    name
+                );
+                await applyCodeRefactor(project, result, `Moved ${picks.length} occurrence(s) of "${code}" to "${name}".`);
+            } catch (error) {
+                console.error('Split code failed:', error);
+                vscode.window.showErrorMessage(`Split failed: ${error.message}`);
+            }
+        })
+    );
+
     context.subscriptions.push(
         vscode.commands.registerCommand('synesis.reference.rename', async (treeItem) => {
             if (!treeItem && referenceTreeView && referenceTreeView.selection.length > 0) {
@@ -540,25 +852,137 @@ function activate(context) {
         })
     );
 
-    // Active editor change - only refresh ontology annotations (context-specific)
+    // Active editor change - refresh ontology annotations (context-specific);
+    // other explorers only when the active project changes (multi-root)
+    let activeProjectKey = null;
     context.subscriptions.push(
         vscode.window.onDidChangeActiveTextEditor(editor => {
             updateActiveFileKind(editor);
-            // Only refresh ontology annotations as it's file-specific
-            debouncedRefresh(() => ontologyAnnotationExplorer.refresh(), 200);
+            renderLspStatus();
+            updateProjectStatus();
+
+            const activeProject = dataService.getActiveProject();
+            const nextKey = activeProject ? activeProject.key : null;
+            if (dataService.getProjects().length > 1 && activeProjectKey !== null && nextKey !== activeProjectKey) {
+                debouncedRefresh(refreshAllExplorers, 200);
+            } else {
+                debouncedRefresh(() => ontologyAnnotationExplorer.refresh(), 200);
+            }
+            activeProjectKey = nextKey;
         })
     );
 
+    // Workspace folders and .synp files define the LSP sessions
+    const projectWatcher = vscode.workspace.createFileSystemWatcher('**/*.synp', false, true, false);
+    context.subscriptions.push(
+        projectWatcher,
+        projectWatcher.onDidCreate(scheduleProjectSync),
+        projectWatcher.onDidDelete(scheduleProjectSync),
+        vscode.workspace.onDidChangeWorkspaceFolders(scheduleProjectSync)
+    );
+
+    // .syno edited outside the editor: concept caches of the ONTOLOGY quick fix and hover are stale
+    const ontologyWatcher = vscode.workspace.createFileSystemWatcher('**/*.syno');
+    const invalidateConcepts = uri => {
+        ontologyCodeActions.invalidate(uri);
+        codeHover.invalidate(uri);
+        synesisCompletion.invalidate(uri);
+    };
+    context.subscriptions.push(
+        ontologyWatcher,
+        ontologyWatcher.onDidCreate(invalidateConcepts),
+        ontologyWatcher.onDidChange(invalidateConcepts),
+        ontologyWatcher.onDidDelete(invalidateConcepts)
+    );
+
+    // .synt/.synp edited (editor or disk): drop the affected field registries, then rebuild
+    // everything derived from them (explorers and their context keys, diagnostics, open viewers)
+    const templateWatcher = vscode.workspace.createFileSystemWatcher('**/*.{synt,synp}');
+    const onTemplateChanged = uri => {
+        if (/\.synp$/i.test(uri.fsPath || '')) {
+            templateManager.invalidateCache(uri);
+            bibrefHover.invalidate();
+            synesisCompletion.invalidate(uri);
+        } else {
+            templateManager.invalidateTemplateFile(uri);
+        }
+        dataService.invalidateLocalCache();
+        templateDiagnostics.validateOpenDocuments();
+        cooccurrenceViewer.refresh();
+        abstractViewer.refresh();
+        projectOverviewViewer.refresh();
+        graphViewer.refresh();
+        debouncedRefresh(refreshAllExplorers, 500);
+    };
+    context.subscriptions.push(
+        templateWatcher,
+        templateWatcher.onDidCreate(onTemplateChanged),
+        templateWatcher.onDidChange(onTemplateChanged),
+        templateWatcher.onDidDelete(onTemplateChanged)
+    );
+
+    // Workspace symbol index: reindex only the files created, changed or deleted on disk
+    const symbolWatcher = vscode.workspace.createFileSystemWatcher('**/*.{syn,syno,synt,synp}');
+    context.subscriptions.push(
+        symbolWatcher,
+        symbolWatcher.onDidCreate(uri => symbolIndex.invalidate(uri, 'create')),
+        symbolWatcher.onDidChange(uri => symbolIndex.invalidate(uri, 'change')),
+        symbolWatcher.onDidDelete(uri => symbolIndex.invalidate(uri, 'delete'))
+    );
+
     // File save handler - triggers LSP reload which will refresh all explorers
     context.subscriptions.push(
         vscode.workspace.onDidSaveTextDocument(document => {
             const ext = path.extname(document.uri.fsPath || '').toLowerCase();
             if (ext === '.syn' || ext === '.syno' || ext === '.synp' || ext === '.synt' || ext === '.bib') {
-                scheduleLspLoadProject(document);
+                dataService.invalidateLocalCache();
+                codeHover.invalidate();
+                bibrefHover.invalidate();
+                synesisCompletion.invalidate(document.uri);
+                if (ext === '.synp') {
+                    ontologyCodeActions.invalidate();
+                }
+                if (dataService.getLspStatus(document.uri) === 'ready') {
+                    scheduleLspLoadProject(document);
+                } else if (dataService.hasLocalProvider()) {
+                    debouncedRefresh(refreshAllExplorers, 500);
+                }
             }
         })
     );
 
+    context.subscriptions.push(
+        vscode.workspace.onDidOpenTextDocument(document => templateDiagnostics.validateDocument(document)),
+        vscode.workspace.onDidChangeTextDocument(event => {
+            templateDiagnostics.scheduleValidation(event.document);
+            // Ranges de quotations ficam obsoletos apos edicao; reexecutar Verify Quotations
+            if (event.contentChanges.length > 0) {
+                quotationReportViewer.clear(event.document.uri);
+                ontologyCodeActions.invalidate(event.document.uri);
+                codeHover.invalidate(event.document.uri);
+                symbolIndex.invalidate(event.document.uri, 'edit');
+            }
+        }),
+        vscode.workspace.onDidCloseTextDocument(document => {
+            templateDiagnostics.clear(document.uri);
+            ontologyCodeActions.invalidate(document.uri);
+            codeHover.invalidate(document.uri);
+            symbolIndex.invalidate(document.uri, 'edit');
+        }),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('synesisExplorer.templateDiagnostics.mode')) {
+                templateDiagnostics.validateOpenDocuments();
+            }
+            if (event.affectsConfiguration('synesisExplorer.localFallback.enabled')) {
+                dataService.setLocalFallback(
+                    vscode.workspace.getConfiguration('synesisExplorer').get('localFallback.enabled', true)
+                );
+                refreshAllExplorers();
+            }
+        })
+    );
+    templateDiagnostics.validateOpenDocuments();
+
     updateActiveFileKind(vscode.window.activeTextEditor);
 
     context.subscriptions.push(referenceTreeView);
@@ -670,9 +1094,8 @@ async function findOntologyDefinition(code) {
         return null;
     }
 
-    const client = dataService.lspClient;
-    const lspReady = Boolean(client && typeof client.isReady === 'function' && client.isReady());
-    if (!lspReady) {
+    const lspReady = dataService.getLspStatus() === 'ready';
+    if (!lspReady && !dataService.hasLocalProvider()) {
         return null;
     }
 
@@ -695,6 +1118,23 @@ async function findOntologyDefinition(code) {
     return null;
 }
 
+/**
+ * Validates a code name typed for merge/split.
+ * Returns an error message or null.
+ */
+function validateCodeName(value, current) {
+    if (!value || !value.trim()) {
+        return 'Name cannot be empty';
+    }
+    if (/,|->/.test(value)) {
+        return 'Code names cannot contain "," or "->"';
+    }
+    if (current && value.trim() === current) {
+        return 'Name must be different';
+    }
+    return null;
+}
+
 /**
  * Renames a symbol (code or bibref) using the LSP rename provider.
  * Returns true if rename was successful, false otherwise.
@@ -753,9 +1193,9 @@ async function renameSymbol(treeItem, symbolKey, promptMessage) {
 
 function deactivate() {
     console.log('Synesis Explorer is now deactivated');
-    if (lspClient) {
-        lspClient.stop();
-        lspClient = undefined;
+    if (lspSessions) {
+        lspSessions.stopAll();
+        lspSessions = undefined;
     }
 }
 
@@ -782,19 +1222,43 @@ function updateActiveFileKind(editor) {
     vscode.commands.executeCommand('setContext', 'synesis.activeFileKind', 'other');
 }
 
-function resolveWorkspaceRoot(document) {
-    if (document && document.uri) {
-        const folder = vscode.workspace.getWorkspaceFolder(document.uri);
-        if (folder && folder.uri && folder.uri.fsPath) {
-            return folder.uri.fsPath;
+/**
+ * Pastas do workspace que recebem uma sessao LSP: as que contem projetos
+ * .synp, ou a primeira pasta quando nenhum projeto existe
+ * @param {Array} projects
+ * @returns {vscode.WorkspaceFolder[]}
+ */
+function getProjectFolders(projects) {
+    const folders = [];
+    for (const project of projects) {
+        const folder = vscode.workspace.getWorkspaceFolder(project.uri);
+        if (folder && !folders.some(entry => entry.uri.toString() === folder.uri.toString())) {
+            folders.push(folder);
         }
     }
 
-    const folders = vscode.workspace.workspaceFolders;
-    return folders && folders.length > 0 ? folders[0].uri.fsPath : '';
+    if (folders.length === 0 && vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders.length > 0) {
+        folders.push(vscode.workspace.workspaceFolders[0]);
+    }
+    return folders;
+}
+
+/**
+ * Sessao LSP do projeto ativo (ou a primeira sessao)
+ * @returns {Object|null}
+ */
+function getActiveLspSession() {
+    if (!lspSessions) {
+        return null;
+    }
+
+    const project = dataService ? dataService.getActiveProject() : null;
+    const session = project ? lspSessions.getSession(project.workspaceRoot) : null;
+    return session || lspSessions.getSessions()[0] || null;
 }
 
-async function startLspClient(client, pythonPath, lspArgs = []) {
+async function startLspClient(session, pythonPath, lspArgs = []) {
+    const client = session.client;
     try {
         const normalizedPath = String(pythonPath || '').trim().replace(/^"(.*)"$/, '$1').replace(/^'(.*)'$/, '$1');
         lspCommandPath = normalizedPath || pythonPath;
@@ -803,15 +1267,20 @@ async function startLspClient(client, pythonPath, lspArgs = []) {
             : String(lspArgs || '').trim().split(/\s+/).filter(Boolean);
         const baseName = path.basename(lspCommandPath).toLowerCase();
         lspCommandLabel = baseName || lspCommandPath;
-        setLspStatus('loading');
-        await client.start(pythonPath, lspCommandArgs);
+        setLspStatus('loading', null, session);
+        await client.start(pythonPath, lspCommandArgs, session.folder);
         lspCommandLabel = client.getEffectiveLabel() || lspCommandLabel;
         lspCommandPath = client.getEffectiveCommand() || lspCommandPath;
         lspCommandArgs = client.getEffectiveArgs() || lspCommandArgs;
-        setLspStatus('ready');
+        setLspStatus('ready', null, session);
         return true;
     } catch (error) {
-        setLspStatus('error');
+        setLspStatus('error', null, session);
+        // Mesmo executavel para todas as pastas: uma mensagem basta
+        if (lspStartErrorShown) {
+            return false;
+        }
+        lspStartErrorShown = true;
         const isNotFound = error.message && (
             error.message.includes('ENOENT') ||
             error.message.includes('not found') ||
@@ -825,11 +1294,38 @@ async function startLspClient(client, pythonPath, lspArgs = []) {
     }
 }
 
-function setLspStatus(state, stats) {
+/**
+ * Atualiza o estado de uma sessao (ou de todas, sem session) e a status bar
+ * @param {string} state - 'disabled' | 'loading' | 'ready' | 'error' | 'incompatible'
+ * @param {Object} [stats] - Estatisticas de synesis/loadProject
+ * @param {Object} [session] - Sessao de LspSessionManager
+ */
+function setLspStatus(state, stats, session) {
+    const targets = session ? [session] : (lspSessions ? lspSessions.getSessions() : []);
+    for (const target of targets) {
+        target.status = state;
+        target.stats = stats || null;
+    }
+    if (!session) {
+        lspFallbackState = state;
+    }
+
+    renderLspStatus();
+}
+
+/**
+ * Mostra na status bar o estado da sessao do projeto ativo
+ */
+function renderLspStatus() {
     if (!lspStatusItem) {
         return;
     }
 
+    const sessions = lspSessions ? lspSessions.getSessions() : [];
+    const active = getActiveLspSession();
+    const state = active ? active.status : lspFallbackState;
+    const stats = active ? active.stats : null;
+
     const commandLabel = lspCommandLabel || 'LSP';
     const commandPath = lspCommandPath || '';
     const commandArgs = Array.isArray(lspCommandArgs) && lspCommandArgs.length > 0
@@ -841,6 +1337,10 @@ function setLspStatus(state, stats) {
     } else {
         lspStatusItem.tooltip = 'Synesis LSP';
     }
+    const folderSuffix = sessions.length > 1 && active ? ` [${active.folder.name}]` : '';
+    if (sessions.length > 1) {
+        lspStatusItem.tooltip += '\n' + sessions.map(entry => `${entry.folder.name}: ${entry.status}`).join('\n');
+    }
 
     if (state === 'disabled') {
         lspStatusItem.text = `$(circle-slash) LSP Disabled (${commandLabel})`;
@@ -849,34 +1349,87 @@ function setLspStatus(state, stats) {
     }
 
     if (state === 'loading') {
-        lspStatusItem.text = `$(sync) LSP Loading (${commandLabel})`;
+        lspStatusItem.text = `$(sync) LSP Loading (${commandLabel})${folderSuffix}`;
         updateExplorerTitles('loading');
         return;
     }
 
     if (state === 'error') {
-        lspStatusItem.text = `$(alert) LSP Error (${commandLabel})`;
+        lspStatusItem.text = `$(alert) LSP Error (${commandLabel})${folderSuffix}`;
         updateExplorerTitles('error');
         return;
     }
 
     if (state === 'incompatible') {
-        lspStatusItem.text = `$(alert) LSP Incompatível (${commandLabel})`;
+        lspStatusItem.text = `$(alert) LSP Incompatível (${commandLabel})${folderSuffix}`;
         updateExplorerTitles('incompatible');
         return;
     }
 
     if (state === 'ready') {
         if (stats && typeof stats.source_count === 'number' && typeof stats.item_count === 'number') {
-            lspStatusItem.text = `$(check) Ready (${stats.source_count} sources, ${stats.item_count} items)`;
+            lspStatusItem.text = `$(check) Ready (${stats.source_count} sources, ${stats.item_count} items)${folderSuffix}`;
         } else {
-            lspStatusItem.text = `$(check) LSP Ready (${commandLabel})`;
+            lspStatusItem.text = `$(check) LSP Ready (${commandLabel})${folderSuffix}`;
         }
         updateExplorerTitles('ready');
     }
 }
 
-function validateLspCapabilities() {
+/**
+ * Mostra na status bar o nome (PROJECT do .synp) do projeto ativo
+ */
+async function updateProjectStatus() {
+    if (!projectStatusItem || !dataService) {
+        return;
+    }
+
+    const projects = dataService.getProjects();
+    if (projects.length === 0) {
+        projectStatusItem.hide();
+        return;
+    }
+
+    const explicit = dataService.scanner.findActiveProject(projects);
+    const project = explicit || dataService.getActiveProject();
+    let name = project.name;
+    try {
+        const loaded = await projectLoader.load(project.uri);
+        name = loaded.name || name;
+    } catch (error) {
+        console.warn('updateProjectStatus: Failed to load project file:', error.message);
+    }
+
+    const needsSelection = !explicit && projects.length > 1;
+    projectStatusItem.text = needsSelection ? `$(project) ${name} (not selected)` : `$(project) ${name}`;
+    projectStatusItem.tooltip = `Synesis project: ${project.uri.fsPath}\nClick to select the active project`;
+    projectStatusItem.show();
+}
+
+/**
+ * Mostra na status bar qual provider serviu os dados dos explorers
+ * @param {string|null} provider - 'lsp' | 'local'
+ */
+function setDataSource(provider) {
+    if (!dataSourceItem) {
+        return;
+    }
+
+    if (provider === 'lsp') {
+        dataSourceItem.text = '$(database) Data: LSP';
+        dataSourceItem.tooltip = 'Synesis data served by synesis-lsp';
+    } else if (provider === 'local') {
+        dataSourceItem.text = '$(database) Data: Local';
+        dataSourceItem.tooltip = 'Synesis LSP unavailable. Data served by local parsers.';
+    } else {
+        dataSourceItem.hide();
+        return;
+    }
+
+    dataSourceItem.show();
+}
+
+function validateLspCapabilities(lspClient) {
     if (!lspClient || !lspClient.client || !lspClient.client.initializeResult) {
         console.warn('LSP client not initialized, skipping capability validation');
         return;
@@ -927,19 +1480,20 @@ function validateLspCapabilities() {
     }
 }
 
-async function validateSynesisCustomMethods() {
-    if (!lspClient || !lspClient.isReady()) {
+async function validateSynesisCustomMethods(session) {
+    const lspClient = session.client;
+    if (!lspClient.isReady()) {
         console.warn('LSP client not initialized, skipping Synesis method validation');
         return;
     }
 
-    const workspaceRoot = resolveWorkspaceRoot(vscode.window.activeTextEditor?.document);
+    const workspaceRoot = session.workspaceRoot;
     const missing = [];
     const legacyOnly = [];
 
     for (const entry of SYNESIS_CUSTOM_METHODS) {
         const params = buildSynesisMethodParams(entry.method, workspaceRoot);
-        const status = await trySynesisMethod(entry.method, params);
+        const status = await trySynesisMethod(lspClient, entry.method, params);
 
         if (status === 'ok') {
             continue;
@@ -949,7 +1503,7 @@ async function validateSynesisCustomMethods() {
             let legacySupported = false;
 
             for (const legacyMethod of entry.legacy || []) {
-                const legacyStatus = await trySynesisMethod(legacyMethod, params);
+                const legacyStatus = await trySynesisMethod(lspClient, legacyMethod, params);
                 if (legacyStatus === 'ok') {
                     legacySupported = true;
                     break;
@@ -994,7 +1548,7 @@ function buildSynesisMethodParams(method, workspaceRoot) {
     return params;
 }
 
-async function trySynesisMethod(method, params) {
+async function trySynesisMethod(lspClient, method, params) {
     try {
         await lspClient.sendRequest(method, params);
         return 'ok';
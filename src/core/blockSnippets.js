@@ -0,0 +1,91 @@
+/**
+ * blockSnippets.js - Snippets de blocos SOURCE, ITEM e ONTOLOGY do template
+ *
+ * Proposito:
+ *     Monta o esqueleto completo de um bloco (cabecalho, campos e END) na
+ *     sintaxe de snippet do VS Code, a partir do FieldRegistry do projeto.
+ *     Usado pelos comandos Insert … Block e pela completion.
+ *
+ * Componentes principais:
+ *     - buildBlockSnippet: FieldRegistry + escopo -> texto do snippet
+ *     - findPrecedingBibref: Bibref do cabecalho mais proximo acima (padrao de ITEM)
+ *     - BLOCK_SCOPES: Escopos suportados
+ *
+ * Dependencias criticas:
+ *     - FieldRegistry: campos do escopo (REQUIRED antes de OPTIONAL), VALUES
+ *
+ * Notas de implementacao:
+ *     - Tab stop 1 no bibref/conceito, um tab stop por campo, $0 apos o END
+ *     - Campos ENUMERATED viram lista de escolha com os labels de VALUES
+ *     - Sem bloco <SCOPE> FIELDS no template, usa os FIELDs com esse SCOPE
+ */
+
+const INDENT = '    ';
+
+const BLOCK_SCOPES = ['SOURCE', 'ITEM', 'ONTOLOGY'];
+const HEADER_PATTERN = /^\s*(?:SOURCE|ITEM)\s+(@[\p{L}\p{N}._-]+)/u;
+
+/**
+ * @param {FieldRegistry} registry
+ * @param {string} scope - SOURCE | ITEM | ONTOLOGY
+ * @param {Object} [options]
+ * @param {string} [options.name] - Valor inicial do bibref (com @) ou do conceito
+ * @returns {string} Texto no formato vscode.SnippetString
+ */
+function buildBlockSnippet(registry, scope, options = {}) {
+    const normalized = String(scope || '').toUpperCase();
+    const fallback = normalized === 'ONTOLOGY' ? 'Concept' : '@bibref';
+    const name = escapePlaceholder(options.name || fallback);
+    const header = normalized === 'ONTOLOGY' || !name.startsWith('@')
+        ? `${normalized} \${1:${name}}`
+        : `${normalized} @\${1:${name.slice(1)}}`;
+
+    const lines = [header];
+    let tabStop = 2;
+    for (const field of registry.getScopeFields(normalized)) {
+        lines.push(`${INDENT}${field}: ${fieldPlaceholder(registry.getFieldDef(field), tabStop)}`);
+        tabStop += 1;
+    }
+    lines.push(`END ${normalized}`, '$0');
+
+    return lines.join('\n');
+}
+
+/**
+ * @param {vscode.TextDocument} document
+ * @param {number} line
+ * @returns {string|null} Bibref do SOURCE/ITEM mais proximo acima da linha
+ */
+function findPrecedingBibref(document, line) {
+    for (let index = Math.min(line, document.lineCount - 1); index >= 0; index--) {
+        const match = HEADER_PATTERN.exec(document.lineAt(index).text);
+        if (match) {
+            return match[1];
+        }
+    }
+    return null;
+}
+
+function fieldPlaceholder(def, tabStop) {
+    const values = def && def.type === 'ENUMERATED' && Array.isArray(def.values)
+        ? def.values.map(value => value.label).filter(Boolean)
+        : [];
+    if (values.length > 0) {
+        return `\${${tabStop}|${values.map(escapeChoice).join(',')}|}`;
+    }
+    return `\${${tabStop}}`;
+}
+
+function escapePlaceholder(text) {
+    return String(text).replace(/[$}\\]/g, '\\$&');
+}
+
+function escapeChoice(text) {
+    return String(text).replace(/[$,|\\]/g, '\\$&');
+}
+
+module.exports = {
+    BLOCK_SCOPES,
+    buildBlockSnippet,
+    findPrecedingBibref
+};
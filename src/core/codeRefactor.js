@@ -0,0 +1,360 @@
+/**
+ * codeRefactor.js - Merge e split de codigos em todo o projeto
+ *
+ * Proposito:
+ *     Localiza codigos em campos CODE e CHAIN dos .syn e blocos ONTOLOGY
+ *     dos .syno, e monta WorkspaceEdits para fundir codigos em um so ou
+ *     mover ocorrencias escolhidas para um novo codigo.
+ *
+ * Componentes principais:
+ *     - collectCodeTokens: Tokens de codigo (com offsets) por campo de um .syn
+ *     - createCodeTokenCache: Tokens de codigo de documentos abertos por versao
+ *     - findCodeOccurrences: Ocorrencias de um codigo no projeto
+ *     - buildMergeEdit: Substitui os codigos de origem pelo destino
+ *     - buildSplitEdit: Move ocorrencias escolhidas para um novo codigo
+ *
+ * Dependencias criticas:
+ *     - SynesisParser / OntologyParser: blocos com offsets absolutos
+ *     - FieldRegistry: quais campos sao CODE ou CHAIN (e se CHAIN tem RELATIONS)
+ *     - WorkspaceScanner: arquivos .syn e .syno do projeto
+ *
+ * Notas de implementacao:
+ *     - Edits marcados com needsConfirmation (preview de refatoracao)
+ *     - Em campos CODE, um codigo que ja aparece no campo e removido em vez de
+ *       duplicado (com o separador vizinho)
+ *     - Codigos comparados exatamente nos .syn e sem caixa nos .syno
+ *       (mesma regra do ontologyIndex)
+ */
+
+const vscode = require('vscode');
+const SynesisParser = require('../parsers/synesisParser');
+const OntologyParser = require('../parsers/ontologyParser');
+const { readText } = require('../utils/documentUtils');
+const { buildLineOffsets, getLineColumn, splitValueTokens } = require('../utils/positionUtils');
+
+const FIELD_LABEL = 'CODE and CHAIN fields';
+const ONTOLOGY_LABEL = 'ONTOLOGY blocks';
+
+/**
+ * @param {string} text
+ * @param {string} filePath
+ * @param {FieldRegistry} registry
+ * @param {SynesisParser} [parser]
+ * @returns {Array<{field, type, bibref, tokens: Array<{text, start, end}>}>}
+ *
+ * Em CHAIN com RELATIONS, apenas as posicoes pares (codigos) entram em tokens
+ */
+function collectCodeTokens(text, filePath, registry, parser = new SynesisParser()) {
+    const blocks = [
+        ...parser.parseSourceBlocks(text, filePath),
+        ...parser.parseItems(text, filePath)
+    ];
+
+    const entries = [];
+    for (const block of blocks) {
+        for (const entry of block.fieldEntries || []) {
+            let tokens;
+            if (registry.isCodeField(entry.name)) {
+                tokens = splitValueTokens(text, entry, /[,\n]/);
+            } else if (registry.isChainField(entry.name)) {
+                const elements = splitValueTokens(text, entry, /->/);
+                const def = registry.getFieldDef(entry.name);
+                const qualified = registry.hasRelations(entry.name) && def.relations.length > 0;
+                tokens = qualified ? elements.filter((_, index) => index % 2 === 0) : elements;
+            } else {
+                continue;
+            }
+
+            entries.push({
+                field: entry.name,
+                type: registry.getFieldDef(entry.name).type,
+                bibref: block.bibref,
+                tokens: tokens.filter(token => token.text)
+            });
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Tokens de codigo de documentos abertos, recalculados quando a versao do
+ * documento ou o FieldRegistry do projeto mudam
+ * @param {SynesisParser} [parser]
+ * @returns {{get: Function, delete: Function, clear: Function}}
+ */
+function createCodeTokenCache(parser = new SynesisParser()) {
+    const cache = new Map(); // documentUri -> { version, registry, tokens }
+
+    return {
+        /**
+         * @param {vscode.TextDocument} document
+         * @param {FieldRegistry} registry
+         * @returns {Array<{text, start, end}>}
+         */
+        get(document, registry) {
+            const key = document.uri.toString();
+            const cached = cache.get(key);
+            if (cached && cached.version === document.version && cached.registry === registry) {
+                return cached.tokens;
+            }
+
+            const entries = collectCodeTokens(document.getText(), document.uri.fsPath, registry, parser);
+            const tokens = entries.flatMap(entry => entry.tokens);
+            cache.set(key, { version: document.version, registry, tokens });
+            return tokens;
+        },
+        delete(uri) {
+            cache.delete(uri.toString());
+        },
+        clear() {
+            cache.clear();
+        }
+    };
+}
+
+/**
+ * @param {WorkspaceScanner} workspaceScanner
+ * @param {FieldRegistry} registry
+ * @param {vscode.Uri} projectUri
+ * @param {string} code
+ * @returns {Promise<Array<{file, start, end, line, column, field, bibref, lineText}>>}
+ */
+async function findCodeOccurrences(workspaceScanner, registry, projectUri, code) {
+    const occurrences = [];
+
+    for (const file of await loadSynFiles(workspaceScanner, registry, projectUri)) {
+        for (const entry of file.entries) {
+            for (const token of entry.tokens) {
+                if (token.text !== code) {
+                    continue;
+                }
+                const position = getLineColumn(file.lineOffsets, token.start);
+                const lineEnd = file.lineOffsets[position.line + 1];
+                occurrences.push({
+                    file: file.uri.fsPath,
+                    start: token.start,
+                    end: token.end,
+                    line: position.line,
+                    column: position.column,
+                    field: entry.field,
+                    bibref: entry.bibref,
+                    lineText: file.text.slice(file.lineOffsets[position.line], lineEnd === undefined ? file.text.length : lineEnd).trim()
+                });
+            }
+        }
+    }
+
+    return occurrences;
+}
+
+/**
+ * @param {WorkspaceScanner} workspaceScanner
+ * @param {FieldRegistry} registry
+ * @param {vscode.Uri} projectUri
+ * @param {string[]} sources - Codigos fundidos
+ * @param {string} target - Codigo resultante
+ * @returns {Promise<{edit: vscode.WorkspaceEdit, fieldCount: number, blockCount: number}>}
+ */
+async function buildMergeEdit(workspaceScanner, registry, projectUri, sources, target) {
+    const sourceSet = new Set(sources.filter(code => code !== target));
+    const edit = new vscode.WorkspaceEdit();
+    let fieldCount = 0;
+
+    for (const file of await loadSynFiles(workspaceScanner, registry, projectUri)) {
+        for (const entry of file.entries) {
+            const changes = planEntryChanges(entry, token => sourceSet.has(token.text), target);
+            fieldCount += applyChanges(edit, file, changes, `Merge into ${target}`);
+        }
+    }
+
+    const targetKey = target.toLowerCase();
+    const sourceKeys = new Set(Array.from(sourceSet, code => code.toLowerCase()));
+    const blocks = await loadOntologyBlocks(workspaceScanner, projectUri);
+    let hasTarget = blocks.some(({ block }) => block.concept.toLowerCase() === targetKey);
+    let blockCount = 0;
+
+    for (const { file, block } of blocks) {
+        const key = block.concept.toLowerCase();
+        if (!sourceKeys.has(key) || key === targetKey) {
+            continue;
+        }
+
+        if (hasTarget) {
+            edit.delete(file.uri, toRange(file, block.startOffset, blockRemovalEnd(file.text, block.endOffset)), {
+                needsConfirmation: true,
+                label: ONTOLOGY_LABEL,
+                description: `Remove ${block.concept} (merged into ${target})`
+            });
+        } else {
+            const concept = conceptRange(file.text, block);
+            edit.replace(file.uri, toRange(file, concept.start, concept.end), target, {
+                needsConfirmation: true,
+                label: ONTOLOGY_LABEL,
+                description: `Rename ${block.concept} to ${target}`
+            });
+            hasTarget = true;
+        }
+        blockCount += 1;
+    }
+
+    return { edit, fieldCount, blockCount };
+}
+
+/**
+ * @param {WorkspaceScanner} workspaceScanner
+ * @param {FieldRegistry} registry
+ * @param {vscode.Uri} projectUri
+ * @param {string} code - Codigo dividido
+ * @param {Array<{file, start}>} occurrences - Ocorrencias movidas (findCodeOccurrences)
+ * @param {string} newCode
+ * @returns {Promise<{edit: vscode.WorkspaceEdit, fieldCount: number, blockCount: number}>}
+ */
+async function buildSplitEdit(workspaceScanner, registry, projectUri, code, occurrences, newCode) {
+    const selected = new Set(occurrences.map(occ => `${occ.file}\u0000${occ.start}`));
+    const edit = new vscode.WorkspaceEdit();
+    let fieldCount = 0;
+
+    for (const file of await loadSynFiles(workspaceScanner, registry, projectUri)) {
+        for (const entry of file.entries) {
+            const changes = planEntryChanges(
+                entry,
+                token => token.text === code && selected.has(`${file.uri.fsPath}\u0000${token.start}`),
+                newCode
+            );
+            fieldCount += applyChanges(edit, file, changes, `Move to ${newCode}`);
+        }
+    }
+
+    const blocks = await loadOntologyBlocks(workspaceScanner, projectUri);
+    const source = blocks.find(({ block }) => block.concept.toLowerCase() === code.toLowerCase());
+    const exists = blocks.some(({ block }) => block.concept.toLowerCase() === newCode.toLowerCase());
+    let blockCount = 0;
+
+    if (source && !exists) {
+        const { file, block } = source;
+        const concept = conceptRange(file.text, block);
+        const copy = file.text.slice(block.startOffset, concept.start) + newCode + file.text.slice(concept.end, block.endOffset);
+        edit.insert(file.uri, toRange(file, block.endOffset, block.endOffset).start, `\n\n${copy}`, {
+            needsConfirmation: true,
+            label: ONTOLOGY_LABEL,
+            description: `Create ${newCode} from ${block.concept}`
+        });
+        blockCount = 1;
+    }
+
+    return { edit, fieldCount, blockCount };
+}
+
+async function loadSynFiles(workspaceScanner, registry, projectUri) {
+    const parser = new SynesisParser();
+    const files = [];
+
+    for (const uri of await workspaceScanner.findSynFiles(projectUri)) {
+        const text = await readText(uri);
+        files.push({
+            uri,
+            text,
+            lineOffsets: buildLineOffsets(text),
+            entries: collectCodeTokens(text, uri.fsPath, registry, parser)
+        });
+    }
+
+    return files;
+}
+
+async function loadOntologyBlocks(workspaceScanner, projectUri) {
+    const parser = new OntologyParser();
+    const blocks = [];
+
+    for (const uri of await workspaceScanner.findSynoFiles(projectUri)) {
+        const text = await readText(uri);
+        const file = { uri, text, lineOffsets: buildLineOffsets(text) };
+        for (const block of parser.parseOntologyBlocks(text, uri.fsPath)) {
+            blocks.push({ file, block });
+        }
+    }
+
+    return blocks;
+}
+
+/**
+ * Substituicoes e remocoes de um campo. Em campos CODE, um codigo ja presente
+ * e removido junto com o separador: antes do primeiro token mantido, ate o
+ * inicio do proximo token; depois dele, a partir do fim do token anterior
+ * (ranges adjacentes, nunca sobrepostos)
+ */
+function planEntryChanges(entry, shouldReplace, newCode) {
+    const { tokens } = entry;
+    if (!tokens.some(shouldReplace)) {
+        return [];
+    }
+
+    const dedupe = entry.type === 'CODE';
+    const present = new Set(tokens.filter(token => !shouldReplace(token)).map(token => token.text));
+    const removed = new Set();
+    const changes = [];
+
+    tokens.forEach((token, index) => {
+        if (!shouldReplace(token)) {
+            return;
+        }
+        if (!dedupe || !present.has(newCode)) {
+            changes.push({ start: token.start, end: token.end, text: newCode });
+            present.add(newCode);
+            return;
+        }
+        removed.add(index);
+    });
+
+    let keptSeen = false;
+    tokens.forEach((token, index) => {
+        if (!removed.has(index)) {
+            keptSeen = true;
+            return;
+        }
+        if (keptSeen) {
+            changes.push({ start: tokens[index - 1].end, end: token.end, text: '' });
+        } else {
+            changes.push({ start: token.start, end: tokens[index + 1].start, text: '' });
+        }
+    });
+
+    return changes;
+}
+
+function applyChanges(edit, file, changes, description) {
+    for (const change of changes) {
+        edit.replace(file.uri, toRange(file, change.start, change.end), change.text, {
+            needsConfirmation: true,
+            label: FIELD_LABEL,
+            description
+        });
+    }
+    return changes.length;
+}
+
+function conceptRange(text, block) {
+    const header = /^ONTOLOGY\s+/.exec(text.slice(block.startOffset));
+    const start = block.startOffset + header[0].length;
+    return { start, end: start + block.concept.length };
+}
+
+function blockRemovalEnd(text, endOffset) {
+    const trailing = /^\s*/.exec(text.slice(endOffset));
+    return endOffset + trailing[0].length;
+}
+
+function toRange(file, start, end) {
+    const from = getLineColumn(file.lineOffsets, start);
+    const to = getLineColumn(file.lineOffsets, end);
+    return new vscode.Range(from.line, from.column, to.line, to.column);
+}
+
+module.exports = {
+    collectCodeTokens,
+    createCodeTokenCache,
+    findCodeOccurrences,
+    buildMergeEdit,
+    buildSplitEdit
+};
@@ -8,11 +8,19 @@
  *     - getCodeFields: Lista campos do tipo CODE
  *     - getChainFields: Lista campos do tipo CHAIN
  *     - isCodeField/isChainField: Checks por nome
+ *     - getRequiredFields/getOptionalFields/getBundles: Declaracoes de <SCOPE> FIELDS
+ *     - getScopeFields: Campos de um escopo na ordem declarada
+ *     - getDescription/getRelationDescription: Textos DESCRIPTION e RELATIONS do template
  */
 
 class FieldRegistry {
-    constructor(fields) {
+    /**
+     * @param {Object} fields - field name -> field definition
+     * @param {Object} [blocks] - scope -> { required, optional, bundles } (templateParser)
+     */
+    constructor(fields, blocks) {
         this.fields = fields || {};
+        this.blocks = blocks || {};
     }
 
     getCodeFields() {
@@ -27,6 +35,12 @@ class FieldRegistry {
             .map(([name]) => name);
     }
 
+    getQuotationFields() {
+        return Object.entries(this.fields)
+            .filter(([, def]) => def.type === 'QUOTATION')
+            .map(([name]) => name);
+    }
+
     getTopicFields() {
         return Object.entries(this.fields)
             .filter(([, def]) => def.type === 'TOPIC' && def.scope === 'ONTOLOGY')
@@ -61,10 +75,109 @@ class FieldRegistry {
         return this.fields[name] || null;
     }
 
+    /**
+     * Campos obrigatorios do escopo, incluindo membros de REQUIRED BUNDLE
+     * @param {string} scope - SOURCE | ITEM | ONTOLOGY
+     * @returns {string[]}
+     */
+    getRequiredFields(scope) {
+        const block = this._getBlock(scope);
+        const names = block.required.slice();
+        for (const bundle of block.bundles) {
+            if (bundle.required) {
+                bundle.fields.filter(name => !names.includes(name)).forEach(name => names.push(name));
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Campos opcionais do escopo, incluindo membros de OPTIONAL BUNDLE
+     * @param {string} scope
+     * @returns {string[]}
+     */
+    getOptionalFields(scope) {
+        const block = this._getBlock(scope);
+        const names = block.optional.slice();
+        for (const bundle of block.bundles) {
+            if (!bundle.required) {
+                bundle.fields.filter(name => !names.includes(name)).forEach(name => names.push(name));
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Grupos de campos que devem aparecer juntos (mesma quantidade)
+     * @param {string} scope
+     * @returns {Array<{fields: string[], required: boolean}>}
+     */
+    getBundles(scope) {
+        return this._getBlock(scope).bundles.map(bundle => ({
+            fields: bundle.fields.slice(),
+            required: bundle.required
+        }));
+    }
+
+    /**
+     * Campos de um escopo: REQUIRED e OPTIONAL do bloco <SCOPE> FIELDS quando
+     * declarado; senao, os FIELDs com esse SCOPE na ordem do template
+     * @param {string} scope
+     * @returns {string[]}
+     */
+    getScopeFields(scope) {
+        const normalized = String(scope || '').toUpperCase();
+        if (this.hasFieldBlock(normalized)) {
+            const names = this.getRequiredFields(normalized);
+            this.getOptionalFields(normalized).filter(name => !names.includes(name)).forEach(name => names.push(name));
+            return names;
+        }
+
+        return Object.entries(this.fields)
+            .filter(([, def]) => def.scope === normalized)
+            .map(([name]) => name);
+    }
+
+    /**
+     * Indica se o template declarou um bloco <SCOPE> FIELDS
+     * @param {string} scope
+     * @returns {boolean}
+     */
+    hasFieldBlock(scope) {
+        return Boolean(this.blocks[String(scope || '').toUpperCase()]);
+    }
+
+    _getBlock(scope) {
+        const block = this.blocks[String(scope || '').toUpperCase()];
+        return {
+            required: block?.required || [],
+            optional: block?.optional || [],
+            bundles: block?.bundles || []
+        };
+    }
+
     hasRelations(name) {
         const def = this.fields[name];
         return def?.type === 'CHAIN' && Array.isArray(def.relations);
     }
+
+    /**
+     * @param {string} name
+     * @returns {string|null} DESCRIPTION do FIELD no template
+     */
+    getDescription(name) {
+        return this.fields[name]?.description || null;
+    }
+
+    /**
+     * @param {string} name - Campo CHAIN
+     * @param {string} relation
+     * @returns {string|null} Texto da relacao no bloco RELATIONS
+     */
+    getRelationDescription(name, relation) {
+        const descriptions = this.fields[name]?.relationDescriptions;
+        return descriptions && descriptions[relation] ? descriptions[relation] : null;
+    }
 }
 
 module.exports = FieldRegistry;
@@ -0,0 +1,202 @@
+/**
+ * fullTextLoader.js - Localiza e carrega o texto completo de uma referencia
+ *
+ * Proposito:
+ *     Resolve um texto completo local para um entry BibTeX e o divide em
+ *     segmentos ancoraveis (paginas de PDF ou paragrafos de .txt/.md).
+ *
+ * Componentes principais:
+ *     - findCandidates: Caminhos possiveis (campo `file` do .bib e sidecars)
+ *     - load: Le o primeiro candidato existente e retorna texto + segmentos
+ *
+ * Dependencias criticas:
+ *     - fs: leitura de arquivos
+ *     - pdfjs-dist (legacy build): extracao de texto de PDFs, carregado sob demanda.
+ *       Fixado em 2.16: a 3.x exige Node 18, e o engines.vscode (^1.60) roda Node 14/16
+ *
+ * Notas de implementacao:
+ *     - Campo `file` aceita formatos JabRef (`desc:path:type`), Zotero/BibDesk
+ *       (caminho simples) e multiplos arquivos separados por `;`
+ *     - Para um PDF, um .txt/.md de mesmo nome tem prioridade (texto revisado)
+ *     - Sidecars: <citationKey>.txt / <citationKey>.md ao lado da bibliografia
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEXT_EXTENSIONS = ['.txt', '.md'];
+
+/**
+ * @param {Object} entry - Entry de bibtexParser
+ * @param {string} bibliographyPath
+ * @returns {string[]} Caminhos absolutos, em ordem de preferencia
+ */
+function findCandidates(entry, bibliographyPath) {
+    const bibDir = path.dirname(bibliographyPath);
+    const candidates = [];
+    const add = (filePath) => {
+        if (filePath && !candidates.includes(filePath)) {
+            candidates.push(filePath);
+        }
+    };
+
+    for (const filePath of parseFileField(getTag(entry, 'file'), bibDir)) {
+        const extension = path.extname(filePath).toLowerCase();
+        if (extension === '.pdf') {
+            const base = filePath.slice(0, -extension.length);
+            TEXT_EXTENSIONS.forEach(textExtension => add(base + textExtension));
+        }
+        if (extension === '.pdf' || TEXT_EXTENSIONS.includes(extension)) {
+            add(filePath);
+        }
+    }
+
+    const key = entry && entry.citationKey ? String(entry.citationKey).replace(/^@/, '') : '';
+    if (key) {
+        TEXT_EXTENSIONS.forEach(extension => add(path.join(bibDir, key + extension)));
+    }
+
+    return candidates;
+}
+
+/**
+ * @param {Object} entry
+ * @param {string} bibliographyPath
+ * @returns {Promise<{path: string, kind: string, text: string, segments: Array}|null>}
+ *
+ * segments: Array<{ label, start, end }> com offsets em `text`
+ */
+async function load(entry, bibliographyPath) {
+    for (const candidate of findCandidates(entry, bibliographyPath)) {
+        if (!(await fileExists(candidate))) {
+            continue;
+        }
+
+        try {
+            if (path.extname(candidate).toLowerCase() === '.pdf') {
+                const pages = await extractPdfPages(candidate);
+                return buildDocument(candidate, 'pdf', pages.map((page, index) => ({
+                    label: `Page ${index + 1}`,
+                    text: page
+                })));
+            }
+
+            const content = await fs.promises.readFile(candidate, 'utf-8');
+            const paragraphs = content
+                .replace(/\r\n/g, '\n')
+                .split(/\n\s*\n/)
+                .map(paragraph => paragraph.trim())
+                .filter(Boolean);
+            return buildDocument(candidate, 'text', paragraphs.map((paragraph, index) => ({
+                label: `¶ ${index + 1}`,
+                text: paragraph
+            })));
+        } catch (error) {
+            console.warn(`fullTextLoader: Failed to read ${candidate}:`, error.message);
+        }
+    }
+
+    return null;
+}
+
+function buildDocument(filePath, kind, parts) {
+    const segments = [];
+    let text = '';
+
+    for (const part of parts) {
+        if (!part.text) {
+            continue;
+        }
+        if (text) {
+            text += '\n\n';
+        }
+        segments.push({ label: part.label, start: text.length, end: text.length + part.text.length });
+        text += part.text;
+    }
+
+    return text ? { path: filePath, kind, text, segments } : null;
+}
+
+async function extractPdfPages(filePath) {
+    const pdfjs = loadPdfjs();
+    const data = new Uint8Array(await fs.promises.readFile(filePath));
+    const document = await pdfjs.getDocument({
+        data,
+        disableFontFace: true,
+        isEvalSupported: false,
+        verbosity: pdfjs.VerbosityLevel.ERRORS
+    }).promise;
+
+    try {
+        const pages = [];
+        for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber += 1) {
+            const page = await document.getPage(pageNumber);
+            const content = await page.getTextContent();
+            const raw = content.items
+                .map(item => (item.str || '') + (item.hasEOL ? '\n' : ''))
+                .join('');
+            pages.push(raw
+                .replace(/(\p{Ll})-\n(\p{Ll})/gu, '$1$2')
+                .replace(/[ \t]*\n[ \t]*/g, '\n')
+                .trim());
+        }
+        return pages;
+    } finally {
+        await document.destroy();
+    }
+}
+
+let pdfjsModule = null;
+
+function loadPdfjs() {
+    if (!pdfjsModule) {
+        // Worker no mesmo thread: o extension host nao carrega pdf.worker.js por caminho
+        global.pdfjsWorker = require('pdfjs-dist/legacy/build/pdf.worker.js');
+        pdfjsModule = require('pdfjs-dist/legacy/build/pdf.js');
+    }
+    return pdfjsModule;
+}
+
+/**
+ * @param {string} value - Valor do campo `file`
+ * @param {string} baseDir - Diretorio da bibliografia
+ * @returns {string[]}
+ */
+function parseFileField(value, baseDir) {
+    if (!value) {
+        return [];
+    }
+
+    return String(value)
+        .split(';')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            // JabRef: "Descricao:caminho:Tipo" (":" escapado como "\:")
+            const pieces = part.split(/(?<!\\):/);
+            const filePart = pieces.length >= 3 ? pieces.slice(1, -1).join(':') : part;
+            return filePart.replace(/\\:/g, ':').replace(/\\\\/g, '\\').trim();
+        })
+        .filter(Boolean)
+        .map(filePath => (path.isAbsolute(filePath) ? filePath : path.resolve(baseDir, filePath)));
+}
+
+function getTag(entry, name) {
+    const tags = entry && entry.entryTags ? entry.entryTags : {};
+    const key = Object.keys(tags).find(tag => tag.toLowerCase() === name);
+    return key ? tags[key] : null;
+}
+
+async function fileExists(filePath) {
+    try {
+        const stat = await fs.promises.stat(filePath);
+        return stat.isFile();
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    findCandidates,
+    load
+};
@@ -0,0 +1,59 @@
+/**
+ * ontologyIndex.js - Indice de conceitos ONTOLOGY do projeto
+ *
+ * Proposito:
+ *     Carrega blocos ONTOLOGY dos arquivos .syno do projeto e permite
+ *     lookup case-insensitive por conceito (descricao, topic, etc.).
+ *
+ * Componentes principais:
+ *     - loadConcepts: Map<conceito em minusculas, OntologyBlock>
+ *     - getFieldText: Valor textual de um campo (campos repetidos unidos)
+ *
+ * Dependencias criticas:
+ *     - WorkspaceScanner: localizacao dos .syno
+ *     - OntologyParser: parsing dos blocos
+ */
+
+const OntologyParser = require('../parsers/ontologyParser');
+const { readText } = require('../utils/documentUtils');
+
+/**
+ * @param {WorkspaceScanner} workspaceScanner
+ * @param {vscode.Uri|null} [projectUri]
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function loadConcepts(workspaceScanner, projectUri) {
+    const parser = new OntologyParser();
+    const concepts = new Map();
+    const files = await workspaceScanner.findSynoFiles(projectUri);
+
+    for (const fileUri of files) {
+        const text = await readText(fileUri);
+        for (const block of parser.parseOntologyBlocks(text, fileUri.fsPath)) {
+            const key = block.concept.toLowerCase();
+            if (!concepts.has(key)) {
+                concepts.set(key, block);
+            }
+        }
+    }
+
+    return concepts;
+}
+
+/**
+ * @param {Object} block - OntologyBlock
+ * @param {string} fieldName
+ * @returns {string}
+ */
+function getFieldText(block, fieldName) {
+    const value = block && block.fields ? block.fields[fieldName] : null;
+    if (value === undefined || value === null) {
+        return '';
+    }
+    return Array.isArray(value) ? value.join('\n') : String(value);
+}
+
+module.exports = {
+    loadConcepts,
+    getFieldText
+};
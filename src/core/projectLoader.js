@@ -8,6 +8,7 @@
  * Componentes principais:
  *     - load: Carrega e parseia o arquivo .synp
  *     - parseProject: Extrai nome, template, includes e metadata
+ *     - parseOutline: Posicoes de PROJECT, TEMPLATE, INCLUDEs e blocos (outline)
  *
  * Dependencias criticas:
  *     - fs: leitura de arquivos
@@ -95,6 +96,55 @@ function parseProject(content) {
     };
 }
 
+/**
+ * Localiza as declaracoes de um .synp (documento aberto) para o outline
+ * @param {string} content
+ * @returns {Object|null} { name, startOffset, endOffset, entries } ou null sem bloco PROJECT
+ *
+ * Entry: { kind: 'TEMPLATE'|'INCLUDE'|'METADATA'|'DESCRIPTION', name, detail, startOffset, endOffset }
+ */
+function parseOutline(content) {
+    const projectMatch = /^[ \t]*PROJECT\b([^\n]*)\n([\s\S]*?)END\s+PROJECT/mi.exec(content);
+    if (!projectMatch) {
+        return null;
+    }
+
+    const bodyOffset = projectMatch.index + projectMatch[0].indexOf('\n') + 1;
+    const body = projectMatch[2];
+    const entries = [];
+
+    const directivePattern = /^[ \t]*(TEMPLATE|INCLUDE[ \t]+([A-Z_]+))[ \t]+("([^"]+)"|([^\s#]+))/gmi;
+    let match;
+    while ((match = directivePattern.exec(body)) !== null) {
+        const isInclude = Boolean(match[2]);
+        entries.push({
+            kind: isInclude ? 'INCLUDE' : 'TEMPLATE',
+            name: isInclude ? `INCLUDE ${match[2].toUpperCase()}` : 'TEMPLATE',
+            detail: match[4] || match[5],
+            startOffset: bodyOffset + match.index + match[0].search(/\S/),
+            endOffset: bodyOffset + match.index + match[0].length
+        });
+    }
+
+    const blockPattern = /^[ \t]*(METADATA|DESCRIPTION)\b[\s\S]*?END[ \t]+\1\b/gmi;
+    while ((match = blockPattern.exec(body)) !== null) {
+        entries.push({
+            kind: match[1].toUpperCase(),
+            name: match[1].toUpperCase(),
+            detail: '',
+            startOffset: bodyOffset + match.index + match[0].search(/\S/),
+            endOffset: bodyOffset + match.index + match[0].length
+        });
+    }
+
+    return {
+        name: projectMatch[1].trim() || null,
+        startOffset: projectMatch.index + projectMatch[0].search(/\S/),
+        endOffset: projectMatch.index + projectMatch[0].length,
+        entries: entries.sort((a, b) => a.startOffset - b.startOffset)
+    };
+}
+
 /**
  * Extrai campos key:value
  * @private
@@ -217,5 +267,6 @@ function resolveProjectPath(projectUri) {
 }
 
 module.exports = {
-    load
+    load,
+    parseOutline
 };
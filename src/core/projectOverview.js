@@ -0,0 +1,167 @@
+/**
+ * projectOverview.js - Resumo de um projeto Synesis (.synp + corpus)
+ *
+ * Proposito:
+ *     Reune metadados do .synp, o estado de cada INCLUDE e estatisticas do
+ *     corpus (sources, items, codigos, relacoes, conceitos) para o dashboard.
+ *
+ * Componentes principais:
+ *     - buildOverview: Monta o resumo de um projeto
+ *     - checkInclude: Resolve um INCLUDE (arquivo, pasta ou glob) e marca se existe
+ *
+ * Dependencias criticas:
+ *     - projectLoader: METADATA, DESCRIPTION, TEMPLATE e INCLUDEs
+ *     - DataService: referencias, codigos e relacoes (LSP ou fallback local)
+ *     - ontologyIndex: contagem de conceitos ONTOLOGY
+ *
+ * Notas de implementacao:
+ *     - sources = blocos SOURCE (ocorrencias de referencias); items = soma de itemCount
+ *     - Referencia do LSP sem location conta como um SOURCE
+ *     - Linhas 0-based
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vscode = require('vscode');
+const projectLoader = require('./projectLoader');
+const { loadConcepts } = require('./ontologyIndex');
+
+const TOP_CODES = 15;
+
+/**
+ * @param {DataService} dataService
+ * @param {WorkspaceScanner} workspaceScanner
+ * @param {Object} project - Descritor de WorkspaceScanner.describeProject
+ * @returns {Promise<Object>}
+ *
+ * Retorno: { project, template, includes, counts, topCodes, sources, distribution }
+ */
+async function buildOverview(dataService, workspaceScanner, project) {
+    const loaded = await projectLoader.load(project.uri);
+
+    const [references, codes, relations, concepts, includes, templateExists] = await Promise.all([
+        dataService.getReferences(project),
+        dataService.getCodes(project),
+        dataService.getRelations(project),
+        loadConcepts(workspaceScanner, project.uri).catch(error => {
+            console.warn('ProjectOverview: Failed to load ontology concepts:', error.message);
+            return new Map();
+        }),
+        Promise.all(loaded.includes.map(include => checkInclude(include))),
+        loaded.templatePath ? pathExists(loaded.templatePath) : Promise.resolve(false)
+    ]);
+
+    const sources = references
+        .map(ref => {
+            const first = ref.occurrences.find(occ => occ.file) || null;
+            return {
+                bibref: ref.bibref,
+                itemCount: ref.itemCount,
+                file: first ? first.file : null,
+                line: first ? first.line : 0
+            };
+        })
+        .sort((a, b) => b.itemCount - a.itemCount || a.bibref.localeCompare(b.bibref));
+
+    return {
+        project: {
+            name: loaded.name || project.name,
+            path: loaded.path,
+            label: vscode.workspace.asRelativePath(project.uri),
+            description: loaded.description || '',
+            metadata: Object.entries(loaded.metadata || {})
+        },
+        template: loaded.templatePath
+            ? { path: loaded.templatePath, label: relativeTo(loaded.dir, loaded.templatePath), exists: templateExists }
+            : null,
+        includes,
+        counts: {
+            sources: references.reduce((sum, ref) => sum + Math.max(1, ref.occurrences.length), 0),
+            references: references.length,
+            items: references.reduce((sum, ref) => sum + (ref.itemCount || 0), 0),
+            codes: codes.length,
+            relations: relations.length,
+            triplets: relations.reduce((sum, rel) => sum + rel.triplets.length, 0),
+            concepts: concepts.size
+        },
+        topCodes: codes
+            .slice()
+            .sort((a, b) => b.usageCount - a.usageCount || a.code.localeCompare(b.code))
+            .slice(0, TOP_CODES)
+            .map(code => ({ code: code.code, usageCount: code.usageCount, ontologyDefined: code.ontologyDefined })),
+        sources,
+        distribution: describeDistribution(sources.map(source => source.itemCount))
+    };
+}
+
+/**
+ * @param {{type: string, path: string, absolutePath: string}} include
+ * @returns {Promise<{type, path, absolutePath, kind, exists, matches}>}
+ *
+ * kind: 'file' | 'directory' | 'glob'; matches: arquivos encontrados (pasta/glob)
+ */
+async function checkInclude(include) {
+    const result = {
+        type: include.type,
+        path: include.path,
+        absolutePath: include.absolutePath,
+        kind: 'file',
+        exists: false,
+        matches: 0
+    };
+
+    if (/[*?[\]{}]/.test(include.path)) {
+        const pattern = include.absolutePath.replace(/\\/g, '/');
+        const matches = await vscode.workspace.findFiles(pattern, '**/node_modules/**');
+        return { ...result, kind: 'glob', exists: matches.length > 0, matches: matches.length };
+    }
+
+    try {
+        const stats = await fs.promises.stat(include.absolutePath);
+        if (stats.isDirectory()) {
+            const entries = await fs.promises.readdir(include.absolutePath);
+            return { ...result, kind: 'directory', exists: true, matches: entries.length };
+        }
+        return { ...result, exists: stats.isFile(), matches: stats.isFile() ? 1 : 0 };
+    } catch (error) {
+        return result;
+    }
+}
+
+function describeDistribution(values) {
+    if (values.length === 0) {
+        return { min: 0, max: 0, median: 0, mean: 0, withoutItems: 0 };
+    }
+
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    const total = sorted.reduce((sum, value) => sum + value, 0);
+
+    return {
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        median,
+        mean: total / sorted.length,
+        withoutItems: sorted.filter(value => value === 0).length
+    };
+}
+
+function relativeTo(baseDir, filePath) {
+    const relative = path.relative(baseDir, filePath);
+    return relative && !relative.startsWith('..') ? relative : filePath;
+}
+
+async function pathExists(filePath) {
+    try {
+        await fs.promises.stat(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    buildOverview,
+    checkInclude
+};
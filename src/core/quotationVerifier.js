@@ -0,0 +1,227 @@
+/**
+ * quotationVerifier.js - Confere QUOTATIONs contra o texto fonte
+ *
+ * Proposito:
+ *     Percorre todos os campos QUOTATION dos ITEMs do projeto e classifica
+ *     cada trecho (exact, fuzzy, not-found) contra o abstract BibTeX e o
+ *     texto completo local do bibref correspondente.
+ *
+ * Componentes principais:
+ *     - verifyProject: Executa a verificacao e retorna resultados + contagens
+ *
+ * Dependencias criticas:
+ *     - TemplateManager: campos QUOTATION (FieldRegistry)
+ *     - bibtexParser / fullTextLoader: abstract e texto completo
+ *     - fuzzyMatcher.scoreExcerpt: classificacao e similaridade
+ *
+ * Notas de implementacao:
+ *     - Abstract e texto completo sao avaliados; vence o melhor status
+ *       (exact > fuzzy > not-found) e, no empate, a maior similaridade
+ *     - Bibref sem entry ou sem nenhum texto -> status 'no-source'
+ *     - Linhas e colunas 0-based (range do valor do campo)
+ */
+
+const projectLoader = require('./projectLoader');
+const fullTextLoader = require('./fullTextLoader');
+const bibtexParser = require('../parsers/bibtexParser');
+const SynesisParser = require('../parsers/synesisParser');
+const fuzzyMatcher = require('../utils/fuzzyMatcher');
+const { readText } = require('../utils/documentUtils');
+const { buildLineOffsets, getLineColumn } = require('../utils/positionUtils');
+
+const STATUS_RANK = { exact: 2, fuzzy: 1, 'not-found': 0 };
+const SNIPPET_LENGTH = 300;
+
+/**
+ * @param {WorkspaceScanner} workspaceScanner
+ * @param {TemplateManager} templateManager
+ * @param {vscode.Uri} projectUri
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Similaridade minima para 'fuzzy'
+ * @returns {Promise<{quotationFields: string[], results: Array, counts: Object}>}
+ *
+ * results: Array<{ bibref, field, file, line, column, endLine, endColumn,
+ *                  excerpt, status, similarity, source, segment, searched, candidate, reason }>
+ */
+async function verifyProject(workspaceScanner, templateManager, projectUri, options = {}) {
+    const registry = await templateManager.loadFieldRegistry(projectUri);
+    const quotationFields = registry.getQuotationFields();
+    const results = [];
+
+    if (quotationFields.length > 0) {
+        const sources = createSourceResolver(projectUri);
+        const parser = new SynesisParser();
+        const synFiles = await workspaceScanner.findSynFiles(projectUri);
+
+        for (const fileUri of synFiles) {
+            const text = await readText(fileUri);
+            const lineOffsets = buildLineOffsets(text);
+
+            for (const item of parser.parseItems(text, fileUri.fsPath)) {
+                for (const entry of item.fieldEntries || []) {
+                    if (!quotationFields.includes(entry.name) || !entry.value.trim()) {
+                        continue;
+                    }
+
+                    const start = getLineColumn(lineOffsets, entry.valueOffset);
+                    const end = getLineColumn(lineOffsets, entry.valueEnd);
+                    const source = await sources.get(item.bibref);
+                    results.push({
+                        bibref: item.bibref,
+                        field: entry.name,
+                        file: fileUri.fsPath,
+                        line: start.line,
+                        column: start.column,
+                        endLine: end.line,
+                        endColumn: end.column,
+                        excerpt: entry.value.replace(/\s+/g, ' ').trim(),
+                        ...verifyExcerpt(entry.value, source, options)
+                    });
+                }
+            }
+        }
+    }
+
+    const counts = { exact: 0, fuzzy: 0, 'not-found': 0, 'no-source': 0 };
+    for (const result of results) {
+        counts[result.status] += 1;
+    }
+
+    return { quotationFields, results, counts };
+}
+
+/**
+ * Cache de abstract/texto completo por bibref, com os mapas de normalizacao
+ * (fuzzyMatcher.prepareSource) reutilizados por todas as QUOTATIONs do bibref
+ */
+function createSourceResolver(projectUri) {
+    const cache = new Map();
+    let entriesPromise = null;
+
+    const loadEntries = async () => {
+        const project = await projectLoader.load(projectUri);
+        if (!project.bibliographyPath) {
+            return { entries: [], bibliographyPath: null };
+        }
+        return {
+            entries: await bibtexParser.parse(project.bibliographyPath),
+            bibliographyPath: project.bibliographyPath
+        };
+    };
+
+    const resolve = async (bibref) => {
+        if (!entriesPromise) {
+            entriesPromise = loadEntries().catch(error => {
+                console.warn('QuotationVerifier: Failed to load bibliography:', error.message);
+                return { entries: [], bibliographyPath: null };
+            });
+        }
+
+        const { entries, bibliographyPath } = await entriesPromise;
+        const entry = bibtexParser.findEntry(entries, bibref);
+        if (!entry) {
+            return { entry: null, abstract: null, fullText: null, prepared: {} };
+        }
+
+        let fullText = null;
+        try {
+            fullText = await fullTextLoader.load(entry, bibliographyPath);
+        } catch (error) {
+            console.warn(`QuotationVerifier: Failed to load full text for ${bibref}:`, error.message);
+        }
+
+        const abstract = bibtexParser.getAbstract(entry);
+        return {
+            entry,
+            abstract,
+            fullText,
+            prepared: {
+                abstract: abstract ? fuzzyMatcher.prepareSource(abstract) : null,
+                fullText: fullText ? fuzzyMatcher.prepareSource(fullText.text) : null
+            }
+        };
+    };
+
+    return {
+        get(bibref) {
+            const key = String(bibref || '').toLowerCase();
+            if (!cache.has(key)) {
+                cache.set(key, resolve(bibref));
+            }
+            return cache.get(key);
+        }
+    };
+}
+
+function verifyExcerpt(excerpt, source, options) {
+    if (!source.entry) {
+        return noSource('Reference not found in bibliography');
+    }
+    if (!source.abstract && !source.fullText) {
+        return noSource('No abstract or local full text');
+    }
+
+    const candidates = [];
+    if (source.abstract) {
+        const score = fuzzyMatcher.scoreExcerpt(source.prepared.abstract, excerpt, options);
+        if (score) {
+            candidates.push({ score, text: source.abstract, source: 'abstract', segment: null });
+        }
+    }
+    if (source.fullText) {
+        const score = fuzzyMatcher.scoreExcerpt(source.prepared.fullText, excerpt, options);
+        if (score) {
+            candidates.push({
+                score,
+                text: source.fullText.text,
+                source: 'full text',
+                segment: findSegmentLabel(source.fullText.segments, score.start)
+            });
+        }
+    }
+
+    if (candidates.length === 0) {
+        return noSource('Empty quotation');
+    }
+
+    candidates.sort((a, b) =>
+        STATUS_RANK[b.score.status] - STATUS_RANK[a.score.status] ||
+        b.score.similarity - a.score.similarity
+    );
+    const best = candidates[0];
+
+    return {
+        status: best.score.status,
+        similarity: best.score.similarity,
+        source: best.source,
+        segment: best.segment,
+        searched: candidates.map(candidate => candidate.source).join(' and '),
+        candidate: best.score.status === 'exact' || best.score.start < 0
+            ? ''
+            : best.text.slice(best.score.start, best.score.end).replace(/\s+/g, ' ').trim().slice(0, SNIPPET_LENGTH),
+        reason: ''
+    };
+}
+
+function noSource(reason) {
+    return { status: 'no-source', similarity: 0, source: '', segment: null, searched: '', candidate: '', reason };
+}
+
+function findSegmentLabel(segments, offset) {
+    if (!Array.isArray(segments) || offset < 0) {
+        return null;
+    }
+
+    let label = null;
+    for (const segment of segments) {
+        if (segment.start > offset) {
+            break;
+        }
+        label = segment.label;
+    }
+    return label;
+}
+
+module.exports = {
+    verifyProject
+};
@@ -0,0 +1,64 @@
+/**
+ * sourceLocator.js - Referencia (bibref) que contem uma posicao de um .syn
+ *
+ * Proposito:
+ *     Resolve a qual bloco SOURCE ou ITEM pertence uma ocorrencia (arquivo,
+ *     linha), para agrupar codigos e relacoes por fonte nos explorers.
+ *
+ * Componentes principais:
+ *     - createSourceLocator: Cria um resolvedor com cache de blocos por arquivo
+ *
+ * Dependencias criticas:
+ *     - SynesisParser: blocos SOURCE/ITEM com offsets
+ *
+ * Notas de implementacao:
+ *     - Funciona com dados do LSP ou do fallback local (so usa file/line)
+ *     - Cache vive enquanto o resolvedor existir; crie um por refresh
+ */
+
+const vscode = require('vscode');
+const SynesisParser = require('../parsers/synesisParser');
+const { readText } = require('../utils/documentUtils');
+const { buildLineOffsets, getLineColumn } = require('../utils/positionUtils');
+
+/**
+ * @returns {function(string, number): Promise<string|null>} locate(file, line) -> bibref
+ */
+function createSourceLocator() {
+    const parser = new SynesisParser();
+    const cache = new Map(); // file -> Promise<Array<{bibref, startLine, endLine}>>
+
+    const loadBlocks = async file => {
+        const text = await readText(vscode.Uri.file(file));
+        const lineOffsets = buildLineOffsets(text);
+        return [
+            ...parser.parseSourceBlocks(text, file),
+            ...parser.parseItems(text, file)
+        ].map(block => ({
+            bibref: block.bibref,
+            startLine: block.line,
+            endLine: getLineColumn(lineOffsets, block.endOffset).line
+        }));
+    };
+
+    return async (file, line) => {
+        if (!file || typeof line !== 'number' || line < 0) {
+            return null;
+        }
+
+        if (!cache.has(file)) {
+            cache.set(file, loadBlocks(file).catch(error => {
+                console.warn(`SourceLocator: Failed to read ${file}:`, error.message);
+                return [];
+            }));
+        }
+
+        const blocks = await cache.get(file);
+        const block = blocks.find(entry => line >= entry.startLine && line <= entry.endLine);
+        return block ? block.bibref : null;
+    };
+}
+
+module.exports = {
+    createSourceLocator
+};
@@ -0,0 +1,338 @@
+/**
+ * symbolIndex.js - Indice incremental de simbolos Synesis do workspace
+ *
+ * Proposito:
+ *     Indexa conceitos ONTOLOGY, codigos usados no corpus, bibrefs de SOURCE
+ *     e FIELDs de template de todos os projetos, para a busca "Go to Symbol
+ *     in Workspace". Cada arquivo e indexado separadamente; uma alteracao
+ *     reindexa so o arquivo afetado.
+ *
+ * Componentes principais:
+ *     - search: Consulta fuzzy -> simbolos ordenados por relevancia
+ *     - invalidate: Marca um arquivo (ou o indice todo) como desatualizado
+ *     - fuzzyScore: Subsequencia sem caixa; bonus para trechos contiguos e
+ *       inicios de palavra
+ *
+ * Dependencias criticas:
+ *     - WorkspaceScanner / projectLoader: projetos e seus .syn, .syno, .synt
+ *     - TemplateManager: campos CODE/CHAIN de cada projeto
+ *     - SynesisParser / OntologyParser / templateParser: extracao por arquivo
+ *     - codeRefactor.collectCodeTokens: codigos dos campos CODE/CHAIN
+ *
+ * Notas de implementacao:
+ *     - Indexacao preguicosa: arquivos marcados ficam "sujos" ate a proxima busca
+ *     - Criar/remover arquivos ou editar um .synp relista os arquivos, mas so
+ *       parseia os novos; editar um .synt reindexa tambem os .syn (campos CODE/CHAIN)
+ *     - Codigo com bloco ONTOLOGY aponta para a definicao; sem ele, para a
+ *       primeira ocorrencia no corpus
+ */
+
+const path = require('path');
+const vscode = require('vscode');
+const SynesisParser = require('../parsers/synesisParser');
+const OntologyParser = require('../parsers/ontologyParser');
+const templateParser = require('../parsers/templateParser');
+const projectLoader = require('./projectLoader');
+const { collectCodeTokens } = require('./codeRefactor');
+const { readText } = require('../utils/documentUtils');
+const { buildLineOffsets, getLineColumn } = require('../utils/positionUtils');
+
+const MAX_RESULTS = 500;
+const INDEXED_EXTENSIONS = ['.syn', '.syno', '.synt', '.synp'];
+
+class SymbolIndex {
+    /**
+     * @param {WorkspaceScanner} workspaceScanner
+     * @param {TemplateManager} templateManager
+     */
+    constructor(workspaceScanner, templateManager) {
+        this.scanner = workspaceScanner;
+        this.templateManager = templateManager;
+        this.synesisParser = new SynesisParser();
+        this.ontologyParser = new OntologyParser();
+        this.files = new Map(); // fsPath -> { uri, kind, projectUri, entry|null }
+        this.dirty = new Set(); // fsPath
+        this.fileSetStale = true;
+        this.symbols = null; // cache da agregacao
+        this.pending = null;
+    }
+
+    /**
+     * @param {string} query
+     * @returns {Promise<Array<{name, kind, detail, file, line, column, score}>>}
+     */
+    async search(query) {
+        const symbols = await this._getSymbols();
+        const needle = String(query || '').trim().toLowerCase();
+        if (!needle) {
+            return symbols.slice(0, MAX_RESULTS);
+        }
+
+        const matches = [];
+        for (const symbol of symbols) {
+            const score = fuzzyScore(needle, symbol.name);
+            if (score !== null) {
+                matches.push({ ...symbol, score });
+            }
+        }
+        return matches
+            .sort((a, b) => b.score - a.score || a.name.length - b.name.length || a.name.localeCompare(b.name))
+            .slice(0, MAX_RESULTS);
+    }
+
+    /**
+     * Arquivos fora do indice so relistam os projetos quando criados/removidos
+     * ou quando sao .synp; a agregacao so e refeita se algo ficou sujo
+     * @param {vscode.Uri} [uri] - Arquivo alterado (omitido = reindexar tudo)
+     * @param {string} [change] - 'edit' (texto nao salvo) | 'change' | 'create' | 'delete'
+     */
+    invalidate(uri, change = 'change') {
+        if (!uri) {
+            this.symbols = null;
+            this.files.clear();
+            this.dirty.clear();
+            this.fileSetStale = true;
+            return;
+        }
+
+        const filePath = uri.fsPath || '';
+        const extension = path.extname(filePath).toLowerCase();
+        if (!INDEXED_EXTENSIONS.includes(extension)) {
+            return;
+        }
+        if (extension === '.synp' || change === 'create' || change === 'delete') {
+            this.fileSetStale = true;
+        }
+        // Campos CODE/CHAIN vem do registry, que so muda com o .synt salvo
+        if (extension === '.synt' && change !== 'edit') {
+            for (const [key, file] of this.files.entries()) {
+                if (file.kind === '.syn') {
+                    this.dirty.add(key);
+                }
+            }
+        }
+        if (this.files.has(filePath)) {
+            this.dirty.add(filePath);
+        }
+    }
+
+    async _getSymbols() {
+        if (this.symbols && !this.fileSetStale && this.dirty.size === 0) {
+            return this.symbols;
+        }
+        if (!this.pending) {
+            this.pending = this._update().finally(() => {
+                this.pending = null;
+            });
+        }
+        await this.pending;
+        return this.symbols || [];
+    }
+
+    async _update() {
+        if (this.fileSetStale) {
+            this.fileSetStale = false;
+            await this._refreshFileSet();
+        }
+
+        const dirty = Array.from(this.dirty);
+        this.dirty.clear();
+        for (const filePath of dirty) {
+            const file = this.files.get(filePath);
+            if (file) {
+                file.entry = await this._indexFile(file);
+            }
+        }
+
+        this.symbols = this._aggregate();
+    }
+
+    /**
+     * Relista os arquivos dos projetos; arquivos novos entram como sujos
+     */
+    async _refreshFileSet() {
+        const found = new Map();
+        for (const project of await this.scanner.listProjects()) {
+            const add = (uri, kind) => {
+                if (uri && !found.has(uri.fsPath)) {
+                    found.set(uri.fsPath, { uri, kind, projectUri: project.uri, entry: null });
+                }
+            };
+
+            try {
+                (await this.scanner.findSynFiles(project.uri)).forEach(uri => add(uri, '.syn'));
+                (await this.scanner.findSynoFiles(project.uri)).forEach(uri => add(uri, '.syno'));
+                const loaded = await projectLoader.load(project.uri);
+                if (loaded.templatePath) {
+                    add(vscode.Uri.file(loaded.templatePath), '.synt');
+                }
+            } catch (error) {
+                console.warn(`SymbolIndex: Failed to list files of ${project.uri.fsPath}:`, error.message);
+            }
+        }
+
+        for (const filePath of Array.from(this.files.keys())) {
+            if (!found.has(filePath)) {
+                this.files.delete(filePath);
+                this.dirty.delete(filePath);
+            }
+        }
+        for (const [filePath, file] of found.entries()) {
+            const known = this.files.get(filePath);
+            if (known && known.projectUri.toString() === file.projectUri.toString()) {
+                continue;
+            }
+            this.files.set(filePath, file);
+            this.dirty.add(filePath);
+        }
+    }
+
+    async _indexFile(file) {
+        try {
+            const text = await readText(file.uri);
+            const lineOffsets = buildLineOffsets(text);
+            const locate = offset => getLineColumn(lineOffsets, offset);
+
+            if (file.kind === '.syno') {
+                return {
+                    concepts: this.ontologyParser.parseOntologyBlocks(text, file.uri.fsPath).map(block => ({
+                        name: block.concept,
+                        ...locate(text.indexOf(block.concept, block.startOffset + 'ONTOLOGY'.length))
+                    }))
+                };
+            }
+
+            if (file.kind === '.synt') {
+                return {
+                    fields: templateParser.parseContent(text).fields.map(field => ({
+                        name: field.name,
+                        detail: `${field.type} · ${field.scope}`,
+                        ...locate(text.indexOf(field.name, field.startOffset + 'FIELD'.length))
+                    }))
+                };
+            }
+
+            const registry = await this.templateManager.loadFieldRegistry(file.projectUri);
+            const codes = new Map();
+            for (const entry of collectCodeTokens(text, file.uri.fsPath, registry, this.synesisParser)) {
+                for (const token of entry.tokens) {
+                    const known = codes.get(token.text);
+                    if (known) {
+                        known.count += 1;
+                    } else {
+                        codes.set(token.text, { name: token.text, count: 1, ...locate(token.start) });
+                    }
+                }
+            }
+            return {
+                sources: this.synesisParser.parseSourceBlocks(text, file.uri.fsPath).map(block => ({
+                    name: block.bibref,
+                    ...locate(text.indexOf(block.bibref, block.startOffset + 'SOURCE'.length))
+                })),
+                codes: Array.from(codes.values())
+            };
+        } catch (error) {
+            console.warn(`SymbolIndex: Failed to index ${file.uri.fsPath}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Junta os indices por arquivo: conceitos e codigos por nome (sem caixa)
+     */
+    _aggregate() {
+        const symbols = [];
+        const codes = new Map(); // nome em minusculas -> simbolo
+        const files = Array.from(this.files.entries()).sort(([a], [b]) => a.localeCompare(b));
+
+        for (const [filePath, file] of files) {
+            const entry = file.entry;
+            if (!entry) {
+                continue;
+            }
+
+            for (const concept of entry.concepts || []) {
+                const key = concept.name.toLowerCase();
+                const known = codes.get(key);
+                if (known && known.kind === 'concept') {
+                    continue;
+                }
+                codes.set(key, {
+                    name: concept.name,
+                    kind: 'concept',
+                    detail: 'ONTOLOGY',
+                    usage: known ? known.usage : 0,
+                    file: filePath,
+                    line: concept.line,
+                    column: concept.column
+                });
+            }
+
+            for (const field of entry.fields || []) {
+                symbols.push({ name: field.name, kind: 'field', detail: field.detail, file: filePath, line: field.line, column: field.column });
+            }
+
+            for (const source of entry.sources || []) {
+                symbols.push({ name: source.name, kind: 'source', detail: 'SOURCE', file: filePath, line: source.line, column: source.column });
+            }
+
+            for (const code of entry.codes || []) {
+                const key = code.name.toLowerCase();
+                const known = codes.get(key);
+                if (known) {
+                    known.usage += code.count;
+                    continue;
+                }
+                codes.set(key, {
+                    name: code.name,
+                    kind: 'code',
+                    detail: 'no ONTOLOGY definition',
+                    usage: code.count,
+                    file: filePath,
+                    line: code.line,
+                    column: code.column
+                });
+            }
+        }
+
+        for (const code of codes.values()) {
+            symbols.push({
+                ...code,
+                detail: code.usage > 0 ? `${code.detail} · used ${code.usage} time(s)` : code.detail
+            });
+        }
+        return symbols.sort((a, b) => a.name.localeCompare(b.name));
+    }
+}
+
+/**
+ * Subsequencia sem caixa; pontua sequencias contiguas e inicios de palavra
+ * @param {string} needle - Consulta em minusculas
+ * @param {string} name
+ * @returns {number|null}
+ */
+function fuzzyScore(needle, name) {
+    const haystack = name.toLowerCase();
+    let score = 0;
+    let index = 0;
+    let previous = -2;
+
+    for (let position = 0; position < haystack.length && index < needle.length; position += 1) {
+        if (haystack[position] !== needle[index]) {
+            continue;
+        }
+        score += 1;
+        if (position === previous + 1) {
+            score += 2;
+        }
+        if (position === 0 || /[^\p{L}\p{N}]/u.test(haystack[position - 1]) || name[position] !== haystack[position]) {
+            score += 3;
+        }
+        previous = position;
+        index += 1;
+    }
+
+    return index === needle.length ? score : null;
+}
+
+module.exports = SymbolIndex;
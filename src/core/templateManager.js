@@ -7,7 +7,9 @@
  *
  * Componentes principais:
  *     - loadTemplate: Carrega template com cache
+ *     - loadFieldRegistry: FieldRegistry com fields e declaracoes de blocos
  *     - invalidateCache: Limpa cache quando template modificado
+ *     - invalidateTemplateFile: Limpa os projetos que usam um .synt
  *     - getDefaults: Retorna field definitions padrão
  *
  * Dependencias criticas:
@@ -24,9 +26,11 @@
  *     - Fallback para DEFAULT_FIELDS se parsing falhar
  */
 
+const path = require('path');
 const vscode = require('vscode');
 const projectLoader = require('./projectLoader');
 const templateParser = require('../parsers/templateParser');
+const FieldRegistry = require('./fieldRegistry');
 
 const DEFAULT_FIELDS = {
     code: { type: 'CODE', scope: 'ITEM' },
@@ -45,6 +49,7 @@ class TemplateManager {
     constructor() {
         this.cache = new Map();
         this.cacheInfo = new Map();
+        this.registryCache = new Map(); // projectKey -> { fields, registry }
     }
 
     /**
@@ -94,7 +99,9 @@ class TemplateManager {
             this._setCacheInfo(key, {
                 fromTemplate: true,
                 hasChainFields: this._hasChainFields(template),
-                hasTopicFields: this._hasTopicFields(template)
+                hasTopicFields: this._hasTopicFields(template),
+                blocks: template.blocks || {},
+                templatePath: project.templatePath
             });
             this.cache.set(key, registry);
             return registry;
@@ -112,6 +119,27 @@ class TemplateManager {
         }
     }
 
+    /**
+     * Carrega template e retorna FieldRegistry com REQUIRED/OPTIONAL/BUNDLE
+     * A mesma instancia e devolvida enquanto o template do projeto nao muda,
+     * para que caches dos providers possam compara-la por identidade
+     * @param {vscode.Uri|null} projectUri
+     * @returns {Promise<FieldRegistry>}
+     */
+    async loadFieldRegistry(projectUri) {
+        const fields = await this.loadTemplate(projectUri);
+        const key = this._getProjectKey(projectUri);
+        const cached = this.registryCache.get(key);
+        if (cached && cached.fields === fields) {
+            return cached.registry;
+        }
+
+        const info = this.getTemplateInfo(projectUri);
+        const registry = new FieldRegistry(fields, info && info.blocks ? info.blocks : {});
+        this.registryCache.set(key, { fields, registry });
+        return registry;
+    }
+
     /**
      * Invalida cache de template(s)
      * @param {vscode.Uri|null} projectUri - URI específica ou null para limpar tudo
@@ -121,14 +149,38 @@ class TemplateManager {
             const key = this._getProjectKey(projectUri);
             this.cache.delete(key);
             this.cacheInfo.delete(key);
+            this.registryCache.delete(key);
             console.log(`Cache invalidated for: ${key}`);
         } else {
             this.cache.clear();
             this.cacheInfo.clear();
+            this.registryCache.clear();
             console.log('All template cache cleared');
         }
     }
 
+    /**
+     * Invalida os projetos cujo template e o arquivo informado, e os que
+     * estavam em defaults (o .synt pode ter sido criado agora)
+     * @param {vscode.Uri} templateUri - Arquivo .synt alterado
+     * @returns {string[]} Chaves (caminho do .synp) invalidadas
+     */
+    invalidateTemplateFile(templateUri) {
+        const templatePath = normalizePath(templateUri.fsPath);
+        const keys = Array.from(this.cache.keys()).filter(key => {
+            const info = this.cacheInfo.get(key);
+            return !info || !info.fromTemplate || normalizePath(info.templatePath) === templatePath;
+        });
+
+        for (const key of keys) {
+            this.cache.delete(key);
+            this.cacheInfo.delete(key);
+            this.registryCache.delete(key);
+        }
+        console.log(`Template cache invalidated for ${templateUri.fsPath}: ${keys.length} project(s)`);
+        return keys;
+    }
+
     /**
      * Retorna field definitions padrão
      * @returns {Object}
@@ -164,6 +216,8 @@ class TemplateManager {
                 type: fieldDef.type,
                 scope: fieldDef.scope,
                 relations: fieldDef.relations || null,
+                relationDescriptions: fieldDef.relationDescriptions || null,
+                description: fieldDef.description || null,
                 arity: fieldDef.arity || null,
                 values: fieldDef.values || null
             };
@@ -214,4 +268,9 @@ class TemplateManager {
     }
 }
 
+function normalizePath(filePath) {
+    const normalized = path.normalize(String(filePath || ''));
+    return process.platform === 'win32' ? normalized.toLowerCase() : normalized;
+}
+
 module.exports = TemplateManager;
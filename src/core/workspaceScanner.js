@@ -7,14 +7,22 @@
  *
  * Componentes principais:
  *     - findSynFiles: Glob para arquivos .syn
- *     - findProjectFile: Localiza .synp (com quick pick se múltiplos)
+ *     - findProjectFile: Projeto ativo (.synp); com múltiplos e nenhum ativo,
+ *       pede ao usuário escolher uma vez e persiste a escolha
+ *     - setActiveProjectUri: Define/persiste o projeto ativo (workspaceState)
+ *     - listProjects: Todos os .synp de todas as pastas do workspace (multi-root)
+ *     - pickActiveProject: Projeto ativo entre os listados (sem escolha: fallback)
  *     - findTemplateFile: Localiza .synt associado ao projeto
  *
  * Dependências críticas:
  *     - vscode: API de workspace
  *
+ * Notas de implementação:
+ *     - Projeto ativo fica em workspaceState ('synesis.activeProject') e
+ *       sobrevive a reinicios; onDidChangeActiveProject notifica mudanças
+ *
  * Exemplo de uso:
- *     const scanner = new WorkspaceScanner();
+ *     const scanner = new WorkspaceScanner(context.workspaceState);
  *     const synFiles = await scanner.findSynFiles();
  *     const project = await scanner.findProjectFile();
  */
@@ -24,7 +32,128 @@ const path = require('path');
 const vscode = require('vscode');
 const projectLoader = require('./projectLoader');
 
+const ACTIVE_PROJECT_KEY = 'synesis.activeProject';
+
 class WorkspaceScanner {
+    /**
+     * @param {vscode.Memento} [workspaceState] - Persiste o projeto ativo
+     */
+    constructor(workspaceState = null) {
+        this.workspaceState = workspaceState;
+        const stored = workspaceState ? workspaceState.get(ACTIVE_PROJECT_KEY) : null;
+        this.activeProjectUri = stored ? vscode.Uri.parse(stored) : null;
+
+        this._onDidChangeActiveProject = new vscode.EventEmitter();
+        this.onDidChangeActiveProject = this._onDidChangeActiveProject.event;
+    }
+
+    /**
+     * Define o projeto ativo e persiste em workspaceState (null limpa a escolha)
+     * @param {vscode.Uri|null} projectUri
+     */
+    async setActiveProjectUri(projectUri) {
+        const previous = this.activeProjectUri ? this.activeProjectUri.toString() : null;
+        const next = projectUri ? projectUri.toString() : null;
+        this.activeProjectUri = projectUri || null;
+
+        if (this.workspaceState) {
+            await this.workspaceState.update(ACTIVE_PROJECT_KEY, next || undefined);
+        }
+        if (previous !== next) {
+            this._onDidChangeActiveProject.fire(this.activeProjectUri);
+        }
+    }
+
+    /**
+     * @returns {vscode.Uri|null}
+     */
+    getActiveProjectUri() {
+        return this.activeProjectUri;
+    }
+
+    /**
+     * Lista os projetos (.synp) de todas as pastas do workspace
+     * @returns {Promise<Array<{key, uri, name, workspaceRoot, folderName}>>}
+     */
+    async listProjects() {
+        const uris = await vscode.workspace.findFiles('**/*.synp', '**/node_modules/**');
+        return uris
+            .map(uri => this.describeProject(uri))
+            .sort((a, b) => a.uri.fsPath.localeCompare(b.uri.fsPath));
+    }
+
+    /**
+     * @param {vscode.Uri} projectUri
+     * @returns {{key: string, uri: vscode.Uri, name: string, workspaceRoot: string, folderName: string}}
+     */
+    describeProject(projectUri) {
+        const folder = vscode.workspace.getWorkspaceFolder(projectUri);
+        const workspaceRoot = folder ? folder.uri.fsPath : path.dirname(projectUri.fsPath);
+        return {
+            key: projectUri.toString(),
+            uri: projectUri,
+            name: path.basename(projectUri.fsPath, path.extname(projectUri.fsPath)),
+            workspaceRoot,
+            folderName: folder ? folder.name : path.basename(workspaceRoot)
+        };
+    }
+
+    /**
+     * Projeto ativo entre os conhecidos. Sem escolha registrada (varios
+     * projetos), recai no mais proximo do editor ativo ou no primeiro
+     * @param {Array} projects - Retorno de listProjects
+     * @returns {Object|null}
+     */
+    pickActiveProject(projects) {
+        if (!Array.isArray(projects) || projects.length === 0) {
+            return null;
+        }
+
+        const active = this.findActiveProject(projects);
+        if (active || projects.length === 1) {
+            return active || projects[0];
+        }
+
+        const document = vscode.window.activeTextEditor?.document;
+        return (document && this.pickProjectForUri(projects, document.uri)) || projects[0];
+    }
+
+    /**
+     * Descritor do projeto ativo registrado, se ainda existir
+     * @param {Array} projects
+     * @returns {Object|null}
+     */
+    findActiveProject(projects) {
+        if (!this.activeProjectUri || !Array.isArray(projects)) {
+            return null;
+        }
+        const key = this.activeProjectUri.toString();
+        return projects.find(project => project.key === key) || null;
+    }
+
+    /**
+     * Projeto que contem um arquivo (.synp ancestral mais proximo, senao
+     * o primeiro da mesma pasta do workspace)
+     * @param {Array} projects
+     * @param {vscode.Uri} uri
+     * @returns {Object|null}
+     */
+    pickProjectForUri(projects, uri) {
+        if (!uri || !Array.isArray(projects)) {
+            return null;
+        }
+
+        const closest = this._pickClosestProject(projects.map(project => project.uri), uri.fsPath);
+        if (closest) {
+            return projects.find(project => project.key === closest.toString()) || null;
+        }
+
+        const folder = vscode.workspace.getWorkspaceFolder(uri);
+        return folder
+            ? projects.find(project => project.workspaceRoot === folder.uri.fsPath) || null
+            : null;
+    }
+
     /**
      * Busca todos os arquivos .syn no workspace
      * @returns {Promise<vscode.Uri[]>}
@@ -60,45 +189,61 @@ class WorkspaceScanner {
     }
 
     /**
-     * Busca arquivo .synp (projeto). Se múltiplos, pede ao usuário escolher.
+     * Retorna o projeto ativo (.synp). Sem projeto ativo: usa o único projeto
+     * do workspace ou, se houver vários, pede ao usuário escolher e persiste.
      * @returns {Promise<vscode.Uri|null>}
      */
     async findProjectFile() {
-        const workspaceFolder = this._getActiveWorkspaceFolder();
-        if (!workspaceFolder) {
-            return null;
+        if (this.activeProjectUri) {
+            return this.activeProjectUri;
         }
 
-        const projects = await vscode.workspace.findFiles(
-            new vscode.RelativePattern(workspaceFolder, '**/*.synp'),
-            '**/node_modules/**'
-        );
+        const projects = await this.listProjects();
 
         if (projects.length === 0) {
             return null;
         }
 
         if (projects.length === 1) {
-            return projects[0];
+            return projects[0].uri;
         }
 
-        const preferred = this._pickClosestProject(projects);
-        if (preferred) {
-            return preferred;
+        const selected = await this.promptForProject(projects, 'Multiple Synesis projects found. Select the active project:');
+        if (selected) {
+            await this.setActiveProjectUri(selected.uri);
         }
+        return selected ? selected.uri : null;
+    }
 
-        // Múltiplos projetos: mostrar quick pick no workspace ativo
-        const items = projects.map(uri => ({
-            label: this._getFileName(uri),
-            description: this._getRelativePath(uri),
-            uri: uri
+    /**
+     * QuickPick de projetos (projeto ativo marcado)
+     * @param {Array} projects - Retorno de listProjects
+     * @param {string} placeHolder
+     * @returns {Promise<Object|undefined>} Descritor escolhido
+     */
+    async promptForProject(projects, placeHolder) {
+        const activeKey = this.activeProjectUri ? this.activeProjectUri.toString() : '';
+        const items = projects.map(project => ({
+            label: project.key === activeKey ? `$(check) ${project.name}` : project.name,
+            description: project.folderName,
+            detail: this._getRelativePath(project.uri),
+            project
         }));
 
-        const selected = await vscode.window.showQuickPick(items, {
-            placeHolder: 'Multiple Synesis projects found. Select one:'
-        });
+        const selected = await vscode.window.showQuickPick(items, { placeHolder });
+        return selected ? selected.project : undefined;
+    }
 
-        return selected ? selected.uri : null;
+    /**
+     * Projeto (.synp) ao qual um arquivo pertence; sem correspondencia,
+     * recai no projeto ativo registrado (sem quick pick)
+     * @param {vscode.Uri} uri
+     * @returns {Promise<vscode.Uri|null>}
+     */
+    async findProjectFileForUri(uri) {
+        const projects = await this.listProjects();
+        const project = this.pickProjectForUri(projects, uri) || this.findActiveProject(projects);
+        return project ? project.uri : null;
     }
 
     /**
@@ -120,14 +265,6 @@ class WorkspaceScanner {
         return templates.length > 0 ? templates[0] : null;
     }
 
-    /**
-     * Extrai nome do arquivo de uma URI
-     * @private
-     */
-    _getFileName(uri) {
-        return path.basename(uri.fsPath || '');
-    }
-
     /**
      * Extrai caminho relativo ao workspace
      * @private
@@ -160,13 +297,11 @@ class WorkspaceScanner {
         return folders && folders.length > 0 ? folders[0] : null;
     }
 
-    _pickClosestProject(projects) {
-        const document = vscode.window.activeTextEditor?.document;
-        if (!document || !document.uri) {
+    _pickClosestProject(projects, docPath) {
+        if (!docPath) {
             return null;
         }
 
-        const docPath = document.uri.fsPath;
         let best = null;
         let bestDepth = -1;
 
@@ -8,19 +8,46 @@
  * Componentes principais:
  *     - refresh: Obtém dados via DataService (LSP ou regex local)
  *     - getChildren: Retorna lista de codigos ou ocorrencias
+ *     - setSortMode / setGroupMode: Ordenacao e agrupamento (ViewOptions)
+ *     - setGroupByTopic: Alterna lista plana / agrupamento por topico ONTOLOGY
+ *     - setFilter / countFilterMatches: Filtro com a sintaxe de filterQuery
  *
  * Dependencias criticas:
- *     - DataService: LSP-only data access
+ *     - DataService: LSP data access with local fallback
+ *
+ * Notas de implementacao:
+ *     - Com mais de um projeto (.synp), codigos ficam sob um ProjectTreeItem
+ *       por projeto e o id do item inclui a chave do projeto
+ *     - Agrupado por topico: cada codigo fica sob o primeiro topico que lista
+ *       o conceito (getOntologyTopics); sem topico vai para "Unclassified"
+ *     - Topicos mostram a soma de codigos e usos visiveis (respeita o filtro)
+ *     - Agrupado por arquivo ou fonte, um codigo aparece em cada grupo onde
+ *       ocorre, com as ocorrencias daquele grupo
  */
 
 const path = require('path');
 const vscode = require('vscode');
+const ProjectTreeItem = require('../projectTreeItem');
+const { ViewOptions, GroupTreeItem, sortEntries, groupEntries } = require('../viewOptions');
+const { createSourceLocator } = require('../../core/sourceLocator');
+const { parseFilterQuery } = require('../filterQuery');
 
 class CodeExplorer {
-    constructor(dataService) {
+    /**
+     * @param {DataService} dataService
+     * @param {vscode.Memento} [memento] - workspaceState para persistir ordenacao/agrupamento
+     */
+    constructor(dataService, memento) {
         this.dataService = dataService;
-        this.codes = new Map(); // code -> { usageCount, ontologyDefined, occurrences }
+        this.groups = []; // [{ project, codes: Map<code, { usageCount, ontologyDefined, occurrences }>, topicTree, buckets }]
         this.filterText = '';
+        this.filterQuery = parseFilterQuery('');
+        this.viewOptions = new ViewOptions('synesisCodeExplorer', {
+            title: 'Codes',
+            sorts: ['name', 'usage', 'firstAppearance', 'file'],
+            groups: ['none', 'topic', 'file', 'source']
+        }, memento);
+        this._setGroupByTopicContext(this._isTopicMode());
         this.placeholder = null;
         this._lastDataHash = null; // Cache hash to avoid unnecessary refreshes
 
@@ -51,8 +78,8 @@ class CodeExplorer {
     async refresh() {
         this.placeholder = null;
 
-        const lspStatus = this._getLspStatus();
-        if (lspStatus !== 'ready') {
+        const lspStatus = this.dataService.getLspStatus();
+        if (lspStatus !== 'ready' && !this.dataService.hasLocalProvider()) {
             const label = lspStatus === 'disabled' ? 'LSP disabled' : 'LSP not ready';
             const description = lspStatus === 'disabled'
                 ? 'Synesis LSP is disabled in settings.'
@@ -64,26 +91,43 @@ class CodeExplorer {
         }
 
         try {
-            const codes = await this.dataService.getCodes();
+            const topicMode = this._isTopicMode();
+            const groups = [];
+            for (const project of this.dataService.getDisplayProjects()) {
+                const codes = await this.dataService.getCodes(project);
+                const topics = topicMode ? await this._loadTopics(project) : [];
+                groups.push({ project, codes, topics });
+            }
 
             // Check if data actually changed
-            const newHash = this._hashData(codes);
+            const newHash = groups
+                .map(group => `${group.project.key}=${this.dataService.getProjectState(group.project)}:${this._hashData(group.codes)}` +
+                    (topicMode ? `:${this._hashTopics(group.topics)}` : ''))
+                .join('||');
             if (newHash === this._lastDataHash) {
                 // Data hasn't changed, skip update
                 return;
             }
             this._lastDataHash = newHash;
 
-            this.codes.clear();
-            for (const entry of codes) {
-                this.codes.set(entry.code, {
+            const locate = createSourceLocator();
+            const grouped = [];
+            for (const group of groups) {
+                const codes = new Map(group.codes.map(entry => [entry.code, {
                     usageCount: entry.usageCount,
                     ontologyDefined: entry.ontologyDefined,
                     occurrences: entry.occurrences
+                }]));
+                grouped.push({
+                    project: group.project,
+                    codes,
+                    topicTree: topicMode ? buildTopicTree(group.topics, codes) : null,
+                    buckets: await this._groupCodes(codes, locate)
                 });
             }
+            this.groups = grouped;
 
-            await this._setHasCodes(this.codes.size > 0);
+            await this._setHasCodes(this.groups.some(group => group.codes.size > 0));
             this._onDidChangeTreeData.fire();
         } catch (error) {
             console.error('CodeExplorer: Error scanning codes:', error);
@@ -102,39 +146,289 @@ class CodeExplorer {
                 return [this.placeholder];
             }
 
-            const items = [];
-            const filter = this.filterText;
-
-            for (const [code, data] of this.codes.entries()) {
-                if (filter && !code.toLowerCase().includes(filter)) {
-                    continue;
-                }
-                items.push(new CodeTreeItem(code, data));
+            if (this._isGrouped()) {
+                return this.groups.map(group => this._createProjectItem(group.project));
             }
 
-            return items.sort((a, b) => a.code.localeCompare(b.code));
+            return this.groups.length === 1 ? this._buildRootItems(this.groups[0]) : [];
         }
 
         if (element.isPlaceholder) {
             return [];
         }
 
+        if (element.isProject) {
+            const group = this.groups.find(entry => entry.project.key === element.project.key);
+            return group ? this._buildRootItems(group) : [];
+        }
+
+        if (element.isCodeTopic) {
+            const group = this._findGroup(element.projectKey);
+            return group ? this._buildTopicChildren(group, element.topicNode) : [];
+        }
+
+        if (element.isViewGroup) {
+            const group = this._findGroup(element.projectKey);
+            const bucket = group ? this._findBucket(group, element.groupKey) : null;
+            return bucket ? this._buildCodeItems(group, null, bucket) : [];
+        }
+
         return element.occurrences.map(occ => new OccurrenceTreeItem(occ));
     }
 
-    async _setHasCodes(value) {
-        await vscode.commands.executeCommand('setContext', 'synesis.hasCodes', value);
+    /**
+     * Retorna o TreeItem de um codigo para reveal no TreeView
+     * Limpa o filtro se ele estiver escondendo o codigo
+     * @param {string} code
+     * @returns {CodeTreeItem|null}
+     */
+    findCodeItem(code) {
+        const active = this.dataService.getActiveProject();
+        const candidates = this.groups.filter(group => group.codes.has(code));
+        const group = candidates.find(entry => active && entry.project.key === active.key) || candidates[0];
+        if (!group) {
+            return null;
+        }
+
+        if (!this._matchesFilter(code, group.codes.get(code))) {
+            this.setFilter('');
+        }
+
+        if (group.buckets) {
+            const bucket = group.buckets.find(entry => entry.entries.has(code));
+            return bucket
+                ? new CodeTreeItem(code, bucket.entries.get(code), this._getItemScope(group), bucket.key)
+                : null;
+        }
+
+        return new CodeTreeItem(code, group.codes.get(code), this._getItemScope(group));
+    }
+
+    /**
+     * Necessario para TreeView.reveal; codigos sao itens raiz, filhos do
+     * projeto, de um topico ou de um grupo (arquivo/fonte)
+     * @param {vscode.TreeItem} element
+     * @returns {vscode.TreeItem|null}
+     */
+    getParent(element) {
+        if (!element) {
+            return null;
+        }
+
+        const group = this._findGroup(element.projectKey);
+        if (!group) {
+            return null;
+        }
+
+        if (group.buckets && element.code && typeof element.groupKey === 'string') {
+            const bucket = this._findBucket(group, element.groupKey);
+            if (bucket) {
+                return this._createGroupItem(group, bucket);
+            }
+        }
+
+        if (group.topicTree && (element.code || element.isCodeTopic)) {
+            const node = element.isCodeTopic ? element.topicNode.parent : group.topicTree.codeNodes.get(element.code);
+            if (node) {
+                return this._createTopicItem(group, node);
+            }
+        }
+
+        return this._isGrouped() ? this._createProjectItem(group.project) : null;
+    }
+
+    /**
+     * Alterna o agrupamento por topico ONTOLOGY
+     * @param {boolean} value
+     */
+    async setGroupByTopic(value) {
+        await this.setGroupMode(value ? 'topic' : 'none');
+    }
+
+    /**
+     * Altera a ordenacao da view
+     * @param {string} mode
+     */
+    async setSortMode(mode) {
+        if (await this.viewOptions.setSort(mode)) {
+            this._onDidChangeTreeData.fire();
+        }
+    }
+
+    /**
+     * Altera o agrupamento da view (none, topic, file, source)
+     * @param {string} mode
+     */
+    async setGroupMode(mode) {
+        if (await this.viewOptions.setGroup(mode)) {
+            await this._setGroupByTopicContext(this._isTopicMode());
+            this._lastDataHash = null;
+            await this.refresh();
+        }
+    }
+
+    /**
+     * Indica se ha codigos carregados em algum projeto
+     * @returns {boolean}
+     */
+    hasCodes() {
+        return this.groups.some(group => group.codes.size > 0);
+    }
+
+    _isGrouped() {
+        return this.groups.length > 1;
+    }
+
+    _isTopicMode() {
+        return this.viewOptions.group === 'topic';
+    }
+
+    async _setGroupByTopicContext(value) {
+        await vscode.commands.executeCommand('setContext', 'synesis.code.groupByTopic', value);
+    }
+
+    _createProjectItem(project) {
+        return new ProjectTreeItem(project, this.dataService.getProjectState(project));
+    }
+
+    _getItemScope(group) {
+        return this._isGrouped() ? group.project.key : null;
+    }
+
+    _findGroup(projectKey) {
+        if (!projectKey) {
+            return this._isGrouped() ? null : this.groups[0] || null;
+        }
+        return this.groups.find(entry => entry.project.key === projectKey) || null;
     }
 
-    _getLspStatus() {
-        const client = this.dataService && this.dataService.lspClient;
-        if (!client) {
-            return 'disabled';
+    _findBucket(group, key) {
+        return group.buckets ? group.buckets.find(bucket => bucket.key === key) || null : null;
+    }
+
+    async _groupCodes(codes, locate) {
+        const mode = this.viewOptions.group;
+        if (mode !== 'file' && mode !== 'source') {
+            return null;
+        }
+        return groupEntries(codes, mode, {
+            occurrences: data => data.occurrences,
+            subset: (data, occurrences) => ({ ...data, usageCount: occurrences.length, occurrences }),
+            locate
+        });
+    }
+
+    async _loadTopics(project) {
+        try {
+            return await this.dataService.getOntologyTopics(project) || [];
+        } catch (error) {
+            console.warn('CodeExplorer: Failed to load ontology topics:', error.message);
+            return [];
+        }
+    }
+
+    _hashTopics(topics) {
+        const parts = [];
+        const walk = (nodes, prefix) => {
+            for (const node of nodes || []) {
+                const key = `${prefix}/${node.name}`;
+                parts.push(key);
+                walk(node.children, key);
+            }
+        };
+        walk(topics, '');
+        return parts.join(',');
+    }
+
+    _buildRootItems(group) {
+        if (group.buckets) {
+            return group.buckets
+                .map(bucket => this._createGroupItem(group, bucket))
+                .filter(item => item.codeCount > 0);
+        }
+
+        if (!group.topicTree) {
+            return this._buildCodeItems(group);
         }
-        if (typeof client.isReady !== 'function' || !client.isReady()) {
-            return 'loading';
+
+        const nodes = [...group.topicTree.roots, group.topicTree.unclassified];
+        return this._buildTopicItems(group, nodes);
+    }
+
+    _buildTopicChildren(group, node) {
+        return [
+            ...this._buildTopicItems(group, node.children),
+            ...this._buildCodeItems(group, node.codes)
+        ];
+    }
+
+    _buildTopicItems(group, nodes) {
+        return nodes
+            .map(node => this._createTopicItem(group, node))
+            .filter(item => item.stats.codes > 0);
+    }
+
+    _createTopicItem(group, node) {
+        return new TopicTreeItem(node, this._topicStats(group, node), this._getItemScope(group));
+    }
+
+    _createGroupItem(group, bucket) {
+        const items = this._buildCodeItems(group, null, bucket);
+        const usage = items.reduce((sum, item) => sum + item.usageCount, 0);
+        const item = new GroupTreeItem(
+            'code',
+            bucket,
+            this.viewOptions.group,
+            `${items.length} code(s) · ${usage} use(s)`,
+            this._getItemScope(group)
+        );
+        item.codeCount = items.length;
+        return item;
+    }
+
+    _topicStats(group, node) {
+        const stats = { codes: 0, usage: 0 };
+        for (const code of node.codes) {
+            const data = group.codes.get(code);
+            if (this._matchesFilter(code, data)) {
+                stats.codes += 1;
+                stats.usage += data.usageCount || 0;
+            }
+        }
+        for (const child of node.children) {
+            const childStats = this._topicStats(group, child);
+            stats.codes += childStats.codes;
+            stats.usage += childStats.usage;
+        }
+        return stats;
+    }
+
+    _matchesFilter(code, data) {
+        return this.filterQuery.matches(describeCode(code, data));
+    }
+
+    _buildCodeItems(group, codes, bucket = null) {
+        const items = [];
+        const scope = this._getItemScope(group);
+        const entries = bucket ? bucket.entries : group.codes;
+
+        for (const code of codes || entries.keys()) {
+            const data = entries.get(code);
+            if (!this._matchesFilter(code, data)) {
+                continue;
+            }
+            items.push(new CodeTreeItem(code, data, scope, bucket ? bucket.key : null));
         }
-        return 'ready';
+
+        return sortEntries(items, this.viewOptions.sort, item => ({
+            name: item.code,
+            usage: item.usageCount,
+            occurrences: item.occurrences
+        }));
+    }
+
+    async _setHasCodes(value) {
+        await vscode.commands.executeCommand('setContext', 'synesis.hasCodes', value);
     }
 
     _setPlaceholder(label, description) {
@@ -142,11 +436,28 @@ class CodeExplorer {
     }
 
     /**
-     * Atualiza o filtro por codigo
+     * Conta codigos que passam por uma consulta (previa do filtro)
+     * @param {Object} query - parseFilterQuery
+     * @returns {{matched: number, total: number}}
+     */
+    countFilterMatches(query) {
+        const result = { matched: 0, total: 0 };
+        for (const group of this.groups) {
+            for (const [code, data] of group.codes.entries()) {
+                result.total += 1;
+                result.matched += query.matches(describeCode(code, data)) ? 1 : 0;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Atualiza o filtro (sintaxe de filterQuery)
      * @param {string} text
      */
     setFilter(text) {
-        this.filterText = (text || '').trim().toLowerCase();
+        this.filterText = (text || '').trim();
+        this.filterQuery = parseFilterQuery(this.filterText);
         this._setFilterActive(this.filterText.length > 0);
         this._onDidChangeTreeData.fire();
     }
@@ -165,7 +476,13 @@ class CodeExplorer {
 }
 
 class CodeTreeItem extends vscode.TreeItem {
-    constructor(code, data) {
+    /**
+     * @param {string} code
+     * @param {Object} data
+     * @param {string|null} [projectKey] - Projeto de origem quando a arvore esta agrupada
+     * @param {string|null} [groupKey] - Grupo (arquivo/fonte) quando agrupado por arquivo ou fonte
+     */
+    constructor(code, data, projectKey = null, groupKey = null) {
         const hasChildren = data.occurrences.length > 0;
         const state = hasChildren
             ? vscode.TreeItemCollapsibleState.Collapsed
@@ -173,7 +490,12 @@ class CodeTreeItem extends vscode.TreeItem {
 
         super(code, state);
 
+        const scope = projectKey ? `${projectKey}:` : '';
+        this.id = groupKey === null ? `code:${scope}${code}` : `code:${scope}${groupKey}:${code}`;
         this.code = code;
+        this.projectKey = projectKey;
+        this.groupKey = groupKey;
+        this.usageCount = typeof data.usageCount === 'number' ? data.usageCount : data.occurrences.length;
         this.occurrences = data.occurrences;
         const occurrenceCount = Array.isArray(data.occurrences) ? data.occurrences.length : 0;
         this.description = `${occurrenceCount} occurrence(s)`;
@@ -182,6 +504,26 @@ class CodeTreeItem extends vscode.TreeItem {
     }
 }
 
+class TopicTreeItem extends vscode.TreeItem {
+    /**
+     * @param {Object} node - No de buildTopicTree
+     * @param {{codes: number, usage: number}} stats - Totais visiveis (com filtro)
+     * @param {string|null} projectKey
+     */
+    constructor(node, stats, projectKey = null) {
+        super(node.name, vscode.TreeItemCollapsibleState.Collapsed);
+
+        this.id = `codeTopic:${projectKey || ''}:${node.key}`;
+        this.topicNode = node;
+        this.projectKey = projectKey;
+        this.stats = stats;
+        this.isCodeTopic = true;
+        this.description = `${stats.codes} code(s) · ${stats.usage} use(s)`;
+        this.iconPath = new vscode.ThemeIcon(node.unclassified ? 'question' : 'symbol-namespace');
+        this.contextValue = 'codeTopic';
+    }
+}
+
 class OccurrenceTreeItem extends vscode.TreeItem {
     constructor(occurrence) {
         const fileName = occurrence.file ? path.basename(occurrence.file) : '<unknown file>';
@@ -219,4 +561,64 @@ class StatusTreeItem extends vscode.TreeItem {
     }
 }
 
+/**
+ * Entrada testada pelo filtro (filterQuery)
+ */
+function describeCode(code, data) {
+    const occurrences = data.occurrences || [];
+    return {
+        name: code,
+        count: typeof data.usageCount === 'number' ? data.usageCount : occurrences.length,
+        files: occurrences.map(occ => occ.file),
+        fields: occurrences.flatMap(occ => [occ.field, occ.context]).filter(Boolean),
+        defined: Boolean(data.ontologyDefined)
+    };
+}
+
+/**
+ * Monta a arvore de topicos com os codigos do projeto
+ * @param {Array} topics - getOntologyTopics (topicos com conceitos como folhas)
+ * @param {Map<string, Object>} codes
+ * @returns {{roots: Array, unclassified: Object, codeNodes: Map<string, Object>}}
+ *
+ * No: { name, key, parent, children, codes, unclassified }
+ */
+function buildTopicTree(topics, codes) {
+    const conceptNodes = new Map(); // conceito em minusculas -> no do topico
+    const build = (topic, parent) => {
+        const node = {
+            name: topic.name,
+            key: parent ? `${parent.key}/${topic.name}` : topic.name,
+            parent,
+            children: [],
+            codes: [],
+            unclassified: false
+        };
+        for (const child of topic.children || []) {
+            if (Array.isArray(child.children) && child.children.length > 0) {
+                node.children.push(build(child, node));
+            } else if (child.name && !conceptNodes.has(child.name.toLowerCase())) {
+                conceptNodes.set(child.name.toLowerCase(), node);
+            }
+        }
+        node.children.sort((a, b) => a.name.localeCompare(b.name));
+        return node;
+    };
+
+    const roots = (topics || [])
+        .filter(topic => topic && topic.name)
+        .map(topic => build(topic, null))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    const unclassified = { name: 'Unclassified', key: '<unclassified>', parent: null, children: [], codes: [], unclassified: true };
+    const codeNodes = new Map();
+
+    for (const code of codes.keys()) {
+        const node = conceptNodes.get(code.toLowerCase()) || unclassified;
+        node.codes.push(code);
+        codeNodes.set(code, node);
+    }
+
+    return { roots, unclassified, codeNodes };
+}
+
 module.exports = CodeExplorer;
@@ -0,0 +1,95 @@
+/**
+ * filterPicker.js - QuickPick dos filtros dos explorers
+ *
+ * Proposito:
+ *     Substitui o InputBox dos filtros por um QuickPick que mostra, a cada
+ *     tecla, quantas entradas da view a consulta seleciona, e oferece os
+ *     filtros recentes da view.
+ *
+ * Componentes principais:
+ *     - pickFilter: Abre o QuickPick e retorna o filtro escolhido
+ *
+ * Dependencias criticas:
+ *     - filterQuery: sintaxe da consulta
+ *     - vscode.Memento: historico por view (chave synesis.filterHistory.<viewId>)
+ *
+ * Notas de implementacao:
+ *     - O explorer expoe countFilterMatches(query) -> { matched, total }
+ *     - alwaysShow nos itens: o texto digitado e a consulta, nao um filtro
+ *       da lista do QuickPick
+ */
+
+const vscode = require('vscode');
+const { parseFilterQuery } = require('./filterQuery');
+
+const MAX_HISTORY = 10;
+const SYNTAX_HINT = 'text  /regex/  ~fuzzy  field:chain  file:dir/*.syn  count>5  undefined:true  -term';
+
+/**
+ * @param {Object} explorer - Explorer com getFilter() e countFilterMatches(query)
+ * @param {Object} options
+ * @param {string} options.title - Nome da view (ex.: 'Codes')
+ * @param {string} options.viewId - Chave do historico
+ * @param {vscode.Memento} [options.memento] - workspaceState
+ * @returns {Promise<string|undefined>} Filtro escolhido ('' limpa; undefined = cancelado)
+ */
+function pickFilter(explorer, options) {
+    const historyKey = `synesis.filterHistory.${options.viewId}`;
+    const history = options.memento ? options.memento.get(historyKey, []) || [] : [];
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.title = `Filter ${options.title}`;
+    quickPick.placeholder = SYNTAX_HINT;
+    quickPick.value = explorer.getFilter();
+
+    const update = () => {
+        const value = quickPick.value.trim();
+        const items = [describeItem(explorer, value, value ? '$(filter)' : '$(clear-all)', '')];
+        for (const recent of history) {
+            if (recent !== value) {
+                items.push(describeItem(explorer, recent, '$(history)', 'recent · '));
+            }
+        }
+        quickPick.items = items;
+    };
+
+    return new Promise(resolve => {
+        let result;
+        quickPick.onDidChangeValue(update);
+        quickPick.onDidAccept(() => {
+            const selected = quickPick.selectedItems[0];
+            result = selected ? selected.value : quickPick.value.trim();
+            quickPick.hide();
+        });
+        quickPick.onDidHide(async () => {
+            quickPick.dispose();
+            if (result && options.memento) {
+                const updated = [result, ...history.filter(entry => entry !== result)].slice(0, MAX_HISTORY);
+                await options.memento.update(historyKey, updated);
+            }
+            resolve(result);
+        });
+
+        update();
+        quickPick.show();
+    });
+}
+
+function describeItem(explorer, value, icon, prefix) {
+    const query = parseFilterQuery(value);
+    const { matched, total } = explorer.countFilterMatches(query);
+    let description = value ? `${prefix}${matched} of ${total} match(es)` : `${total} item(s)`;
+    if (query.errors.length > 0) {
+        description = `${prefix}${query.errors[0]}`;
+    }
+
+    return {
+        label: value ? `${icon} ${value}` : `${icon} Show all`,
+        description,
+        alwaysShow: true,
+        value
+    };
+}
+
+module.exports = {
+    pickFilter
+};
@@ -0,0 +1,175 @@
+/**
+ * filterQuery.js - Sintaxe de consulta dos filtros dos explorers
+ *
+ * Proposito:
+ *     Interpreta o texto digitado no filtro de um explorer e testa entradas
+ *     (codigos, referencias, relacoes, topicos) contra ele.
+ *
+ * Componentes principais:
+ *     - parseFilterQuery: Texto -> { text, terms, errors, isEmpty, matches(entry) }
+ *
+ * Notas de implementacao:
+ *     - Termos separados por espaco e combinados com E; "aspas" agrupam espacos
+ *     - texto: substring do nome (sem caixa); /regex/flags: regex no nome
+ *       (flag i por padrao); ~texto: fuzzy (caracteres na ordem)
+ *     - field:x: campo ou contexto (code/chain) de alguma ocorrencia
+ *     - file:glob: caminho de alguma ocorrencia (* ** ?; sem curinga = substring)
+ *     - count>5 (>, >=, <, <=, =): contagem de uso
+ *     - undefined:true|false: codigo sem/com definicao ONTOLOGY
+ *     - -termo nega qualquer termo
+ *     - Entrada testada: { name, count, files, fields, defined }; defined null
+ *       (view sem ontologia) nunca satisfaz undefined:true
+ */
+
+const COUNT_PATTERN = /^count(>=|<=|>|<|=)(\d+)$/i;
+const KEY_PATTERN = /^(field|file|undefined):(.*)$/i;
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+
+/**
+ * @param {string} text
+ * @returns {{text: string, terms: Array, errors: string[], isEmpty: boolean, matches: function(Object): boolean}}
+ */
+function parseFilterQuery(text) {
+    const source = String(text || '').trim();
+    const errors = [];
+    const terms = [];
+
+    for (const token of tokenize(source)) {
+        const negated = token.length > 1 && token.startsWith('-');
+        const body = negated ? token.slice(1) : token;
+        const test = parseTerm(body, errors);
+        if (test) {
+            terms.push({ token, negated, test });
+        }
+    }
+
+    return {
+        text: source,
+        terms,
+        errors,
+        isEmpty: terms.length === 0,
+        matches: entry => terms.every(term => term.test(entry) !== term.negated)
+    };
+}
+
+function parseTerm(body, errors) {
+    const regex = REGEX_PATTERN.exec(body);
+    if (regex) {
+        try {
+            const flags = regex[2].includes('i') ? regex[2] : `${regex[2]}i`;
+            const pattern = new RegExp(regex[1], flags.replace(/[gy]/g, ''));
+            return entry => pattern.test(entry.name);
+        } catch (error) {
+            errors.push(error.message);
+            return null;
+        }
+    }
+
+    const count = COUNT_PATTERN.exec(body);
+    if (count) {
+        const value = Number(count[2]);
+        const compare = {
+            '>': actual => actual > value,
+            '>=': actual => actual >= value,
+            '<': actual => actual < value,
+            '<=': actual => actual <= value,
+            '=': actual => actual === value
+        }[count[1]];
+        return entry => compare(entry.count || 0);
+    }
+
+    const keyed = KEY_PATTERN.exec(body);
+    if (keyed && keyed[2]) {
+        const key = keyed[1].toLowerCase();
+        const value = unquote(keyed[2]);
+        if (key === 'field') {
+            const wanted = value.toLowerCase();
+            return entry => (entry.fields || []).some(field => String(field).toLowerCase() === wanted);
+        }
+        if (key === 'file') {
+            const matchFile = createFileMatcher(value);
+            return entry => (entry.files || []).some(file => file && matchFile(file));
+        }
+        if (!/^(true|false)$/i.test(value)) {
+            errors.push(`undefined: expects true or false, got "${value}"`);
+            return null;
+        }
+        const wantUndefined = value.toLowerCase() === 'true';
+        return entry => entry.defined !== null && entry.defined !== undefined && !entry.defined === wantUndefined;
+    }
+
+    if (body.length > 1 && body.startsWith('~')) {
+        const wanted = unquote(body.slice(1)).toLowerCase();
+        return entry => isSubsequence(wanted, String(entry.name || '').toLowerCase());
+    }
+
+    const wanted = unquote(body).toLowerCase();
+    return entry => String(entry.name || '').toLowerCase().includes(wanted);
+}
+
+function tokenize(source) {
+    const tokens = [];
+    const pattern = /(?:[^\s"]+|"[^"]*")+/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        tokens.push(match[0]);
+    }
+    return tokens;
+}
+
+function unquote(value) {
+    return value.replace(/"/g, '');
+}
+
+function isSubsequence(needle, haystack) {
+    let index = 0;
+    for (const char of haystack) {
+        if (char === needle[index]) {
+            index += 1;
+            if (index === needle.length) {
+                return true;
+            }
+        }
+    }
+    return needle.length === 0;
+}
+
+/**
+ * Glob contra o fim do caminho (separadores normalizados para /)
+ */
+function createFileMatcher(glob) {
+    const normalizedGlob = glob.replace(/\\/g, '/');
+    if (!/[*?]/.test(normalizedGlob)) {
+        const wanted = normalizedGlob.toLowerCase();
+        return file => normalizePath(file).toLowerCase().includes(wanted);
+    }
+
+    const body = normalizedGlob
+        .split(/(\*\*\/?|\*|\?)/)
+        .map(part => {
+            if (part === '**/') {
+                return '(?:.*/)?';
+            }
+            if (part === '**') {
+                return '.*';
+            }
+            if (part === '*') {
+                return '[^/]*';
+            }
+            if (part === '?') {
+                return '[^/]';
+            }
+            return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    const pattern = new RegExp(`(?:^|/)${body}$`, 'i');
+    return file => pattern.test(normalizePath(file));
+}
+
+function normalizePath(file) {
+    return String(file).replace(/\\/g, '/');
+}
+
+module.exports = {
+    parseFilterQuery
+};
@@ -6,17 +6,32 @@
  *     com ocorrencias retornadas pelo LSP.
  *
  * Dependencias criticas:
- *     - DataService: LSP-only data access
+ *     - DataService: LSP data access with local fallback
+ *     - ViewOptions: ordenacao e agrupamento por fonte (SOURCE/ITEM)
  */
 
 const path = require('path');
 const vscode = require('vscode');
+const { ViewOptions, GroupTreeItem, sortEntries, groupEntries } = require('../viewOptions');
+const { createSourceLocator } = require('../../core/sourceLocator');
+const { parseFilterQuery } = require('../filterQuery');
 
 class OntologyAnnotationExplorer {
-    constructor(dataService) {
+    /**
+     * @param {DataService} dataService
+     * @param {vscode.Memento} [memento] - workspaceState para persistir ordenacao/agrupamento
+     */
+    constructor(dataService, memento) {
         this.dataService = dataService;
         this.annotations = new Map(); // code -> { ontologyDefined, ontologyFile, ontologyLine, occurrences }
+        this.buckets = null; // agrupado por fonte: [{ key, label, entries: Map<code, data> }]
         this.filterText = '';
+        this.filterQuery = parseFilterQuery('');
+        this.viewOptions = new ViewOptions('synesisOntologyAnnotationExplorer', {
+            title: 'Annotations',
+            sorts: ['name', 'usage', 'firstAppearance'],
+            groups: ['none', 'source']
+        }, memento);
         this.placeholder = null;
         this._lastDataHash = null; // Cache hash to avoid unnecessary refreshes
         this._lastActiveFile = null; // Track active file changes
@@ -55,8 +70,8 @@ class OntologyAnnotationExplorer {
             return;
         }
 
-        const lspStatus = this._getLspStatus();
-        if (lspStatus !== 'ready') {
+        const lspStatus = this.dataService.getLspStatus(document.uri);
+        if (lspStatus !== 'ready' && !this.dataService.hasLocalProvider()) {
             const label = lspStatus === 'disabled' ? 'LSP disabled' : 'LSP not ready';
             const description = lspStatus === 'disabled'
                 ? 'Synesis LSP is disabled in settings.'
@@ -85,6 +100,13 @@ class OntologyAnnotationExplorer {
             for (const entry of entries) {
                 this.annotations.set(entry.code, entry);
             }
+            this.buckets = this.viewOptions.group === 'source'
+                ? await groupEntries(this.annotations, 'source', {
+                    occurrences: data => data.occurrences,
+                    subset: (data, occurrences) => ({ ...data, occurrences }),
+                    locate: createSourceLocator()
+                })
+                : null;
 
             await this._setHasOntologyAnnotations(this.annotations.size > 0);
             this._onDidChangeTreeData.fire();
@@ -105,21 +127,29 @@ class OntologyAnnotationExplorer {
                 return [this.placeholder];
             }
 
-            const items = [];
-            const filter = this.filterText;
-            for (const [code, data] of this.annotations.entries()) {
-                if (filter && !code.toLowerCase().includes(filter)) {
-                    continue;
+            if (this.buckets) {
+                const items = [];
+                for (const bucket of this.buckets) {
+                    const count = this._buildAnnotationItems(bucket.entries).length;
+                    if (count > 0) {
+                        items.push(new GroupTreeItem('ontologyAnnotation', bucket, 'source', `${count} code(s)`));
+                    }
                 }
-                items.push(new AnnotationTreeItem(code, data));
+                return items;
             }
-            return items.sort((a, b) => a.code.localeCompare(b.code));
+
+            return this._buildAnnotationItems(this.annotations);
         }
 
         if (element.isPlaceholder) {
             return [];
         }
 
+        if (element.isViewGroup) {
+            const bucket = (this.buckets || []).find(entry => entry.key === element.groupKey);
+            return bucket ? this._buildAnnotationItems(bucket.entries) : [];
+        }
+
         if (element instanceof AnnotationTreeItem) {
             return (element.occurrences || []).map(occ => new OccurrenceTreeItem(occ));
         }
@@ -127,6 +157,42 @@ class OntologyAnnotationExplorer {
         return [];
     }
 
+    _buildAnnotationItems(annotations) {
+        const items = [];
+        for (const [code, data] of annotations.entries()) {
+            if (!this.filterQuery.matches(describeAnnotation(code, data))) {
+                continue;
+            }
+            items.push(new AnnotationTreeItem(code, data));
+        }
+        return sortEntries(items, this.viewOptions.sort, item => ({
+            name: item.code,
+            usage: item.occurrences.length,
+            occurrences: item.occurrences
+        }));
+    }
+
+    /**
+     * Altera a ordenacao da view
+     * @param {string} mode
+     */
+    async setSortMode(mode) {
+        if (await this.viewOptions.setSort(mode)) {
+            this._onDidChangeTreeData.fire();
+        }
+    }
+
+    /**
+     * Altera o agrupamento da view
+     * @param {string} mode
+     */
+    async setGroupMode(mode) {
+        if (await this.viewOptions.setGroup(mode)) {
+            this._lastDataHash = null;
+            await this.refresh();
+        }
+    }
+
     _isSynDocument(document) {
         if (!document || !document.uri) {
             return false;
@@ -138,23 +204,13 @@ class OntologyAnnotationExplorer {
         await vscode.commands.executeCommand('setContext', 'synesis.hasOntologyAnnotations', value);
     }
 
-    _getLspStatus() {
-        const client = this.dataService && this.dataService.lspClient;
-        if (!client) {
-            return 'disabled';
-        }
-        if (typeof client.isReady !== 'function' || !client.isReady()) {
-            return 'loading';
-        }
-        return 'ready';
-    }
-
     _setPlaceholder(label, description) {
         this.placeholder = new StatusTreeItem(label, description);
     }
 
     setFilter(text) {
-        this.filterText = (text || '').trim().toLowerCase();
+        this.filterText = (text || '').trim();
+        this.filterQuery = parseFilterQuery(this.filterText);
         this._setFilterActive(this.filterText.length > 0);
         this._onDidChangeTreeData.fire();
     }
@@ -163,11 +219,38 @@ class OntologyAnnotationExplorer {
         return this.filterText;
     }
 
+    /**
+     * Conta codigos do arquivo ativo que passam por uma consulta (previa do filtro)
+     * @param {Object} query - parseFilterQuery
+     * @returns {{matched: number, total: number}}
+     */
+    countFilterMatches(query) {
+        const result = { matched: 0, total: this.annotations.size };
+        for (const [code, data] of this.annotations.entries()) {
+            result.matched += query.matches(describeAnnotation(code, data)) ? 1 : 0;
+        }
+        return result;
+    }
+
     async _setFilterActive(value) {
         await vscode.commands.executeCommand('setContext', 'synesis.ontology.annotation.filterActive', value);
     }
 }
 
+/**
+ * Entrada testada pelo filtro (filterQuery)
+ */
+function describeAnnotation(code, data) {
+    const occurrences = Array.isArray(data.occurrences) ? data.occurrences : [];
+    return {
+        name: code,
+        count: occurrences.length,
+        files: occurrences.map(occ => occ.file),
+        fields: occurrences.flatMap(occ => [occ.field, occ.context]).filter(Boolean),
+        defined: Boolean(data.ontologyDefined)
+    };
+}
+
 class AnnotationTreeItem extends vscode.TreeItem {
     constructor(code, data) {
         const occurrences = Array.isArray(data.occurrences) ? data.occurrences : [];
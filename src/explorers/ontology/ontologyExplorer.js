@@ -6,17 +6,26 @@
  *     Permite navegacao para a definicao em .syno.
  *
  * Dependencias criticas:
- *     - DataService: LSP-only data access
+ *     - DataService: LSP data access with local fallback
+ *
+ * Notas de implementacao:
+ *     - Com mais de um projeto (.synp), topicos ficam sob um ProjectTreeItem
+ *       por projeto
+ *     - Filtro com a sintaxe de filterQuery; um topico aparece se ele ou
+ *       algum descendente passa pela consulta
  */
 
 const path = require('path');
 const vscode = require('vscode');
+const ProjectTreeItem = require('../projectTreeItem');
+const { parseFilterQuery } = require('../filterQuery');
 
 class OntologyExplorer {
     constructor(dataService) {
         this.dataService = dataService;
-        this.topics = [];
+        this.groups = []; // [{ project, topics }]
         this.filterText = '';
+        this.filterQuery = parseFilterQuery('');
         this.placeholder = null;
         this._lastDataHash = null; // Cache hash to avoid unnecessary refreshes
 
@@ -60,8 +69,8 @@ class OntologyExplorer {
     async refresh() {
         this.placeholder = null;
 
-        const lspStatus = this._getLspStatus();
-        if (lspStatus !== 'ready') {
+        const lspStatus = this.dataService.getLspStatus();
+        if (lspStatus !== 'ready' && !this.dataService.hasLocalProvider()) {
             const label = lspStatus === 'disabled' ? 'LSP disabled' : 'LSP not ready';
             const description = lspStatus === 'disabled'
                 ? 'Synesis LSP is disabled in settings.'
@@ -73,19 +82,24 @@ class OntologyExplorer {
         }
 
         try {
-            const topics = await this.dataService.getOntologyTopics();
-            const topicsArray = Array.isArray(topics) ? topics : [];
+            const groups = [];
+            for (const project of this.dataService.getDisplayProjects()) {
+                const topics = await this.dataService.getOntologyTopics(project);
+                groups.push({ project, topics: Array.isArray(topics) ? topics : [] });
+            }
 
             // Check if data actually changed
-            const newHash = this._hashData(topicsArray);
+            const newHash = groups
+                .map(group => `${group.project.key}=${this.dataService.getProjectState(group.project)}:${this._hashData(group.topics)}`)
+                .join('||');
             if (newHash === this._lastDataHash) {
                 // Data hasn't changed, skip update
                 return;
             }
             this._lastDataHash = newHash;
 
-            this.topics = topicsArray;
-            await this._setHasTopics(this.topics.length > 0);
+            this.groups = groups;
+            await this._setHasTopics(this.groups.some(group => group.topics.length > 0));
             this._onDidChangeTreeData.fire();
         } catch (error) {
             console.error('OntologyExplorer: Error loading ontology topics:', error);
@@ -104,14 +118,24 @@ class OntologyExplorer {
                 return [this.placeholder];
             }
 
-            const filtered = this._filterTopics(this.topics, this.filterText);
-            return filtered.map(topic => new TopicTreeItem(topic));
+            if (this.groups.length > 1) {
+                return this.groups.map(group =>
+                    new ProjectTreeItem(group.project, this.dataService.getProjectState(group.project))
+                );
+            }
+
+            return this.groups.length === 1 ? this._buildTopicItems(this.groups[0].topics) : [];
         }
 
         if (element.isPlaceholder) {
             return [];
         }
 
+        if (element.isProject) {
+            const group = this.groups.find(entry => entry.project.key === element.project.key);
+            return group ? this._buildTopicItems(group.topics) : [];
+        }
+
         return (element.children || []).map(child => new TopicTreeItem(child));
     }
 
@@ -119,15 +143,8 @@ class OntologyExplorer {
         await vscode.commands.executeCommand('setContext', 'synesis.hasTopics', value);
     }
 
-    _getLspStatus() {
-        const client = this.dataService && this.dataService.lspClient;
-        if (!client) {
-            return 'disabled';
-        }
-        if (typeof client.isReady !== 'function' || !client.isReady()) {
-            return 'loading';
-        }
-        return 'ready';
+    _buildTopicItems(topics) {
+        return this._filterTopics(topics, this.filterQuery).map(topic => new TopicTreeItem(topic));
     }
 
     _setPlaceholder(label, description) {
@@ -135,11 +152,12 @@ class OntologyExplorer {
     }
 
     /**
-     * Atualiza o filtro por tópico
+     * Atualiza o filtro (sintaxe de filterQuery)
      * @param {string} text
      */
     setFilter(text) {
-        this.filterText = (text || '').trim().toLowerCase();
+        this.filterText = (text || '').trim();
+        this.filterQuery = parseFilterQuery(this.filterText);
         this._setFilterActive(this.filterText.length > 0);
         this._onDidChangeTreeData.fire();
     }
@@ -156,22 +174,43 @@ class OntologyExplorer {
         await vscode.commands.executeCommand('setContext', 'synesis.ontology.filterActive', value);
     }
 
-    _filterTopics(topics, filterText) {
-        if (!filterText) {
+    /**
+     * Conta topicos (todos os niveis) que passam por uma consulta (previa do filtro)
+     * @param {Object} query - parseFilterQuery
+     * @returns {{matched: number, total: number}}
+     */
+    countFilterMatches(query) {
+        const result = { matched: 0, total: 0 };
+        const walk = topics => {
+            for (const topic of topics || []) {
+                if (!topic || this._isNoiseTopic(topic)) {
+                    continue;
+                }
+                result.total += 1;
+                result.matched += query.matches(describeTopic(topic)) ? 1 : 0;
+                walk(topic.children);
+            }
+        };
+        for (const group of this.groups) {
+            walk(group.topics);
+        }
+        return result;
+    }
+
+    _filterTopics(topics, query) {
+        if (query.isEmpty) {
             return topics.filter(topic => !this._isNoiseTopic(topic));
         }
 
-        const lowered = filterText.toLowerCase();
         const result = [];
 
         for (const topic of topics) {
-            const name = String(topic.name || '');
             if (this._isNoiseTopic(topic)) {
                 continue;
             }
-            const nameMatch = name.toLowerCase().includes(lowered);
+            const nameMatch = query.matches(describeTopic(topic));
             const children = Array.isArray(topic.children) ? topic.children : [];
-            const filteredChildren = this._filterTopics(children, filterText);
+            const filteredChildren = this._filterTopics(children, query);
 
             if (nameMatch || filteredChildren.length > 0) {
                 result.push({
@@ -190,6 +229,19 @@ class OntologyExplorer {
     }
 }
 
+/**
+ * Entrada testada pelo filtro (filterQuery)
+ */
+function describeTopic(topic) {
+    return {
+        name: String(topic.name || ''),
+        count: Array.isArray(topic.children) ? topic.children.length : 0,
+        files: [topic.file],
+        fields: [],
+        defined: null
+    };
+}
+
 class TopicTreeItem extends vscode.TreeItem {
     constructor(topic) {
         const children = Array.isArray(topic.children) ? topic.children : [];
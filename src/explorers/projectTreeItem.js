@@ -0,0 +1,33 @@
+/**
+ * projectTreeItem.js - No raiz de projeto para explorers multi-root
+ *
+ * Proposito:
+ *     Agrupa os itens de um explorer sob o projeto (.synp) de origem
+ *     quando o workspace contem mais de um projeto Synesis.
+ *
+ * Notas de implementacao:
+ *     - id estavel (project:<uri>) preserva expansao entre refreshes
+ *     - description indica a pasta e marca o projeto ativo
+ */
+
+const vscode = require('vscode');
+
+class ProjectTreeItem extends vscode.TreeItem {
+    /**
+     * @param {Object} project - Descritor de WorkspaceScanner.describeProject
+     * @param {string} state - 'active' | ''
+     */
+    constructor(project, state) {
+        super(project.name, vscode.TreeItemCollapsibleState.Expanded);
+
+        this.id = `project:${project.key}`;
+        this.project = project;
+        this.isProject = true;
+        this.description = state ? `${project.folderName} · ${state}` : project.folderName;
+        this.tooltip = project.uri ? project.uri.fsPath : project.workspaceRoot;
+        this.iconPath = new vscode.ThemeIcon(state === 'active' ? 'target' : 'project');
+        this.contextValue = 'synesisProject';
+    }
+}
+
+module.exports = ProjectTreeItem;
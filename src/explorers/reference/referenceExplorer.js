@@ -8,25 +8,46 @@
  * Componentes principais:
  *     - refresh: Obtém dados via DataService (LSP ou regex local)
  *     - getTreeItem: Retorna TreeItem para renderização
- *     - getChildren: Hierarquia (refs -> ocorrências)
+ *     - getChildren: Hierarquia ([projeto ->] [arquivo ->] refs -> ocorrências)
+ *     - setSortMode / setGroupMode: Ordenação e agrupamento (ViewOptions)
+ *     - setFilter / countFilterMatches: Filtro com a sintaxe de filterQuery
  *
  * Dependências críticas:
- *     - DataService: LSP-only data access
+ *     - DataService: LSP data access with local fallback
+ *
+ * Notas de implementação:
+ *     - Com mais de um projeto (.synp) no workspace, as referências são
+ *       agrupadas sob um ProjectTreeItem por projeto
+ *     - Agrupado por arquivo, cada referência aparece sob os arquivos onde
+ *       tem SOURCE, com as ocorrências daquele arquivo
  *
  * Exemplo de uso:
- *     const explorer = new ReferenceExplorer(dataService);
+ *     const explorer = new ReferenceExplorer(dataService, context.workspaceState);
  *     await explorer.refresh();
  *     // TreeView mostra refs com ocorrências
  */
 
 const path = require('path');
 const vscode = require('vscode');
+const ProjectTreeItem = require('../projectTreeItem');
+const { ViewOptions, GroupTreeItem, sortEntries, groupEntries } = require('../viewOptions');
+const { parseFilterQuery } = require('../filterQuery');
 
 class ReferenceExplorer {
-    constructor(dataService) {
+    /**
+     * @param {DataService} dataService
+     * @param {vscode.Memento} [memento] - workspaceState para persistir ordenação/agrupamento
+     */
+    constructor(dataService, memento) {
         this.dataService = dataService;
-        this.references = new Map(); // bibref -> [occurrences]
+        this.groups = []; // [{ project, references: Map<bibref, occurrences>, buckets }]
         this.filterText = '';
+        this.filterQuery = parseFilterQuery('');
+        this.viewOptions = new ViewOptions('synesisReferenceExplorer', {
+            title: 'References',
+            sorts: ['name', 'usage', 'firstAppearance', 'file'],
+            groups: ['none', 'file']
+        }, memento);
         this.placeholder = null;
         this._lastDataHash = null; // Cache hash to avoid unnecessary refreshes
 
@@ -51,11 +72,11 @@ class ReferenceExplorer {
      * Obtém referências via DataService e atualiza índice
      */
     async refresh() {
-        this.references.clear();
+        this.groups = [];
         this.placeholder = null;
 
-        const lspStatus = this._getLspStatus();
-        if (lspStatus !== 'ready') {
+        const lspStatus = this.dataService.getLspStatus();
+        if (lspStatus !== 'ready' && !this.dataService.hasLocalProvider()) {
             const label = lspStatus === 'disabled' ? 'LSP disabled' : 'LSP not ready';
             const description = lspStatus === 'disabled'
                 ? 'Synesis LSP is disabled in settings.'
@@ -66,21 +87,27 @@ class ReferenceExplorer {
         }
 
         try {
-            const refs = await this.dataService.getReferences();
+            const groups = [];
+            for (const project of this.dataService.getDisplayProjects()) {
+                groups.push({ project, refs: await this.dataService.getReferences(project) });
+            }
 
             // Check if data actually changed
-            const newHash = this._hashData(refs);
+            const newHash = groups
+                .map(group => `${group.project.key}=${this.dataService.getProjectState(group.project)}:${this._hashData(group.refs)}`)
+                .join('|');
+            const grouped = [];
+            for (const group of groups) {
+                const references = new Map(group.refs.map(ref => [ref.bibref, ref.occurrences]));
+                grouped.push({ project: group.project, references, buckets: await this._groupReferences(references) });
+            }
+            this.groups = grouped;
             if (newHash === this._lastDataHash) {
                 // Data hasn't changed, skip update
                 return;
             }
             this._lastDataHash = newHash;
 
-            this.references.clear();
-            for (const ref of refs) {
-                this.references.set(ref.bibref, ref.occurrences);
-            }
-
             this._onDidChangeTreeData.fire();
         } catch (error) {
             console.error('ReferenceExplorer: Error scanning workspace:', error);
@@ -108,38 +135,103 @@ class ReferenceExplorer {
                 return [this.placeholder];
             }
 
-            // Root level: lista de referências
-            const items = [];
-            const filter = this.filterText;
-
-            for (const [bibref, occurrences] of this.references.entries()) {
-                if (filter && !bibref.toLowerCase().includes(filter)) {
-                    continue;
-                }
-                const totalItems = occurrences.reduce((sum, occ) => sum + occ.itemCount, 0);
-                items.push(new ReferenceTreeItem(bibref, occurrences.length, totalItems, occurrences));
+            if (this.groups.length > 1) {
+                return this.groups.map(group =>
+                    new ProjectTreeItem(group.project, this.dataService.getProjectState(group.project))
+                );
             }
 
-            return items.sort((a, b) => a.bibref.localeCompare(b.bibref));
+            return this.groups.length === 1 ? this._buildRootItems(this.groups[0]) : [];
         }
 
         if (element.isPlaceholder) {
             return [];
         }
 
+        if (element.isProject) {
+            const group = this.groups.find(entry => entry.project.key === element.project.key);
+            return group ? this._buildRootItems(group) : [];
+        }
+
+        if (element.isViewGroup) {
+            const bucket = this._findBucket(element);
+            return bucket ? this._buildReferenceItems(bucket.entries) : [];
+        }
+
         // Child level: lista de ocorrências
         return element.occurrences.map(occ => new OccurrenceTreeItem(occ));
     }
 
-    _getLspStatus() {
-        const client = this.dataService && this.dataService.lspClient;
-        if (!client) {
-            return 'disabled';
+    _buildReferenceItems(references) {
+        const items = [];
+
+        for (const [bibref, occurrences] of references.entries()) {
+            if (!this.filterQuery.matches(describeReference(bibref, occurrences))) {
+                continue;
+            }
+            const totalItems = occurrences.reduce((sum, occ) => sum + occ.itemCount, 0);
+            items.push(new ReferenceTreeItem(bibref, occurrences.length, totalItems, occurrences));
+        }
+
+        return sortEntries(items, this.viewOptions.sort, item => ({
+            name: item.bibref,
+            usage: item.itemCount,
+            occurrences: item.occurrences
+        }));
+    }
+
+    _buildRootItems(group) {
+        if (!group.buckets) {
+            return this._buildReferenceItems(group.references);
+        }
+
+        const projectKey = this.groups.length > 1 ? group.project.key : null;
+        const items = [];
+        for (const bucket of group.buckets) {
+            const count = this._buildReferenceItems(bucket.entries).length;
+            if (count > 0) {
+                items.push(new GroupTreeItem('reference', bucket, this.viewOptions.group, `${count} reference(s)`, projectKey));
+            }
+        }
+        return items;
+    }
+
+    _findBucket(element) {
+        const group = element.projectKey
+            ? this.groups.find(entry => entry.project.key === element.projectKey)
+            : this.groups[0];
+        return group && group.buckets ? group.buckets.find(bucket => bucket.key === element.groupKey) || null : null;
+    }
+
+    async _groupReferences(references) {
+        if (this.viewOptions.group === 'none') {
+            return null;
         }
-        if (typeof client.isReady !== 'function' || !client.isReady()) {
-            return 'loading';
+        return groupEntries(references, this.viewOptions.group, {
+            occurrences: occurrences => occurrences,
+            subset: (occurrences, subset) => subset
+        });
+    }
+
+    /**
+     * Altera a ordenação da view
+     * @param {string} mode
+     */
+    async setSortMode(mode) {
+        if (await this.viewOptions.setSort(mode)) {
+            this._onDidChangeTreeData.fire();
+        }
+    }
+
+    /**
+     * Altera o agrupamento da view
+     * @param {string} mode
+     */
+    async setGroupMode(mode) {
+        if (await this.viewOptions.setGroup(mode)) {
+            this._lastDataHash = null;
+            await this.refresh();
         }
-        return 'ready';
     }
 
     _setPlaceholder(label, description) {
@@ -147,11 +239,28 @@ class ReferenceExplorer {
     }
 
     /**
-     * Atualiza o filtro por nome de referência
+     * Conta referências que passam por uma consulta (prévia do filtro)
+     * @param {Object} query - parseFilterQuery
+     * @returns {{matched: number, total: number}}
+     */
+    countFilterMatches(query) {
+        const result = { matched: 0, total: 0 };
+        for (const group of this.groups) {
+            for (const [bibref, occurrences] of group.references.entries()) {
+                result.total += 1;
+                result.matched += query.matches(describeReference(bibref, occurrences)) ? 1 : 0;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Atualiza o filtro (sintaxe de filterQuery)
      * @param {string} text
      */
     setFilter(text) {
-        this.filterText = (text || '').trim().toLowerCase();
+        this.filterText = (text || '').trim();
+        this.filterQuery = parseFilterQuery(this.filterText);
         this._setFilterActive(this.filterText.length > 0);
         this._onDidChangeTreeData.fire();
     }
@@ -169,6 +278,19 @@ class ReferenceExplorer {
     }
 }
 
+/**
+ * Entrada testada pelo filtro (filterQuery)
+ */
+function describeReference(bibref, occurrences) {
+    return {
+        name: bibref,
+        count: occurrences.reduce((sum, occ) => sum + (occ.itemCount || 0), 0),
+        files: occurrences.map(occ => occ.file),
+        fields: [],
+        defined: null
+    };
+}
+
 /**
  * TreeItem para uma referência (nível raiz)
  */
@@ -177,6 +299,7 @@ class ReferenceTreeItem extends vscode.TreeItem {
         super(bibref, vscode.TreeItemCollapsibleState.Collapsed);
 
         this.bibref = bibref;
+        this.itemCount = itemCount;
         this.occurrences = occurrences;
 
         this.description = `${occurrenceCount} file(s), ${itemCount} item(s)`;
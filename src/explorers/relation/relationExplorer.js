@@ -8,18 +8,40 @@
  * Componentes principais:
  *     - refresh: Obtém dados via DataService (LSP ou regex local)
  *     - getChildren: Retorna relacoes ou triplets
+ *     - setSortMode / setGroupMode: Ordenacao e agrupamento (ViewOptions)
+ *     - setFilter / countFilterMatches: Filtro com a sintaxe de filterQuery
  *
  * Dependencias criticas:
- *     - DataService: LSP-only data access
+ *     - DataService: LSP data access with local fallback
+ *
+ * Notas de implementacao:
+ *     - Com mais de um projeto (.synp), relacoes ficam sob um ProjectTreeItem
+ *       por projeto
+ *     - Agrupado por arquivo ou fonte: grupo -> relacoes -> triplets, com
+ *       apenas os triplets daquele grupo
  */
 
 const vscode = require('vscode');
+const ProjectTreeItem = require('../projectTreeItem');
+const { ViewOptions, GroupTreeItem, sortEntries, groupEntries } = require('../viewOptions');
+const { parseFilterQuery } = require('../filterQuery');
+const { createSourceLocator } = require('../../core/sourceLocator');
 
 class RelationExplorer {
-    constructor(dataService) {
+    /**
+     * @param {DataService} dataService
+     * @param {vscode.Memento} [memento] - workspaceState para persistir ordenacao/agrupamento
+     */
+    constructor(dataService, memento) {
         this.dataService = dataService;
-        this.relations = new Map(); // relation -> [triplets]
+        this.groups = []; // [{ project, relations: Map<relation, triplets>, buckets }]
         this.filterText = '';
+        this.filterQuery = parseFilterQuery('');
+        this.viewOptions = new ViewOptions('synesisRelationExplorer', {
+            title: 'Relations',
+            sorts: ['name', 'usage', 'firstAppearance', 'file'],
+            groups: ['relation', 'file', 'source']
+        }, memento);
         this.placeholder = null;
         this._lastDataHash = null; // Cache hash to avoid unnecessary refreshes
 
@@ -44,11 +66,11 @@ class RelationExplorer {
      * Obtém relações via DataService e atualiza índice
      */
     async refresh() {
-        this.relations.clear();
+        this.groups = [];
         this.placeholder = null;
 
-        const lspStatus = this._getLspStatus();
-        if (lspStatus !== 'ready') {
+        const lspStatus = this.dataService.getLspStatus();
+        if (lspStatus !== 'ready' && !this.dataService.hasLocalProvider()) {
             const label = lspStatus === 'disabled' ? 'LSP disabled' : 'LSP not ready';
             const description = lspStatus === 'disabled'
                 ? 'Synesis LSP is disabled in settings.'
@@ -60,22 +82,29 @@ class RelationExplorer {
         }
 
         try {
-            const relations = await this.dataService.getRelations();
+            const groups = [];
+            for (const project of this.dataService.getDisplayProjects()) {
+                groups.push({ project, relations: await this.dataService.getRelations(project) });
+            }
 
             // Check if data actually changed
-            const newHash = this._hashData(relations);
+            const newHash = groups
+                .map(group => `${group.project.key}=${this.dataService.getProjectState(group.project)}:${this._hashData(group.relations)}`)
+                .join('|');
+            const locate = createSourceLocator();
+            const grouped = [];
+            for (const group of groups) {
+                const relations = new Map(group.relations.map(entry => [entry.relation, entry.triplets]));
+                grouped.push({ project: group.project, relations, buckets: await this._groupRelations(relations, locate) });
+            }
+            this.groups = grouped;
             if (newHash === this._lastDataHash) {
                 // Data hasn't changed, skip update
                 return;
             }
             this._lastDataHash = newHash;
 
-            this.relations.clear();
-            for (const entry of relations) {
-                this.relations.set(entry.relation, entry.triplets);
-            }
-
-            await this._setHasChains(this.relations.size > 0);
+            await this._setHasChains(this.groups.some(group => group.relations.size > 0));
             this._onDidChangeTreeData.fire();
         } catch (error) {
             console.error('RelationExplorer: Error scanning relations:', error);
@@ -94,21 +123,29 @@ class RelationExplorer {
                 return [this.placeholder];
             }
 
-            const items = [];
-            const filter = this.filterText;
-            for (const [relation, triplets] of this.relations.entries()) {
-                if (filter && !relation.toLowerCase().includes(filter)) {
-                    continue;
-                }
-                items.push(new RelationTreeItem(relation, triplets));
+            if (this.groups.length > 1) {
+                return this.groups.map(group =>
+                    new ProjectTreeItem(group.project, this.dataService.getProjectState(group.project))
+                );
             }
-            return items.sort((a, b) => a.relation.localeCompare(b.relation));
+
+            return this.groups.length === 1 ? this._buildRootItems(this.groups[0]) : [];
         }
 
         if (element.isPlaceholder) {
             return [];
         }
 
+        if (element.isProject) {
+            const group = this.groups.find(entry => entry.project.key === element.project.key);
+            return group ? this._buildRootItems(group) : [];
+        }
+
+        if (element.isViewGroup) {
+            const bucket = this._findBucket(element);
+            return bucket ? this._buildRelationItems(bucket.entries) : [];
+        }
+
         return element.triplets.map(triplet => new TripletTreeItem(triplet));
     }
 
@@ -116,15 +153,76 @@ class RelationExplorer {
         await vscode.commands.executeCommand('setContext', 'synesis.hasChains', value);
     }
 
-    _getLspStatus() {
-        const client = this.dataService && this.dataService.lspClient;
-        if (!client) {
-            return 'disabled';
+    _buildRelationItems(relations) {
+        const items = [];
+        for (const [relation, triplets] of relations.entries()) {
+            if (!this.filterQuery.matches(describeRelation(relation, triplets))) {
+                continue;
+            }
+            items.push(new RelationTreeItem(relation, triplets));
+        }
+        return sortEntries(items, this.viewOptions.sort, item => ({
+            name: item.relation,
+            usage: item.triplets.length,
+            occurrences: item.triplets
+        }));
+    }
+
+    _buildRootItems(group) {
+        if (!group.buckets) {
+            return this._buildRelationItems(group.relations);
+        }
+
+        const projectKey = this.groups.length > 1 ? group.project.key : null;
+        const items = [];
+        for (const bucket of group.buckets) {
+            const relations = this._buildRelationItems(bucket.entries);
+            if (relations.length > 0) {
+                const triplets = relations.reduce((sum, item) => sum + item.triplets.length, 0);
+                const description = `${relations.length} relation(s) · ${triplets} triplet(s)`;
+                items.push(new GroupTreeItem('relation', bucket, this.viewOptions.group, description, projectKey));
+            }
+        }
+        return items;
+    }
+
+    _findBucket(element) {
+        const group = element.projectKey
+            ? this.groups.find(entry => entry.project.key === element.projectKey)
+            : this.groups[0];
+        return group && group.buckets ? group.buckets.find(bucket => bucket.key === element.groupKey) || null : null;
+    }
+
+    async _groupRelations(relations, locate) {
+        if (this.viewOptions.group === 'relation') {
+            return null;
         }
-        if (typeof client.isReady !== 'function' || !client.isReady()) {
-            return 'loading';
+        return groupEntries(relations, this.viewOptions.group, {
+            occurrences: triplets => triplets,
+            subset: (triplets, subset) => subset,
+            locate
+        });
+    }
+
+    /**
+     * Altera a ordenacao da view
+     * @param {string} mode
+     */
+    async setSortMode(mode) {
+        if (await this.viewOptions.setSort(mode)) {
+            this._onDidChangeTreeData.fire();
+        }
+    }
+
+    /**
+     * Altera o agrupamento da view
+     * @param {string} mode
+     */
+    async setGroupMode(mode) {
+        if (await this.viewOptions.setGroup(mode)) {
+            this._lastDataHash = null;
+            await this.refresh();
         }
-        return 'ready';
     }
 
     _setPlaceholder(label, description) {
@@ -132,11 +230,28 @@ class RelationExplorer {
     }
 
     /**
-     * Atualiza o filtro por relacao
+     * Conta relacoes que passam por uma consulta (previa do filtro)
+     * @param {Object} query - parseFilterQuery
+     * @returns {{matched: number, total: number}}
+     */
+    countFilterMatches(query) {
+        const result = { matched: 0, total: 0 };
+        for (const group of this.groups) {
+            for (const [relation, triplets] of group.relations.entries()) {
+                result.total += 1;
+                result.matched += query.matches(describeRelation(relation, triplets)) ? 1 : 0;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Atualiza o filtro (sintaxe de filterQuery)
      * @param {string} text
      */
     setFilter(text) {
-        this.filterText = (text || '').trim().toLowerCase();
+        this.filterText = (text || '').trim();
+        this.filterQuery = parseFilterQuery(this.filterText);
         this._setFilterActive(this.filterText.length > 0);
         this._onDidChangeTreeData.fire();
     }
@@ -154,6 +269,19 @@ class RelationExplorer {
     }
 }
 
+/**
+ * Entrada testada pelo filtro; field: compara com o tipo do triplet
+ */
+function describeRelation(relation, triplets) {
+    return {
+        name: relation,
+        count: triplets.length,
+        files: triplets.map(triplet => triplet.file),
+        fields: triplets.map(triplet => triplet.type).filter(Boolean),
+        defined: null
+    };
+}
+
 class RelationTreeItem extends vscode.TreeItem {
     constructor(relation, triplets) {
         super(relation, vscode.TreeItemCollapsibleState.Collapsed);
@@ -0,0 +1,266 @@
+/**
+ * viewOptions.js - Ordenacao e agrupamento configuraveis dos explorers
+ *
+ * Proposito:
+ *     Guarda o modo de ordenacao e de agrupamento escolhido em cada view
+ *     (persistido no workspaceState) e fornece helpers comuns para ordenar
+ *     entradas e distribui-las em grupos por arquivo ou fonte.
+ *
+ * Componentes principais:
+ *     - ViewOptions: Estado por view + QuickPicks "Sort By" / "Group By"
+ *     - sortEntries: Ordena entradas por nome, uso, primeira aparicao ou arquivo
+ *     - groupEntries: Distribui entradas (e suas ocorrencias) por arquivo ou SOURCE
+ *     - GroupTreeItem: No de grupo (arquivo ou fonte) dos explorers
+ *
+ * Dependencias criticas:
+ *     - vscode.Memento: workspaceState (chave synesis.viewOptions.<viewId>)
+ *
+ * Notas de implementacao:
+ *     - Cada view declara os modos que suporta; o primeiro e o padrao
+ *     - Primeira aparicao = menor (arquivo, linha, coluna) entre as ocorrencias;
+ *       arquivo = caminho da primeira ocorrencia, depois nome
+ *     - Uma entrada com ocorrencias em varios grupos aparece em cada um, so com
+ *       as ocorrencias daquele grupo
+ */
+
+const path = require('path');
+const vscode = require('vscode');
+
+const SORT_MODES = {
+    name: { label: 'Name', detail: 'Alphabetical order' },
+    usage: { label: 'Usage Count', detail: 'Most used first' },
+    firstAppearance: { label: 'First Appearance', detail: 'Order of the first occurrence (file, line)' },
+    file: { label: 'File', detail: 'File of the first occurrence, then name' }
+};
+
+const GROUP_MODES = {
+    none: { label: 'None', detail: 'Flat list' },
+    relation: { label: 'Relation Type', detail: 'Triplets under their relation' },
+    topic: { label: 'Ontology Topic', detail: 'Codes under the ONTOLOGY topic that lists them' },
+    file: { label: 'File', detail: 'Entries under each file where they occur' },
+    source: { label: 'Source', detail: 'Entries under each SOURCE/ITEM bibref where they occur' }
+};
+
+const NO_GROUP_KEY = '';
+
+class ViewOptions {
+    /**
+     * @param {string} viewId - Id da view (chave de persistencia)
+     * @param {{title: string, sorts: string[], groups: string[]}} config - Modos suportados (primeiro = padrao)
+     * @param {vscode.Memento} [memento] - workspaceState; sem ele o estado fica so em memoria
+     */
+    constructor(viewId, config, memento = null) {
+        this.viewId = viewId;
+        this.title = config.title;
+        this.sorts = config.sorts;
+        this.groups = config.groups;
+        this.memento = memento;
+
+        const stored = memento ? memento.get(this._storageKey(), {}) || {} : {};
+        this.sort = this.sorts.includes(stored.sort) ? stored.sort : this.sorts[0];
+        this.group = this.groups.includes(stored.group) ? stored.group : this.groups[0];
+    }
+
+    /**
+     * @param {string} mode
+     * @returns {Promise<boolean>} true se o modo mudou
+     */
+    async setSort(mode) {
+        if (!this.sorts.includes(mode) || mode === this.sort) {
+            return false;
+        }
+        this.sort = mode;
+        await this._save();
+        return true;
+    }
+
+    /**
+     * @param {string} mode
+     * @returns {Promise<boolean>} true se o modo mudou
+     */
+    async setGroup(mode) {
+        if (!this.groups.includes(mode) || mode === this.group) {
+            return false;
+        }
+        this.group = mode;
+        await this._save();
+        return true;
+    }
+
+    /**
+     * @returns {Promise<string|null>} Modo escolhido (null se cancelado)
+     */
+    pickSort() {
+        return this._pick(`Sort ${this.title} by`, this.sorts, SORT_MODES, this.sort);
+    }
+
+    /**
+     * @returns {Promise<string|null>} Modo escolhido (null se cancelado)
+     */
+    pickGroup() {
+        return this._pick(`Group ${this.title} by`, this.groups, GROUP_MODES, this.group);
+    }
+
+    async _pick(placeHolder, modes, labels, current) {
+        const picked = await vscode.window.showQuickPick(
+            modes.map(mode => ({
+                label: labels[mode].label,
+                description: mode === current ? '(current)' : '',
+                detail: labels[mode].detail,
+                mode
+            })),
+            { placeHolder }
+        );
+        return picked ? picked.mode : null;
+    }
+
+    _storageKey() {
+        return `synesis.viewOptions.${this.viewId}`;
+    }
+
+    async _save() {
+        if (this.memento) {
+            await this.memento.update(this._storageKey(), { sort: this.sort, group: this.group });
+        }
+    }
+}
+
+/**
+ * @param {Array} list
+ * @param {string} mode - 'name' | 'usage' | 'firstAppearance' | 'file'
+ * @param {function(*): {name: string, usage: number, occurrences: Array}} describe
+ * @returns {Array} Nova lista ordenada
+ */
+function sortEntries(list, mode, describe) {
+    const keyed = list.map(value => {
+        const info = describe(value);
+        return { value, name: info.name, usage: info.usage || 0, first: firstLocation(info.occurrences) };
+    });
+
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    const comparators = {
+        usage: (a, b) => b.usage - a.usage || byName(a, b),
+        firstAppearance: (a, b) => compareLocations(a.first, b.first) || byName(a, b),
+        file: (a, b) => compareFiles(a.first, b.first) || byName(a, b)
+    };
+
+    return keyed.sort(comparators[mode] || byName).map(entry => entry.value);
+}
+
+/**
+ * @param {Map<string, *>} entries - nome -> dados do explorer
+ * @param {string} mode - 'file' | 'source'
+ * @param {Object} accessors
+ * @param {function(*): Array} accessors.occurrences - Ocorrencias ({file, line}) de uma entrada
+ * @param {function(*, Array): *} accessors.subset - Dados da entrada restritos as ocorrencias do grupo
+ * @param {function(string, number): Promise<string|null>} [accessors.locate] - Fonte de uma ocorrencia (mode 'source')
+ * @returns {Promise<Array<{key: string, label: string, file: string|null, entries: Map<string, *>}>>}
+ *
+ * Grupos em ordem de label; ocorrencias sem arquivo/fonte ficam no ultimo grupo (key '')
+ */
+async function groupEntries(entries, mode, accessors) {
+    const buckets = new Map(); // key -> Map<nome, ocorrencias>
+
+    for (const [name, data] of entries.entries()) {
+        for (const occurrence of accessors.occurrences(data) || []) {
+            const key = await groupKey(occurrence, mode, accessors.locate);
+            if (!buckets.has(key)) {
+                buckets.set(key, new Map());
+            }
+            const bucket = buckets.get(key);
+            if (!bucket.has(name)) {
+                bucket.set(name, []);
+            }
+            bucket.get(name).push(occurrence);
+        }
+    }
+
+    const groups = [];
+    for (const [key, bucket] of buckets.entries()) {
+        const groupItems = new Map();
+        for (const [name, occurrences] of bucket.entries()) {
+            groupItems.set(name, accessors.subset(entries.get(name), occurrences));
+        }
+        groups.push({
+            key,
+            label: groupLabel(key, mode),
+            file: mode === 'file' && key ? key : null,
+            entries: groupItems
+        });
+    }
+
+    return groups.sort((a, b) => {
+        if (!a.key || !b.key) {
+            return a.key ? -1 : (b.key ? 1 : 0);
+        }
+        return a.label.localeCompare(b.label) || a.key.localeCompare(b.key);
+    });
+}
+
+async function groupKey(occurrence, mode, locate) {
+    if (!occurrence || !occurrence.file) {
+        return NO_GROUP_KEY;
+    }
+    if (mode === 'file') {
+        return occurrence.file;
+    }
+    return (locate ? await locate(occurrence.file, occurrence.line) : null) || NO_GROUP_KEY;
+}
+
+function groupLabel(key, mode) {
+    if (!key) {
+        return mode === 'file' ? '<no location>' : '<no source>';
+    }
+    return mode === 'file' ? path.basename(key) : key;
+}
+
+function firstLocation(occurrences) {
+    let first = null;
+    for (const occurrence of occurrences || []) {
+        if (occurrence && occurrence.file && compareLocations(occurrence, first) < 0) {
+            first = occurrence;
+        }
+    }
+    return first;
+}
+
+function compareFiles(a, b) {
+    if (!a || !b) {
+        return a ? -1 : (b ? 1 : 0);
+    }
+    return a.file.localeCompare(b.file);
+}
+
+function compareLocations(a, b) {
+    return compareFiles(a, b)
+        || (a && b ? (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0) : 0);
+}
+
+class GroupTreeItem extends vscode.TreeItem {
+    /**
+     * @param {string} viewPrefix - Prefixo do id (ex.: 'code')
+     * @param {{key: string, label: string, file: string|null}} group - Grupo de groupEntries
+     * @param {string} mode - 'file' | 'source'
+     * @param {string} description
+     * @param {string|null} [projectKey]
+     */
+    constructor(viewPrefix, group, mode, description, projectKey = null) {
+        super(group.label, vscode.TreeItemCollapsibleState.Collapsed);
+
+        this.id = `${viewPrefix}Group:${projectKey || ''}:${mode}:${group.key}`;
+        this.groupKey = group.key;
+        this.projectKey = projectKey;
+        this.isViewGroup = true;
+        this.description = description;
+        this.tooltip = group.file || group.label;
+        this.iconPath = new vscode.ThemeIcon(mode === 'file' ? 'file' : 'book');
+        this.contextValue = mode === 'file' ? 'fileGroup' : 'sourceGroup';
+    }
+}
+
+module.exports = {
+    ViewOptions,
+    GroupTreeItem,
+    sortEntries,
+    groupEntries
+};
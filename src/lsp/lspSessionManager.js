@@ -0,0 +1,115 @@
+/**
+ * lspSessionManager.js - Uma sessao LSP por pasta do workspace
+ *
+ * Proposito:
+ *     Em workspaces multi-root, cada pasta com projeto Synesis (.synp)
+ *     recebe seu proprio SynesisLspClient e seu proprio loadProject.
+ *
+ * Componentes principais:
+ *     - sync: Cria/encerra sessoes conforme as pastas com projeto
+ *     - getSession / getSessionForUri: Sessao de uma pasta ou arquivo
+ *     - stopAll: Encerra todos os clients (deactivate)
+ *
+ * Dependencias criticas:
+ *     - SynesisLspClient: um processo synesis-lsp por sessao
+ *
+ * Notas de implementacao:
+ *     - Sessao: { key, folder, workspaceRoot, client, status, stats }
+ *     - status: 'loading' | 'ready' | 'error' | 'incompatible'
+ *     - Iniciar o client e carregar o projeto fica a cargo de extension.js
+ */
+
+const path = require('path');
+const vscode = require('vscode');
+const SynesisLspClient = require('./synesisClient');
+
+class LspSessionManager {
+    constructor() {
+        this.sessions = new Map(); // workspaceRoot normalizado -> sessao
+    }
+
+    /**
+     * Alinha as sessoes com as pastas informadas
+     * @param {vscode.WorkspaceFolder[]} folders
+     * @returns {{added: Array, removed: Array}}
+     */
+    sync(folders) {
+        const wanted = new Map((folders || []).map(folder => [sessionKey(folder.uri.fsPath), folder]));
+        const added = [];
+        const removed = [];
+
+        for (const [key, session] of this.sessions) {
+            if (!wanted.has(key)) {
+                this.sessions.delete(key);
+                session.client.stop().catch(error => {
+                    console.warn(`LspSessionManager: Failed to stop session for ${session.workspaceRoot}:`, error.message);
+                });
+                removed.push(session);
+            }
+        }
+
+        for (const [key, folder] of wanted) {
+            if (this.sessions.has(key)) {
+                continue;
+            }
+            const session = {
+                key,
+                folder,
+                workspaceRoot: folder.uri.fsPath,
+                client: new SynesisLspClient(),
+                status: 'loading',
+                stats: null
+            };
+            this.sessions.set(key, session);
+            added.push(session);
+        }
+
+        return { added, removed };
+    }
+
+    /**
+     * @returns {Array}
+     */
+    getSessions() {
+        return Array.from(this.sessions.values());
+    }
+
+    /**
+     * @param {string} workspaceRoot
+     * @returns {Object|null}
+     */
+    getSession(workspaceRoot) {
+        return workspaceRoot ? this.sessions.get(sessionKey(workspaceRoot)) || null : null;
+    }
+
+    /**
+     * @param {vscode.Uri} uri
+     * @returns {Object|null}
+     */
+    getSessionForUri(uri) {
+        const folder = uri ? vscode.workspace.getWorkspaceFolder(uri) : null;
+        return folder ? this.getSession(folder.uri.fsPath) : null;
+    }
+
+    /**
+     * @param {vscode.Uri} uri
+     * @returns {boolean}
+     */
+    isReadyFor(uri) {
+        const session = this.getSessionForUri(uri);
+        return Boolean(session && session.client.isReady());
+    }
+
+    stopAll() {
+        const stops = this.getSessions().map(session => session.client.stop());
+        this.sessions.clear();
+        return Promise.all(stops);
+    }
+}
+
+function sessionKey(workspaceRoot) {
+    const normalized = path.normalize(workspaceRoot);
+    return process.platform === 'win32' ? normalized.toLowerCase() : normalized;
+}
+
+module.exports = LspSessionManager;
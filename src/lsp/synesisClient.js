@@ -15,7 +15,12 @@ class SynesisLspClient {
         this.outputChannel = null;
     }
 
-    start(pythonPath = 'python', args = []) {
+    /**
+     * @param {string} pythonPath
+     * @param {string[]} args
+     * @param {vscode.WorkspaceFolder} [workspaceFolder] - Restringe a sessao a uma pasta (multi-root)
+     */
+    start(pythonPath = 'python', args = [], workspaceFolder = null) {
         if (this.client) {
             return this.readyPromise || Promise.resolve();
         }
@@ -37,21 +42,30 @@ class SynesisLspClient {
             transport: TransportKind.stdio
         };
 
-        this.outputChannel = vscode.window.createOutputChannel('Synesis LSP', { log: true });
+        const channelName = workspaceFolder ? `Synesis LSP (${workspaceFolder.name})` : 'Synesis LSP';
+        this.outputChannel = vscode.window.createOutputChannel(channelName, { log: true });
 
+        const watchPattern = '**/*.{syn,synt,synp,syno,bib}';
         const clientOptions = {
             documentSelector: [
-                { scheme: 'file', language: 'synesis' }
+                workspaceFolder
+                    ? { scheme: 'file', language: 'synesis', pattern: `${workspaceFolder.uri.fsPath.replace(/\\/g, '/')}/**/*` }
+                    : { scheme: 'file', language: 'synesis' }
             ],
             synchronize: {
-                fileEvents: vscode.workspace.createFileSystemWatcher('**/*.{syn,synt,synp,syno,bib}')
+                fileEvents: vscode.workspace.createFileSystemWatcher(
+                    workspaceFolder ? new vscode.RelativePattern(workspaceFolder, watchPattern) : watchPattern
+                )
             },
             outputChannel: this.outputChannel
         };
+        if (workspaceFolder) {
+            clientOptions.workspaceFolder = workspaceFolder;
+        }
 
         this.client = new LanguageClient(
             'synesisLspClient',
-            'Synesis LSP',
+            channelName,
             serverOptions,
             clientOptions
         );
@@ -8,6 +8,7 @@
  *     - parse: Retorna entries BibTeX
  *     - findEntry: Busca entry por bibref
  *     - getAbstract: Extrai o abstract do entry
+ *     - buildBibInfo: Campos bibliograficos (autor, titulo, ano, veiculo) sem chaves BibTeX
  */
 
 const fs = require('fs');
@@ -51,6 +52,37 @@ function getAbstract(entry) {
     return entry?.entryTags?.abstract || null;
 }
 
+/**
+ * Extrai os campos bibliograficos exibidos (abstract viewer, hover)
+ * @param {Object} entry
+ * @returns {{type, title, author, year, journal, booktitle, publisher, doi, url}}
+ */
+function buildBibInfo(entry) {
+    const tags = entry?.entryTags || {};
+    return {
+        type: entry?.entryType || '',
+        title: sanitizeBibValue(tags.title),
+        author: sanitizeBibValue(tags.author),
+        year: sanitizeBibValue(tags.year),
+        journal: sanitizeBibValue(tags.journal),
+        booktitle: sanitizeBibValue(tags.booktitle),
+        publisher: sanitizeBibValue(tags.publisher),
+        doi: sanitizeBibValue(tags.doi),
+        url: sanitizeBibValue(tags.url)
+    };
+}
+
+function sanitizeBibValue(value) {
+    if (!value) {
+        return '';
+    }
+
+    return String(value)
+        .replace(/[{}]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
 function normalizeKey(value) {
     const text = String(value || '').trim();
     const match = text.match(/[\p{L}\p{N}._-]+/u);
@@ -60,5 +92,6 @@ function normalizeKey(value) {
 module.exports = {
     parse,
     findEntry,
-    getAbstract
+    getAbstract,
+    buildBibInfo
 };
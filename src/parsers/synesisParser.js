@@ -24,6 +24,8 @@
  *     - Retorna localização (linha) para navegação
  */
 
+const { buildLineOffsets, getLineColumn } = require('../utils/positionUtils');
+
 class SynesisParser {
     /**
      * Parseia blocos SOURCE de um arquivo .syn
@@ -34,6 +36,7 @@ class SynesisParser {
      * SourceBlock: {
      *   bibref: string (ex: "@ashworth2019"),
      *   fields: Object (field_name -> value),
+     *   fieldEntries: Array<FieldEntry>,
      *   line: number,
      *   file: string,
      *   blockContent: string,
@@ -60,10 +63,12 @@ class SynesisParser {
 
             // Extrair campos do bloco
             const fields = this._parseFieldEntries(blockContent);
+            const fieldEntries = this._parseFieldLocations(content, blockContent, blockOffset);
 
             blocks.push({
                 bibref,
                 fields,
+                fieldEntries,
                 line,
                 file: filePath,
                 blockContent,
@@ -85,6 +90,7 @@ class SynesisParser {
      * ItemBlock: {
      *   bibref: string (ex: "@ashworth2019"),
      *   fields: Object (field_name -> value),
+     *   fieldEntries: Array<FieldEntry>,
      *   line: number,
      *   file: string,
      *   blockContent: string,
@@ -111,10 +117,12 @@ class SynesisParser {
 
             // Extrair campos do bloco
             const fields = this._parseFieldEntries(blockContent);
+            const fieldEntries = this._parseFieldLocations(content, blockContent, blockOffset);
 
             items.push({
                 bibref,
                 fields,
+                fieldEntries,
                 line,
                 file: filePath,
                 blockContent,
@@ -177,6 +185,83 @@ class SynesisParser {
         return fields;
     }
 
+    /**
+     * Extrai campos de um bloco com localizacao absoluta
+     * Cada ocorrencia de um campo repetido gera uma entrada propria
+     * @private
+     * @param {string} content - Conteúdo completo do arquivo
+     * @param {string} blockContent - Conteúdo interno do bloco
+     * @param {number} blockOffset - Offset do conteúdo interno no arquivo
+     * @returns {Array<FieldEntry>}
+     *
+     * FieldEntry: {
+     *   name: string,
+     *   value: string,
+     *   line: number,
+     *   column: number,
+     *   valueOffset: number (offset absoluto do inicio do valor),
+     *   valueEnd: number (offset absoluto do fim do valor bruto)
+     * }
+     */
+    _parseFieldLocations(content, blockContent, blockOffset) {
+        const entries = [];
+        const baseLine = this._getLineNumber(content, blockOffset);
+        const lines = blockContent.split('\n');
+        let current = null;
+        let lineOffset = blockOffset;
+
+        const commitField = () => {
+            if (!current) {
+                return;
+            }
+            const value = current.value.join('\n').trim();
+            if (value) {
+                entries.push({
+                    name: current.name,
+                    value,
+                    line: current.line,
+                    column: current.column,
+                    valueOffset: current.valueOffset,
+                    valueEnd: current.valueEnd
+                });
+            }
+            current = null;
+        };
+
+        for (let index = 0; index < lines.length; index += 1) {
+            const rawLine = lines[index];
+            const trimmed = rawLine.trim();
+            const lineStart = lineOffset;
+            lineOffset += rawLine.length + 1;
+
+            if (!trimmed || trimmed.startsWith('#')) {
+                continue;
+            }
+
+            const fieldMatch = trimmed.match(/^([\p{L}\p{N}._-]+)\s*:\s*(.*)$/u);
+
+            if (fieldMatch) {
+                commitField();
+                const column = rawLine.indexOf(fieldMatch[1]);
+                const valueColumn = rawLine.length - rawLine.trimStart().length + trimmed.length - fieldMatch[2].length;
+                current = {
+                    name: fieldMatch[1],
+                    value: [fieldMatch[2]],
+                    line: baseLine + index,
+                    column: column >= 0 ? column : 0,
+                    valueOffset: lineStart + valueColumn,
+                    valueEnd: lineStart + rawLine.trimEnd().length
+                };
+            } else if (current) {
+                current.value.push(trimmed);
+                current.valueEnd = lineStart + rawLine.trimEnd().length;
+            }
+        }
+
+        commitField();
+        return entries;
+    }
+
     /**
      * Adiciona valor a um campo, suportando campos duplicados
      * @private
@@ -203,11 +288,15 @@ class SynesisParser {
 
     /**
      * Calcula número da linha a partir de um offset no conteúdo
+     * Usa índice de linhas cacheado por conteúdo (evita O(n²) em arquivos grandes)
      * @private
      */
     _getLineNumber(content, offset) {
-        const beforeMatch = content.substring(0, offset);
-        return beforeMatch.split('\n').length - 1;
+        if (!this._lineIndex || this._lineIndex.content !== content) {
+            this._lineIndex = { content, offsets: buildLineOffsets(content) };
+        }
+
+        return getLineColumn(this._lineIndex.offsets, offset).line;
     }
 
     /**
@@ -3,10 +3,12 @@
  *
  * Proposito:
  *     Extrai definicoes de fields a partir de templates Synesis.
- *     Suporta TYPE, SCOPE, RELATIONS e ARITY.
+ *     Suporta TYPE, SCOPE, DESCRIPTION, RELATIONS e ARITY, e as declaracoes
+ *     REQUIRED/OPTIONAL/BUNDLE dos blocos SOURCE/ITEM/ONTOLOGY FIELDS.
  *
  * Componentes principais:
  *     - parse: Le e parseia um arquivo .synt
+ *     - parseContent: Parseia o texto de um .synt (documento aberto)
  *
  * Dependencias criticas:
  *     - fs: leitura de arquivos
@@ -21,6 +23,16 @@ const fs = require('fs');
  */
 async function parse(templatePath) {
     const content = await fs.promises.readFile(templatePath, 'utf-8');
+    return parseContent(content);
+}
+
+/**
+ * @param {string} content
+ * @returns {{fields: Array<Object>, blocks: Object}}
+ *
+ * Cada field traz startOffset/endOffset do trecho FIELD ... END FIELD
+ */
+function parseContent(content) {
     const fields = [];
 
     const fieldPattern = /FIELD\s+([\p{L}_][\p{L}\p{N}._-]*)\s+TYPE\s+([\p{L}\p{N}_-]+)([\s\S]*?)END\s+FIELD/gu;
@@ -36,14 +48,62 @@ async function parse(templatePath) {
             type,
             scope: extractScope(body),
             relations: extractRelations(body),
+            relationDescriptions: extractRelationDescriptions(body),
+            description: extractDescription(body),
             arity: extractArity(body),
-            values: extractValues(body)
+            values: extractValues(body),
+            startOffset: match.index,
+            endOffset: match.index + match[0].length
         };
 
         fields.push(field);
     }
 
-    return { fields };
+    return { fields, blocks: extractFieldBlocks(content) };
+}
+
+/**
+ * Declaracoes de blocos <SCOPE> FIELDS ... END <SCOPE> FIELDS
+ * @param {string} content
+ * @returns {Object} scope -> FieldBlock
+ *
+ * FieldBlock: {
+ *   required: string[],   // REQUIRED a, b
+ *   optional: string[],   // OPTIONAL a, b
+ *   bundles: Array<{ fields: string[], required: boolean }>  // [REQUIRED|OPTIONAL] BUNDLE a, b
+ * }
+ */
+function extractFieldBlocks(content) {
+    const blocks = {};
+    const blockPattern = /^\s*([\p{L}_]+)\s+FIELDS\b([\s\S]*?)END\s+\1\s+FIELDS/gmu;
+
+    let match;
+    while ((match = blockPattern.exec(content)) !== null) {
+        const scope = match[1].toUpperCase();
+        const block = blocks[scope] || { required: [], optional: [], bundles: [] };
+
+        for (const line of match[2].split('\n')) {
+            const lineMatch = line.trim().match(/^(REQUIRED|OPTIONAL)\s+(BUNDLE\s+)?(.+)$/);
+            if (!lineMatch) {
+                continue;
+            }
+
+            const required = lineMatch[1] === 'REQUIRED';
+            const names = lineMatch[3].split(',').map(name => name.trim()).filter(Boolean);
+
+            if (lineMatch[2]) {
+                block.bundles.push({ fields: names, required });
+                continue;
+            }
+
+            const target = required ? block.required : block.optional;
+            names.filter(name => !target.includes(name)).forEach(name => target.push(name));
+        }
+
+        blocks[scope] = block;
+    }
+
+    return blocks;
 }
 
 function extractScope(body) {
@@ -51,14 +111,43 @@ function extractScope(body) {
     return match ? match[1].toUpperCase() : 'ITEM';
 }
 
+function extractDescription(body) {
+    const match = body.match(/^\s*DESCRIPTION\s+(.+)$/m);
+    return match ? match[1].trim() : null;
+}
+
 function extractRelations(body) {
+    const entries = extractRelationEntries(body);
+    return entries ? entries.map(entry => entry.name) : null;
+}
+
+/**
+ * @param {string} body
+ * @returns {Object|null} relation -> descricao (texto apos ':')
+ */
+function extractRelationDescriptions(body) {
+    const entries = extractRelationEntries(body);
+    if (!entries) {
+        return null;
+    }
+
+    const descriptions = {};
+    for (const entry of entries) {
+        if (entry.description) {
+            descriptions[entry.name] = entry.description;
+        }
+    }
+    return descriptions;
+}
+
+function extractRelationEntries(body) {
     const relMatch = body.match(/RELATIONS([\s\S]*?)END\s+RELATIONS/);
     if (!relMatch) {
         return null;
     }
 
     const relBody = relMatch[1];
-    const relations = [];
+    const entries = [];
     const lines = relBody.split('\n');
 
     for (const line of lines) {
@@ -67,13 +156,13 @@ function extractRelations(body) {
             continue;
         }
 
-        const match = trimmed.match(/^([\p{L}\p{N}._-]+)\s*:/u);
+        const match = trimmed.match(/^([\p{L}\p{N}._-]+)\s*:\s*(.*)$/u);
         if (match) {
-            relations.push(match[1]);
+            entries.push({ name: match[1], description: match[2].trim() });
         }
     }
 
-    return relations;
+    return entries;
 }
 
 function extractArity(body) {
@@ -118,5 +207,6 @@ function extractValues(body) {
 }
 
 module.exports = {
-    parse
+    parse,
+    parseContent
 };
@@ -0,0 +1,141 @@
+/**
+ * bibrefHover.js - Hover com metadados bibliograficos dos @bibrefs
+ *
+ * Proposito:
+ *     Ao passar o mouse sobre o @bibref de um cabecalho SOURCE ou ITEM,
+ *     mostra a citacao formatada (autores, ano, titulo, veiculo), o inicio
+ *     do abstract, quantos ITEMs a referencia tem no corpus e links para
+ *     Show Abstract e Show Graph. Funciona sem o LSP.
+ *
+ * Componentes principais:
+ *     - provideHover: @bibref sob o cursor -> vscode.Hover
+ *     - invalidate: Descarta caches (salvamento de .syn/.bib/.synp)
+ *
+ * Dependencias criticas:
+ *     - projectLoader: caminho da bibliografia do projeto
+ *     - bibtexParser: entries e buildBibInfo
+ *     - DataService: contagem de ITEMs (LSP ou fallback local)
+ *
+ * Notas de implementacao:
+ *     - Entries cacheadas por arquivo .bib; contagens por projeto
+ *     - Os links passam o bibref e o arquivo como argumentos dos comandos
+ */
+
+const vscode = require('vscode');
+const projectLoader = require('../core/projectLoader');
+const bibtexParser = require('../parsers/bibtexParser');
+const { escapeMarkdown, truncateText, formatCitation } = require('../utils/markdownUtils');
+const { cachePromise } = require('../utils/cacheUtils');
+
+const HEADER_PATTERN = /^(\s*(?:SOURCE|ITEM)\s+)(@[\p{L}\p{N}._-]+)/u;
+const MAX_ABSTRACT_LENGTH = 400;
+
+class BibrefHoverProvider {
+    /**
+     * @param {WorkspaceScanner} workspaceScanner
+     * @param {DataService} dataService
+     */
+    constructor(workspaceScanner, dataService) {
+        this.scanner = workspaceScanner;
+        this.dataService = dataService;
+        this.entryCache = new Map(); // bibliographyPath -> Promise<Array>
+        this.itemCountCache = new Map(); // projectUri -> Promise<Map<bibref, itemCount>>
+    }
+
+    /**
+     * @param {vscode.TextDocument} document
+     * @param {vscode.Position} position
+     * @returns {Promise<vscode.Hover|null>}
+     */
+    async provideHover(document, position) {
+        if (!/\.syn$/i.test(document.uri.fsPath || '')) {
+            return null;
+        }
+
+        const match = HEADER_PATTERN.exec(document.lineAt(position.line).text);
+        if (!match) {
+            return null;
+        }
+        const start = match[1].length;
+        const end = start + match[2].length;
+        if (position.character < start || position.character > end) {
+            return null;
+        }
+
+        const bibref = match[2];
+        try {
+            const projectUri = await this.scanner.findProjectFileForUri(document.uri);
+            if (!projectUri) {
+                return null;
+            }
+
+            const project = await projectLoader.load(projectUri);
+            const [entry, itemCounts] = await Promise.all([
+                project.bibliographyPath ? this._findEntry(project.bibliographyPath, bibref) : Promise.resolve(null),
+                this._getItemCounts(projectUri)
+            ]);
+
+            const range = new vscode.Range(position.line, start, position.line, end);
+            const markdown = this._buildMarkdown(bibref, entry, itemCounts.get(bibref.toLowerCase()), document.uri.fsPath);
+            return new vscode.Hover(markdown, range);
+        } catch (error) {
+            console.warn('BibrefHoverProvider: Failed to compute hover:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Descarta bibliografias e contagens de ITEMs
+     */
+    invalidate() {
+        this.entryCache.clear();
+        this.itemCountCache.clear();
+    }
+
+    _buildMarkdown(bibref, entry, itemCount, filePath) {
+        const markdown = new vscode.MarkdownString();
+        markdown.isTrusted = true;
+
+        if (!entry) {
+            markdown.appendMarkdown(`**${escapeMarkdown(bibref)}** · not found in the bibliography\n\n`);
+        } else {
+            const info = bibtexParser.buildBibInfo(entry);
+            markdown.appendMarkdown(`${formatCitation(info) || `**${escapeMarkdown(bibref)}**`}\n\n`);
+
+            const abstract = bibtexParser.getAbstract(entry);
+            if (abstract) {
+                markdown.appendMarkdown(`> ${escapeMarkdown(truncateText(abstract.replace(/[{}]/g, ''), MAX_ABSTRACT_LENGTH))}\n\n`);
+            }
+        }
+
+        if (typeof itemCount === 'number') {
+            markdown.appendMarkdown(`${itemCount} ITEM(s) in the corpus\n\n`);
+        }
+
+        const args = encodeURIComponent(JSON.stringify([bibref, filePath]));
+        markdown.appendMarkdown(
+            `[Show Abstract](command:synesis.showAbstract?${args}) · [Show Graph](command:synesis.showGraph?${args})`
+        );
+        return markdown;
+    }
+
+    async _findEntry(bibliographyPath, bibref) {
+        const entries = await cachePromise(this.entryCache, bibliographyPath, () => bibtexParser.parse(bibliographyPath));
+        return bibtexParser.findEntry(entries, bibref);
+    }
+
+    _getItemCounts(projectUri) {
+        return cachePromise(this.itemCountCache, projectUri, async () => {
+            const key = projectUri.toString();
+            const project = this.dataService.getProjects().find(entry => entry.key === key)
+                || this.scanner.describeProject(projectUri);
+            const references = await this.dataService.getReferences(project);
+            return new Map((references || []).map(ref => [ref.bibref.toLowerCase(), ref.itemCount || 0]));
+        }).catch(error => {
+            console.warn('BibrefHoverProvider: Failed to load item counts:', error.message);
+            return new Map();
+        });
+    }
+}
+
+module.exports = BibrefHoverProvider;
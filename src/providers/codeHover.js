@@ -0,0 +1,172 @@
+/**
+ * codeHover.js - Hover com a definicao ONTOLOGY dos codigos em .syn
+ *
+ * Proposito:
+ *     Ao passar o mouse sobre um codigo de campo CODE ou CHAIN, mostra o
+ *     conceito do .syno (description, topic, aspect, confidence e demais
+ *     campos), quantas vezes o codigo e usado no corpus e um link para a
+ *     definicao. Funciona sem o LSP.
+ *
+ * Componentes principais:
+ *     - provideHover: Token de codigo sob o cursor -> vscode.Hover
+ *     - invalidate: Descarta caches (edicao de .syn/.syno, salvamento)
+ *
+ * Dependencias criticas:
+ *     - ontologyIndex: conceitos definidos no projeto (OntologyParser)
+ *     - codeRefactor: tokens de codigo dos campos CODE/CHAIN
+ *     - DataService: contagem de uso (LSP ou fallback local)
+ *
+ * Notas de implementacao:
+ *     - Conceitos e contagens cacheados por projeto; tokens por versao do documento
+ *     - Valores longos sao truncados; o link abre o bloco via synesis.openLocation
+ */
+
+const path = require('path');
+const vscode = require('vscode');
+const { loadConcepts, getFieldText } = require('../core/ontologyIndex');
+const { createCodeTokenCache } = require('../core/codeRefactor');
+const { escapeMarkdown, truncateText } = require('../utils/markdownUtils');
+const { cachePromise } = require('../utils/cacheUtils');
+
+const PRIMARY_FIELDS = ['topic', 'aspect', 'confidence'];
+const MAX_VALUE_LENGTH = 240;
+
+class CodeHoverProvider {
+    /**
+     * @param {WorkspaceScanner} workspaceScanner
+     * @param {TemplateManager} templateManager
+     * @param {DataService} dataService
+     */
+    constructor(workspaceScanner, templateManager, dataService) {
+        this.scanner = workspaceScanner;
+        this.templateManager = templateManager;
+        this.dataService = dataService;
+        this.conceptCache = new Map(); // projectUri -> Promise<Map>
+        this.usageCache = new Map(); // projectUri -> Promise<Map<code em minusculas, usageCount>>
+        this.tokenCache = createCodeTokenCache();
+    }
+
+    /**
+     * @param {vscode.TextDocument} document
+     * @param {vscode.Position} position
+     * @returns {Promise<vscode.Hover|null>}
+     */
+    async provideHover(document, position) {
+        if (!/\.syn$/i.test(document.uri.fsPath || '')) {
+            return null;
+        }
+
+        try {
+            const projectUri = await this.scanner.findProjectFileForUri(document.uri);
+            if (!projectUri) {
+                return null;
+            }
+
+            const registry = await this.templateManager.loadFieldRegistry(projectUri);
+            const offset = document.offsetAt(position);
+            const token = this.tokenCache.get(document, registry)
+                .find(entry => offset >= entry.start && offset <= entry.end);
+            if (!token) {
+                return null;
+            }
+
+            const [concepts, usage] = await Promise.all([
+                this._getConcepts(projectUri),
+                this._getUsage(projectUri)
+            ]);
+            const concept = concepts.get(token.text.toLowerCase()) || null;
+            const range = new vscode.Range(document.positionAt(token.start), document.positionAt(token.end));
+            return new vscode.Hover(this._buildMarkdown(token.text, concept, usage.get(token.text.toLowerCase())), range);
+        } catch (error) {
+            console.warn('CodeHoverProvider: Failed to compute hover:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * @param {vscode.Uri} [uri] - Documento alterado (omitido = tudo)
+     */
+    invalidate(uri) {
+        if (!uri || /\.syno$/i.test(uri.fsPath || '')) {
+            this.conceptCache.clear();
+        }
+        if (!uri) {
+            this.usageCache.clear();
+            return;
+        }
+        this.tokenCache.delete(uri);
+    }
+
+    _buildMarkdown(code, concept, usageCount) {
+        const markdown = new vscode.MarkdownString();
+        markdown.isTrusted = true;
+
+        if (!concept) {
+            markdown.appendMarkdown(`**${escapeMarkdown(code)}** · no ONTOLOGY definition\n\n`);
+            markdown.appendMarkdown('Use the quick fix (`Ctrl+.`) to create its ONTOLOGY block.\n\n');
+            this._appendUsage(markdown, usageCount);
+            return markdown;
+        }
+
+        markdown.appendMarkdown(`**${escapeMarkdown(concept.concept)}** · ONTOLOGY concept\n\n`);
+
+        const description = getFieldText(concept, 'description');
+        if (description) {
+            markdown.appendMarkdown(`${escapeMarkdown(truncateText(description, MAX_VALUE_LENGTH))}\n\n`);
+        }
+
+        const names = (concept.fieldEntries || []).map(entry => entry.name);
+        const ordered = [
+            ...PRIMARY_FIELDS.filter(name => names.includes(name)),
+            ...names.filter(name => name !== 'description' && !PRIMARY_FIELDS.includes(name))
+        ];
+        const lines = Array.from(new Set(ordered))
+            .map(name => [name, getFieldText(concept, name)])
+            .filter(([, value]) => value)
+            .map(([name, value]) => `- **${escapeMarkdown(name)}**: ${escapeMarkdown(truncateText(value, MAX_VALUE_LENGTH))}`);
+        if (lines.length > 0) {
+            markdown.appendMarkdown(`${lines.join('\n')}\n\n`);
+        }
+
+        this._appendUsage(markdown, usageCount);
+
+        const args = encodeURIComponent(JSON.stringify([concept.file, concept.line, 0]));
+        markdown.appendMarkdown(
+            `[Open definition](command:synesis.openLocation?${args}) · ${escapeMarkdown(path.basename(concept.file))}:${concept.line + 1}`
+        );
+        return markdown;
+    }
+
+    _appendUsage(markdown, usageCount) {
+        if (typeof usageCount === 'number') {
+            markdown.appendMarkdown(`Used ${usageCount} time(s) in the corpus\n\n`);
+        }
+    }
+
+    _getConcepts(projectUri) {
+        return cachePromise(this.conceptCache, projectUri, () => loadConcepts(this.scanner, projectUri));
+    }
+
+    _getUsage(projectUri) {
+        return cachePromise(this.usageCache, projectUri, async () => {
+            const key = projectUri.toString();
+            const project = this.dataService.getProjects().find(entry => entry.key === key)
+                || this.scanner.describeProject(projectUri);
+            const codes = await this.dataService.getCodes(project);
+            // Sem caixa, como os conceitos: grafias diferentes do codigo somam o uso
+            const usage = new Map();
+            for (const entry of codes || []) {
+                if (typeof entry.usageCount === 'number') {
+                    const code = entry.code.toLowerCase();
+                    usage.set(code, (usage.get(code) || 0) + entry.usageCount);
+                }
+            }
+            return usage;
+        }).catch(error => {
+            console.warn('CodeHoverProvider: Failed to load code usage:', error.message);
+            return new Map();
+        });
+    }
+}
+
+module.exports = CodeHoverProvider;
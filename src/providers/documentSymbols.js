@@ -0,0 +1,185 @@
+/**
+ * documentSymbols.js - Outline local de arquivos .syn, .syno, .synt e .synp
+ *
+ * Proposito:
+ *     Fornece DocumentSymbols quando o LSP nao esta pronto, para que Outline,
+ *     breadcrumbs e "Go to Symbol in Editor" funcionem sem ele.
+ *
+ * Componentes principais:
+ *     - provideDocumentSymbols: Documento -> DocumentSymbol[] por tipo de arquivo
+ *
+ * Dependencias criticas:
+ *     - SynesisParser: blocos SOURCE/ITEM e seus campos (.syn)
+ *     - OntologyParser: conceitos ONTOLOGY e seus campos (.syno)
+ *     - templateParser.parseContent: definicoes FIELD (.synt)
+ *     - projectLoader.parseOutline: PROJECT, TEMPLATE, INCLUDEs e blocos (.synp)
+ *
+ * Notas de implementacao:
+ *     - Com o LSP pronto para o documento, retorna [] (os simbolos vem do LSP;
+ *       evita Outline duplicado)
+ *     - Nome dos blocos SOURCE/ITEM e o bibref (GraphViewer extrai o bibref
+ *       do simbolo sob o cursor)
+ */
+
+const path = require('path');
+const vscode = require('vscode');
+const SynesisParser = require('../parsers/synesisParser');
+const OntologyParser = require('../parsers/ontologyParser');
+const templateParser = require('../parsers/templateParser');
+const projectLoader = require('../core/projectLoader');
+const { truncateText } = require('../utils/markdownUtils');
+
+const MAX_DETAIL_LENGTH = 60;
+
+class SynesisDocumentSymbolProvider {
+    /**
+     * @param {DataService} [dataService] - Status do LSP por documento
+     */
+    constructor(dataService = null) {
+        this.dataService = dataService;
+        this.synesisParser = new SynesisParser();
+        this.ontologyParser = new OntologyParser();
+    }
+
+    /**
+     * @param {vscode.TextDocument} document
+     * @returns {vscode.DocumentSymbol[]}
+     */
+    provideDocumentSymbols(document) {
+        if (this.dataService && this.dataService.getLspStatus(document.uri) === 'ready') {
+            return [];
+        }
+
+        try {
+            switch (path.extname(document.uri.fsPath || '').toLowerCase()) {
+                case '.syn':
+                    return this._annotationSymbols(document);
+                case '.syno':
+                    return this._ontologySymbols(document);
+                case '.synt':
+                    return this._templateSymbols(document);
+                case '.synp':
+                    return this._projectSymbols(document);
+                default:
+                    return [];
+            }
+        } catch (error) {
+            console.warn('SynesisDocumentSymbolProvider: Failed to build symbols:', error.message);
+            return [];
+        }
+    }
+
+    _annotationSymbols(document) {
+        const text = document.getText();
+        const filePath = document.uri.fsPath;
+        const blocks = [
+            ...this.synesisParser.parseSourceBlocks(text, filePath).map(block => ({ block, kind: 'SOURCE' })),
+            ...this.synesisParser.parseItems(text, filePath).map(block => ({ block, kind: 'ITEM' }))
+        ].sort((a, b) => a.block.startOffset - b.block.startOffset);
+
+        return blocks.map(({ block, kind }) => {
+            const range = offsetRange(document, block.startOffset, block.endOffset);
+            const bibrefStart = text.indexOf(block.bibref, block.startOffset + kind.length);
+            const symbol = new vscode.DocumentSymbol(
+                block.bibref,
+                kind,
+                kind === 'SOURCE' ? vscode.SymbolKind.Module : vscode.SymbolKind.Object,
+                range,
+                offsetRange(document, bibrefStart, bibrefStart + block.bibref.length)
+            );
+            symbol.children = (block.fieldEntries || []).map(entry => fieldSymbol(
+                entry,
+                document.positionAt(entry.valueEnd),
+                range
+            ));
+            return symbol;
+        });
+    }
+
+    _ontologySymbols(document) {
+        const text = document.getText();
+        return this.ontologyParser.parseOntologyBlocks(text, document.uri.fsPath).map(block => {
+            const range = offsetRange(document, block.startOffset, block.endOffset);
+            const conceptStart = text.indexOf(block.concept, block.startOffset + 'ONTOLOGY'.length);
+            const symbol = new vscode.DocumentSymbol(
+                block.concept,
+                'ONTOLOGY',
+                vscode.SymbolKind.Class,
+                range,
+                offsetRange(document, conceptStart, conceptStart + block.concept.length)
+            );
+            symbol.children = (block.fieldEntries || []).map(entry => fieldSymbol(
+                entry,
+                document.lineAt(entry.line).range.end,
+                range
+            ));
+            return symbol;
+        });
+    }
+
+    _templateSymbols(document) {
+        const text = document.getText();
+        return templateParser.parseContent(text).fields.map(field => {
+            const nameStart = text.indexOf(field.name, field.startOffset + 'FIELD'.length);
+            return new vscode.DocumentSymbol(
+                field.name,
+                `${field.type} · ${field.scope}`,
+                vscode.SymbolKind.Property,
+                offsetRange(document, field.startOffset, field.endOffset),
+                offsetRange(document, nameStart, nameStart + field.name.length)
+            );
+        });
+    }
+
+    _projectSymbols(document) {
+        const outline = projectLoader.parseOutline(document.getText());
+        if (!outline) {
+            return [];
+        }
+
+        const range = offsetRange(document, outline.startOffset, outline.endOffset);
+        const headerEnd = document.lineAt(range.start.line).range.end;
+        const project = new vscode.DocumentSymbol(
+            outline.name || 'PROJECT',
+            'PROJECT',
+            vscode.SymbolKind.Package,
+            range,
+            new vscode.Range(range.start, headerEnd)
+        );
+        project.children = outline.entries.map(entry => {
+            const entryRange = offsetRange(document, entry.startOffset, entry.endOffset);
+            return new vscode.DocumentSymbol(
+                entry.name,
+                entry.detail,
+                entry.kind === 'TEMPLATE' || entry.kind === 'INCLUDE' ? vscode.SymbolKind.File : vscode.SymbolKind.Namespace,
+                entryRange,
+                entryRange.isSingleLine
+                    ? entryRange
+                    : new vscode.Range(entryRange.start, document.lineAt(entryRange.start.line).range.end)
+            );
+        });
+        return [project];
+    }
+}
+
+/**
+ * Campo de um bloco: do nome ate o fim do valor, limitado ao bloco
+ */
+function fieldSymbol(entry, valueEnd, blockRange) {
+    const start = new vscode.Position(entry.line, entry.column);
+    const nameEnd = new vscode.Position(entry.line, entry.column + entry.name.length);
+    const end = valueEnd.isAfter(nameEnd) ? valueEnd : nameEnd;
+    return new vscode.DocumentSymbol(
+        entry.name,
+        truncateText(entry.value, MAX_DETAIL_LENGTH),
+        vscode.SymbolKind.Field,
+        new vscode.Range(start, blockRange.end.isBefore(end) ? blockRange.end : end),
+        new vscode.Range(start, nameEnd)
+    );
+}
+
+function offsetRange(document, start, end) {
+    return new vscode.Range(document.positionAt(start), document.positionAt(end));
+}
+
+module.exports = SynesisDocumentSymbolProvider;
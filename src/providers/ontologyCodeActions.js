@@ -0,0 +1,180 @@
+/**
+ * ontologyCodeActions.js - Quick fix para codigos sem definicao ONTOLOGY
+ *
+ * Proposito:
+ *     Em arquivos .syn, oferece "Create ONTOLOGY block for X" quando um
+ *     codigo de campo CODE ou CHAIN nao tem bloco ONTOLOGY nos .syno do
+ *     projeto. A acao anexa um esqueleto ao arquivo de ontologia e abre
+ *     o novo bloco.
+ *
+ * Componentes principais:
+ *     - provideCodeActions: Codigos sob a selecao sem definicao -> CodeActions
+ *     - invalidate: Descarta o cache de conceitos (edicao/salvamento de .syno)
+ *
+ * Dependencias criticas:
+ *     - TemplateManager: FieldRegistry (campos CODE/CHAIN e campos ONTOLOGY)
+ *     - ontologyIndex: conceitos definidos no projeto
+ *     - projectLoader: INCLUDE ONTOLOGY de destino
+ *     - codeRefactor: tokens de codigo dos campos CODE/CHAIN
+ *
+ * Notas de implementacao:
+ *     - Campos do esqueleto: REQUIRED + OPTIONAL de ONTOLOGY FIELDS, ou os
+ *       FIELDs com SCOPE ONTOLOGY quando o bloco nao foi declarado
+ *     - Tokens de campos cacheados por versao do documento
+ */
+
+const fs = require('fs');
+const vscode = require('vscode');
+const projectLoader = require('../core/projectLoader');
+const { loadConcepts } = require('../core/ontologyIndex');
+const { createCodeTokenCache } = require('../core/codeRefactor');
+const { readText } = require('../utils/documentUtils');
+const { buildLineOffsets } = require('../utils/positionUtils');
+const { cachePromise } = require('../utils/cacheUtils');
+
+const INDENT = '    ';
+
+class OntologyCodeActionProvider {
+    /**
+     * @param {WorkspaceScanner} workspaceScanner
+     * @param {TemplateManager} templateManager
+     */
+    constructor(workspaceScanner, templateManager) {
+        this.scanner = workspaceScanner;
+        this.templateManager = templateManager;
+        this.conceptCache = new Map(); // projectUri -> Promise<Map>
+        this.tokenCache = createCodeTokenCache();
+    }
+
+    /**
+     * @param {vscode.TextDocument} document
+     * @param {vscode.Range} range
+     * @returns {Promise<vscode.CodeAction[]>}
+     */
+    async provideCodeActions(document, range) {
+        if (!/\.syn$/i.test(document.uri.fsPath || '')) {
+            return [];
+        }
+
+        try {
+            const projectUri = await this.scanner.findProjectFileForUri(document.uri);
+            if (!projectUri) {
+                return [];
+            }
+
+            const registry = await this.templateManager.loadFieldRegistry(projectUri);
+            const codes = this._findCodesInRange(document, range, registry);
+            if (codes.length === 0) {
+                return [];
+            }
+
+            const concepts = await this._getConcepts(projectUri);
+            const undefinedCodes = codes.filter(code => !concepts.has(code.toLowerCase()));
+            if (undefinedCodes.length === 0) {
+                return [];
+            }
+
+            const target = await this._resolveOntologyFile(projectUri);
+            if (!target) {
+                return [];
+            }
+
+            const fields = registry.getScopeFields('ONTOLOGY');
+            return Promise.all(undefinedCodes.map(code => this._createAction(code, fields, target)));
+        } catch (error) {
+            console.warn('OntologyCodeActionProvider: Failed to compute code actions:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * @param {vscode.Uri} [uri] - Documento alterado (omitido = tudo)
+     */
+    invalidate(uri) {
+        if (!uri || /\.syno$/i.test(uri.fsPath || '')) {
+            this.conceptCache.clear();
+        }
+        if (uri) {
+            this.tokenCache.delete(uri);
+        }
+    }
+
+    _findCodesInRange(document, range, registry) {
+        const start = document.offsetAt(range.start);
+        const end = document.offsetAt(range.end);
+        const codes = [];
+
+        for (const token of this.tokenCache.get(document, registry)) {
+            if (token.end < start || token.start > end) {
+                continue;
+            }
+            if (!codes.includes(token.text)) {
+                codes.push(token.text);
+            }
+        }
+
+        return codes;
+    }
+
+    _getConcepts(projectUri) {
+        return cachePromise(this.conceptCache, projectUri, () => loadConcepts(this.scanner, projectUri));
+    }
+
+    /**
+     * Primeiro INCLUDE ONTOLOGY (arquivo, nao glob) do projeto ou primeiro .syno encontrado
+     * @param {vscode.Uri} projectUri
+     * @returns {Promise<vscode.Uri|null>}
+     */
+    async _resolveOntologyFile(projectUri) {
+        const project = await projectLoader.load(projectUri);
+        const include = project.includes.find(entry =>
+            entry.type === 'ONTOLOGY' && /\.syno$/i.test(entry.path) && !/[*?[\]{}]/.test(entry.path)
+        );
+        if (include) {
+            return vscode.Uri.file(include.absolutePath);
+        }
+
+        const files = await this.scanner.findSynoFiles(projectUri);
+        return files.length > 0 ? files[0] : null;
+    }
+
+    async _createAction(code, fields, target) {
+        const exists = fs.existsSync(target.fsPath);
+        const text = exists ? await readText(target) : '';
+        const lineOffsets = buildLineOffsets(text);
+        const lastLine = lineOffsets.length - 1;
+        const end = new vscode.Position(lastLine, text.length - lineOffsets[lastLine]);
+
+        let prefix = '\n\n';
+        if (text.length === 0 || text.endsWith('\n\n')) {
+            prefix = '';
+        } else if (text.endsWith('\n')) {
+            prefix = '\n';
+        }
+
+        const lines = [`ONTOLOGY ${code}`, ...fields.map(name => `${INDENT}${name}: `), 'END ONTOLOGY'];
+        const blockLine = lastLine + (prefix.match(/\n/g) || []).length;
+
+        const edit = new vscode.WorkspaceEdit();
+        if (!exists) {
+            edit.createFile(target, { ignoreIfExists: true });
+        }
+        edit.insert(target, end, `${prefix}${lines.join('\n')}\n`);
+
+        const action = new vscode.CodeAction(`Create ONTOLOGY block for ${code}`, vscode.CodeActionKind.QuickFix);
+        action.edit = edit;
+        action.isPreferred = true;
+        action.command = {
+            title: 'Open ONTOLOGY block',
+            command: 'synesis.openLocation',
+            arguments: fields.length > 0
+                ? [target.fsPath, blockLine + 1, lines[1].length]
+                : [target.fsPath, blockLine, 0]
+        };
+        return action;
+    }
+}
+
+OntologyCodeActionProvider.providedCodeActionKinds = [vscode.CodeActionKind.QuickFix];
+
+module.exports = OntologyCodeActionProvider;
@@ -0,0 +1,351 @@
+/**
+ * synesisCompletion.js - Completion de campos, codigos, relacoes e bibrefs
+ *
+ * Proposito:
+ *     Sugere, sem depender do LSP, o que cabe na posicao do cursor em
+ *     arquivos .syn e .syno: nomes de campo do escopo do bloco, codigos
+ *     (ontologia e corpus) em campos CODE/CHAIN, relacoes do template
+ *     apos '->' em chains qualificadas e bibrefs do .bib apos SOURCE/ITEM.
+ *     Fora de blocos, oferece snippets de blocos SOURCE/ITEM (.syn) e
+ *     ONTOLOGY (.syno) montados a partir do template.
+ *
+ * Componentes principais:
+ *     - provideCompletionItems: Contexto do cursor -> CompletionItem[]
+ *     - invalidate: Descarta caches (edicao de .syno, salvamento)
+ *
+ * Dependencias criticas:
+ *     - FieldRegistry: campos do escopo, tipos, RELATIONS e DESCRIPTION
+ *     - ontologyIndex: conceitos definidos no projeto (OntologyParser)
+ *     - DataService: codigos usados no corpus (LSP ou fallback local)
+ *     - bibtexParser: entries da bibliografia do projeto
+ *     - blockSnippets: esqueletos de blocos com tab stops
+ *
+ * Notas de implementacao:
+ *     - O contexto vem das linhas acima do cursor: cabecalho do bloco
+ *       (SOURCE/ITEM/ONTOLOGY) e ultimo "campo:" (valores multilinha)
+ *     - Em CHAIN com RELATIONS, posicoes impares apos '->' sao relacoes
+ *     - Conceitos, codigos e bibliografia cacheados por projeto
+ */
+
+const vscode = require('vscode');
+const projectLoader = require('../core/projectLoader');
+const bibtexParser = require('../parsers/bibtexParser');
+const { loadConcepts, getFieldText } = require('../core/ontologyIndex');
+const { buildBlockSnippet, findPrecedingBibref } = require('../core/blockSnippets');
+const { escapeMarkdown, truncateText, formatCitation } = require('../utils/markdownUtils');
+const { cachePromise } = require('../utils/cacheUtils');
+
+const HEADER_PATTERN = /^\s*(SOURCE|ITEM)\s+(@?[\p{L}\p{N}._-]*)$/u;
+const BLOCK_START_PATTERN = /^\s*(SOURCE|ITEM|ONTOLOGY)\s+\S/u;
+const BLOCK_END_PATTERN = /^\s*END\s+(SOURCE|ITEM|ONTOLOGY)\b/u;
+const FIELD_PATTERN = /^\s*([\p{L}\p{N}._-]+)\s*:(.*)$/u;
+const PARTIAL_NAME_PATTERN = /^\s*[\p{L}\p{N}._-]*$/u;
+const WORD_BEFORE_PATTERN = /[\p{L}\p{N}._-]*$/u;
+const WORD_AFTER_PATTERN = /^[\p{L}\p{N}._]*(?:-(?!>)[\p{L}\p{N}._]*)*/u;
+const MAX_DOC_LENGTH = 400;
+
+class SynesisCompletionProvider {
+    /**
+     * @param {WorkspaceScanner} workspaceScanner
+     * @param {TemplateManager} templateManager
+     * @param {DataService} dataService
+     */
+    constructor(workspaceScanner, templateManager, dataService) {
+        this.scanner = workspaceScanner;
+        this.templateManager = templateManager;
+        this.dataService = dataService;
+        this.codeCache = new Map(); // projectUri -> Promise<Array<{code, concept, usageCount}>>
+        this.bibCache = new Map(); // projectUri -> Promise<Array>
+    }
+
+    /**
+     * @param {vscode.TextDocument} document
+     * @param {vscode.Position} position
+     * @returns {Promise<vscode.CompletionItem[]|null>}
+     */
+    async provideCompletionItems(document, position) {
+        if (!/\.syno?$/i.test(document.uri.fsPath || '')) {
+            return null;
+        }
+
+        const context = this._getContext(document, position);
+        if (!context) {
+            return null;
+        }
+
+        try {
+            const projectUri = await this.scanner.findProjectFileForUri(document.uri);
+            if (!projectUri) {
+                return null;
+            }
+
+            if (context.kind === 'bibref') {
+                return this._bibrefItems(projectUri, context.range);
+            }
+
+            const registry = await this.templateManager.loadFieldRegistry(projectUri);
+            if (context.kind === 'fieldName') {
+                return this._fieldItems(registry, context.scope, context.range);
+            }
+            if (context.kind === 'block') {
+                return this._blockItems(registry, document, position, context.range);
+            }
+
+            const def = registry.getFieldDef(context.field);
+            if (!def || (def.type !== 'CODE' && def.type !== 'CHAIN')) {
+                return null;
+            }
+            if (def.type === 'CHAIN' && this._expectsRelation(registry, context)) {
+                return this._relationItems(registry, context.field, context.range);
+            }
+            return this._codeItems(projectUri, context.field, context.range);
+        } catch (error) {
+            console.warn('SynesisCompletionProvider: Failed to compute completions:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * @param {vscode.Uri} [uri] - Documento alterado (omitido = tudo)
+     */
+    invalidate(uri) {
+        if (!uri || /\.(syno|syn|bib|synp)$/i.test(uri.fsPath || '')) {
+            this.codeCache.clear();
+        }
+        if (!uri || /\.(bib|synp)$/i.test(uri.fsPath || '')) {
+            this.bibCache.clear();
+        }
+    }
+
+    /**
+     * Classifica a posicao: bibref de cabecalho, nome de campo ou valor de campo
+     * @private
+     */
+    _getContext(document, position) {
+        const lineText = document.lineAt(position.line).text;
+        const prefix = lineText.slice(0, position.character);
+        const suffix = lineText.slice(position.character);
+
+        const header = HEADER_PATTERN.exec(prefix);
+        if (header) {
+            const start = position.character - header[2].length;
+            return { kind: 'bibref', range: this._wordRange(position, start, suffix) };
+        }
+
+        const wordStart = position.character - WORD_BEFORE_PATTERN.exec(prefix)[0].length;
+        const range = this._wordRange(position, wordStart, suffix);
+
+        const block = this._findEnclosingBlock(document, position.line);
+        if (!block) {
+            return PARTIAL_NAME_PATTERN.test(prefix) ? { kind: 'block', range } : null;
+        }
+
+        const fieldLine = FIELD_PATTERN.exec(prefix);
+        if (fieldLine) {
+            return { kind: 'value', scope: block.scope, field: fieldLine[1], valuePrefix: fieldLine[2], range };
+        }
+        if (PARTIAL_NAME_PATTERN.test(prefix)) {
+            return { kind: 'fieldName', scope: block.scope, range };
+        }
+        if (!block.field) {
+            return null;
+        }
+        return {
+            kind: 'value',
+            scope: block.scope,
+            field: block.field,
+            valuePrefix: `${block.fieldValue}\n${prefix}`,
+            range
+        };
+    }
+
+    /**
+     * Sobe a partir da linha do cursor ate o cabecalho do bloco
+     * @private
+     * @returns {{scope: string, field: string|null, fieldValue: string}|null}
+     */
+    _findEnclosingBlock(document, line) {
+        let field = null;
+        const continuation = [];
+
+        for (let index = line - 1; index >= 0; index--) {
+            const text = document.lineAt(index).text;
+            if (BLOCK_END_PATTERN.test(text)) {
+                return null;
+            }
+            const start = BLOCK_START_PATTERN.exec(text);
+            if (start) {
+                return { scope: start[1], field: field ? field.name : null, fieldValue: field ? field.value : '' };
+            }
+            if (field) {
+                continue;
+            }
+
+            const fieldLine = FIELD_PATTERN.exec(text);
+            if (fieldLine) {
+                field = { name: fieldLine[1], value: [fieldLine[2], ...continuation.reverse()].join('\n') };
+            } else {
+                continuation.push(text.trim());
+            }
+        }
+
+        return null;
+    }
+
+    _wordRange(position, start, suffix) {
+        const end = position.character + WORD_AFTER_PATTERN.exec(suffix)[0].length;
+        return new vscode.Range(position.line, start, position.line, end);
+    }
+
+    _expectsRelation(registry, context) {
+        const def = registry.getFieldDef(context.field);
+        if (!registry.hasRelations(context.field) || def.relations.length === 0) {
+            return false;
+        }
+        return (context.valuePrefix.split('->').length - 1) % 2 === 1;
+    }
+
+    _fieldItems(registry, scope, range) {
+        const required = registry.getRequiredFields(scope);
+        return registry.getScopeFields(scope).map((name, index) => {
+            const def = registry.getFieldDef(name) || {};
+            const item = new vscode.CompletionItem(name, vscode.CompletionItemKind.Field);
+            item.insertText = `${name}: `;
+            item.range = range;
+            item.detail = `${def.type || 'FIELD'} · ${required.includes(name) ? 'required' : 'optional'}`;
+            item.documentation = describeField(registry, name, def);
+            item.sortText = String(index).padStart(4, '0');
+            return item;
+        });
+    }
+
+    _blockItems(registry, document, position, range) {
+        const scopes = /\.syno$/i.test(document.uri.fsPath || '') ? ['ONTOLOGY'] : ['SOURCE', 'ITEM'];
+        return scopes.map(scope => {
+            const name = scope === 'ITEM' ? findPrecedingBibref(document, position.line) : null;
+            const item = new vscode.CompletionItem(`${scope} block`, vscode.CompletionItemKind.Snippet);
+            item.filterText = scope;
+            item.range = range;
+            item.insertText = new vscode.SnippetString(buildBlockSnippet(registry, scope, { name }));
+            item.detail = `${scope} … END ${scope} with the template fields`;
+            const fields = registry.getScopeFields(scope);
+            if (fields.length > 0) {
+                item.documentation = new vscode.MarkdownString(`Fields: ${fields.map(escapeMarkdown).join(', ')}`);
+            }
+            return item;
+        });
+    }
+
+    _relationItems(registry, field, range) {
+        return registry.getFieldDef(field).relations.map((relation, index) => {
+            const item = new vscode.CompletionItem(relation, vscode.CompletionItemKind.EnumMember);
+            item.range = range;
+            item.detail = `relation · ${field}`;
+            const description = registry.getRelationDescription(field, relation);
+            if (description) {
+                item.documentation = new vscode.MarkdownString(escapeMarkdown(description));
+            }
+            item.sortText = String(index).padStart(4, '0');
+            return item;
+        });
+    }
+
+    async _codeItems(projectUri, field, range) {
+        const codes = await this._getCodes(projectUri);
+        return codes.map(entry => {
+            const item = new vscode.CompletionItem(entry.code, vscode.CompletionItemKind.Value);
+            item.range = range;
+            item.detail = [
+                entry.concept ? 'ONTOLOGY concept' : 'no ONTOLOGY definition',
+                typeof entry.usageCount === 'number' ? `used ${entry.usageCount} time(s)` : ''
+            ].filter(Boolean).join(' · ');
+            const description = entry.concept ? getFieldText(entry.concept, 'description') : '';
+            if (description) {
+                item.documentation = new vscode.MarkdownString(escapeMarkdown(truncateText(description, MAX_DOC_LENGTH)));
+            }
+            return item;
+        });
+    }
+
+    async _bibrefItems(projectUri, range) {
+        const entries = await this._getBibEntries(projectUri);
+        return entries.filter(entry => entry.citationKey).map(entry => {
+            const bibref = `@${entry.citationKey}`;
+            const info = bibtexParser.buildBibInfo(entry);
+            const item = new vscode.CompletionItem(bibref, vscode.CompletionItemKind.Reference);
+            item.range = range;
+            item.filterText = bibref;
+            item.detail = [info.author ? info.author.split(/\s+and\s+/)[0] : '', info.year].filter(Boolean).join(' · ');
+            const citation = formatCitation(info);
+            if (citation) {
+                item.documentation = new vscode.MarkdownString(citation);
+            }
+            return item;
+        });
+    }
+
+    _getCodes(projectUri) {
+        return cachePromise(this.codeCache, projectUri, async () => {
+            const key = projectUri.toString();
+            const project = this.dataService.getProjects().find(entry => entry.key === key)
+                || this.scanner.describeProject(projectUri);
+            const [concepts, used] = await Promise.all([
+                loadConcepts(this.scanner, projectUri),
+                Promise.resolve(this.dataService.getCodes(project)).catch(error => {
+                    console.warn('SynesisCompletionProvider: Failed to load corpus codes:', error.message);
+                    return [];
+                })
+            ]);
+
+            const codes = new Map();
+            for (const entry of used || []) {
+                codes.set(entry.code, {
+                    code: entry.code,
+                    concept: concepts.get(entry.code.toLowerCase()) || null,
+                    usageCount: entry.usageCount
+                });
+            }
+            const usedKeys = new Set(Array.from(codes.keys()).map(code => code.toLowerCase()));
+            for (const [key, concept] of concepts.entries()) {
+                if (!usedKeys.has(key)) {
+                    codes.set(concept.concept, { code: concept.concept, concept, usageCount: 0 });
+                }
+            }
+            return Array.from(codes.values());
+        });
+    }
+
+    _getBibEntries(projectUri) {
+        return cachePromise(this.bibCache, projectUri, async () => {
+            const project = await projectLoader.load(projectUri);
+            return project.bibliographyPath ? bibtexParser.parse(project.bibliographyPath) : [];
+        });
+    }
+}
+
+/**
+ * DESCRIPTION do template, tipo e valores permitidos
+ * @param {FieldRegistry} registry
+ * @param {string} name
+ * @param {Object} def
+ * @returns {vscode.MarkdownString}
+ */
+function describeField(registry, name, def) {
+    const markdown = new vscode.MarkdownString();
+    const description = registry.getDescription(name);
+    if (description) {
+        markdown.appendMarkdown(`${escapeMarkdown(description)}\n\n`);
+    }
+    markdown.appendMarkdown(`**${escapeMarkdown(name)}** · ${escapeMarkdown(def.type || 'FIELD')}`);
+    if (Array.isArray(def.relations) && def.relations.length > 0) {
+        markdown.appendMarkdown(`\n\nRelations: ${def.relations.map(escapeMarkdown).join(', ')}`);
+    }
+    if (Array.isArray(def.values) && def.values.length > 0) {
+        markdown.appendMarkdown(`\n\nValues: ${def.values.map(value => escapeMarkdown(value.label)).join(', ')}`);
+    }
+    return markdown;
+}
+
+SynesisCompletionProvider.triggerCharacters = ['@', '>', ',', ':'];
+
+module.exports = SynesisCompletionProvider;
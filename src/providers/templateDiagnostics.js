@@ -0,0 +1,312 @@
+/**
+ * templateDiagnostics.js - Diagnosticos locais de conformidade com o template
+ *
+ * Proposito:
+ *     Valida blocos SOURCE e ITEM de arquivos .syn contra as definicoes
+ *     do template (.synt) sem depender do LSP, publicando o resultado
+ *     em uma DiagnosticCollection.
+ *
+ * Componentes principais:
+ *     - validateDocument: Recalcula diagnosticos de um documento
+ *     - collectDiagnostics: Regras (campo desconhecido, SCOPE, ARITY,
+ *       RELATIONS, VALUES de ENUMERATED, campos REQUIRED ausentes, BUNDLEs)
+ *
+ * Dependencias criticas:
+ *     - TemplateManager: FieldRegistry (fields + REQUIRED/BUNDLE)
+ *     - SynesisParser: blocos e fieldEntries com offsets absolutos
+ *     - positionUtils: ranges exatos de campos e tokens
+ *
+ * Notas de implementacao:
+ *     - Sem template resolvido (defaults), nenhuma regra e aplicada
+ *     - Diagnostic.code identifica a regra (usado por quick fixes)
+ */
+
+const vscode = require('vscode');
+const SynesisParser = require('../parsers/synesisParser');
+const { buildLineOffsets, getLineColumn, splitValueTokens } = require('../utils/positionUtils');
+
+const DIAGNOSTIC_SOURCE = 'synesis-explorer';
+const VALIDATION_DELAY = 400;
+
+const COMPARATORS = {
+    '>=': (count, value) => count >= value,
+    '<=': (count, value) => count <= value,
+    '>': (count, value) => count > value,
+    '<': (count, value) => count < value,
+    '=': (count, value) => count === value
+};
+
+class TemplateDiagnostics {
+    /**
+     * @param {WorkspaceScanner} workspaceScanner
+     * @param {TemplateManager} templateManager
+     * @param {Object} [options]
+     * @param {Function} [options.isEnabled] - (document) => false suspende a validacao
+     */
+    constructor(workspaceScanner, templateManager, { isEnabled } = {}) {
+        this.scanner = workspaceScanner;
+        this.templateManager = templateManager;
+        this.isEnabled = typeof isEnabled === 'function' ? isEnabled : () => true;
+        this.parser = new SynesisParser();
+        this.collection = vscode.languages.createDiagnosticCollection('synesis-template');
+        this.timers = new Map();
+    }
+
+    /**
+     * Agenda validacao (debounce por documento)
+     * @param {vscode.TextDocument} document
+     */
+    scheduleValidation(document) {
+        if (!isSynDocument(document)) {
+            return;
+        }
+
+        const key = document.uri.toString();
+        clearTimeout(this.timers.get(key));
+        this.timers.set(key, setTimeout(() => {
+            this.timers.delete(key);
+            this.validateDocument(document);
+        }, VALIDATION_DELAY));
+    }
+
+    /**
+     * @param {vscode.TextDocument} document
+     */
+    async validateDocument(document) {
+        if (!isSynDocument(document) || document.isClosed) {
+            return;
+        }
+
+        if (!this.isEnabled(document)) {
+            this.collection.delete(document.uri);
+            return;
+        }
+
+        try {
+            const projectUri = await this.scanner.findProjectFileForUri(document.uri);
+            const registry = await this.templateManager.loadFieldRegistry(projectUri);
+            const info = this.templateManager.getTemplateInfo(projectUri);
+            if (!info || !info.fromTemplate) {
+                this.collection.delete(document.uri);
+                return;
+            }
+
+            const diagnostics = this.collectDiagnostics(document.getText(), document.uri.fsPath, registry);
+            this.collection.set(document.uri, diagnostics);
+        } catch (error) {
+            console.warn('TemplateDiagnostics: Validation failed:', error.message);
+        }
+    }
+
+    /**
+     * Revalida (ou limpa) todos os documentos .syn abertos
+     */
+    validateOpenDocuments() {
+        for (const document of vscode.workspace.textDocuments) {
+            this.validateDocument(document);
+        }
+    }
+
+    /**
+     * @param {vscode.Uri} uri
+     */
+    clear(uri) {
+        const key = uri.toString();
+        clearTimeout(this.timers.get(key));
+        this.timers.delete(key);
+        this.collection.delete(uri);
+    }
+
+    /**
+     * @param {string} text
+     * @param {string} filePath
+     * @param {FieldRegistry} registry
+     * @returns {vscode.Diagnostic[]}
+     */
+    collectDiagnostics(text, filePath, registry) {
+        const lineOffsets = buildLineOffsets(text);
+        const context = {
+            text,
+            lineOffsets,
+            toRange: (start, end) => {
+                const from = getLineColumn(lineOffsets, start);
+                const to = getLineColumn(lineOffsets, end);
+                return new vscode.Range(from.line, from.column, to.line, to.column);
+            }
+        };
+
+        const blocks = [
+            ...this.parser.parseSourceBlocks(text, filePath).map(block => ({ scope: 'SOURCE', block })),
+            ...this.parser.parseItems(text, filePath).map(block => ({ scope: 'ITEM', block }))
+        ];
+
+        const diagnostics = [];
+        for (const { scope, block } of blocks) {
+            this._validateBlock(context, scope, block, registry, diagnostics);
+        }
+
+        return diagnostics;
+    }
+
+    _validateBlock(context, scope, block, registry, diagnostics) {
+        const { text, lineOffsets, toRange } = context;
+        const present = new Map();
+
+        for (const entry of block.fieldEntries || []) {
+            present.set(entry.name, (present.get(entry.name) || 0) + 1);
+            const nameStart = lineOffsets[entry.line] + entry.column;
+            const nameRange = toRange(nameStart, nameStart + entry.name.length);
+            const def = registry.getFieldDef(entry.name);
+
+            if (!def) {
+                diagnostics.push(createDiagnostic(
+                    nameRange,
+                    `Unknown field '${entry.name}': not defined in the template.`,
+                    'unknown-field',
+                    vscode.DiagnosticSeverity.Error
+                ));
+                continue;
+            }
+
+            if (def.scope && def.scope !== scope) {
+                diagnostics.push(createDiagnostic(
+                    nameRange,
+                    `Field '${entry.name}' has SCOPE ${def.scope} and cannot be used in ${scope === 'ITEM' ? 'an' : 'a'} ${scope} block.`,
+                    'field-scope',
+                    vscode.DiagnosticSeverity.Error
+                ));
+                continue;
+            }
+
+            if (def.type === 'CHAIN') {
+                this._validateChain(context, entry, def, diagnostics);
+            } else if (def.type === 'CODE') {
+                const codes = splitValueTokens(text, entry, /[,\n]/);
+                checkArity(entry, def, codes.length, toRange(entry.valueOffset, entry.valueEnd), diagnostics);
+            } else if (def.type === 'ENUMERATED' && Array.isArray(def.values)) {
+                this._validateEnumerated(context, entry, def, diagnostics);
+            }
+        }
+
+        const headerRange = toRange(block.startOffset, block.blockOffset);
+        const missing = registry.getRequiredFields(scope).filter(name => !present.has(name));
+        if (missing.length > 0) {
+            diagnostics.push(createDiagnostic(
+                headerRange,
+                `${scope} ${block.bibref} is missing required field${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}.`,
+                'missing-field',
+                vscode.DiagnosticSeverity.Error,
+                { missing }
+            ));
+        }
+
+        for (const bundle of registry.getBundles(scope)) {
+            const counts = bundle.fields.map(name => present.get(name) || 0);
+            const alreadyMissing = bundle.required && counts.some(count => count === 0);
+            if (alreadyMissing || counts.every(count => count === counts[0])) {
+                continue;
+            }
+
+            const summary = bundle.fields.map((name, index) => `${name} ×${counts[index]}`).join(', ');
+            diagnostics.push(createDiagnostic(
+                headerRange,
+                `${scope} ${block.bibref}: BUNDLE fields must appear together the same number of times (${summary}).`,
+                'bundle-mismatch',
+                vscode.DiagnosticSeverity.Error,
+                { bundle: bundle.fields }
+            ));
+        }
+    }
+
+    _validateChain({ text, toRange }, entry, def, diagnostics) {
+        const elements = splitValueTokens(text, entry, /->/);
+        const qualified = Array.isArray(def.relations) && def.relations.length > 0;
+        const codes = qualified ? elements.filter((_, index) => index % 2 === 0) : elements;
+
+        checkArity(entry, def, codes.length, toRange(entry.valueOffset, entry.valueEnd), diagnostics);
+
+        if (!qualified) {
+            return;
+        }
+
+        const allowed = new Set(def.relations.map(relation => relation.toUpperCase()));
+        elements.forEach((element, index) => {
+            if (index % 2 === 1 && !allowed.has(element.text.toUpperCase())) {
+                diagnostics.push(createDiagnostic(
+                    toRange(element.start, element.end),
+                    `Relation '${element.text}' is not listed in RELATIONS of '${entry.name}' (${def.relations.join(', ')}).`,
+                    'unknown-relation',
+                    vscode.DiagnosticSeverity.Error
+                ));
+            }
+        });
+
+        if (elements.length > 0 && elements.length % 2 === 0) {
+            const last = elements[elements.length - 1];
+            diagnostics.push(createDiagnostic(
+                toRange(last.start, last.end),
+                `Chain '${entry.name}' must end with a code after relation '${last.text}'.`,
+                'incomplete-chain',
+                vscode.DiagnosticSeverity.Error
+            ));
+        }
+    }
+
+    _validateEnumerated({ toRange }, entry, def, diagnostics) {
+        const value = entry.value.trim();
+        const indexMatch = value.match(/^\[?(\d+)\]?$/);
+        const valid = def.values.some(option =>
+            option.label.toLowerCase() === value.toLowerCase() ||
+            (indexMatch && option.index === Number.parseInt(indexMatch[1], 10))
+        );
+
+        if (!valid) {
+            const options = def.values.map(option => option.label).join(', ');
+            diagnostics.push(createDiagnostic(
+                toRange(entry.valueOffset, entry.valueEnd),
+                `Value '${value}' is not one of the VALUES of '${entry.name}' (${options}).`,
+                'invalid-value',
+                vscode.DiagnosticSeverity.Error
+            ));
+        }
+    }
+
+    dispose() {
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+        this.collection.dispose();
+    }
+}
+
+function checkArity(entry, def, count, range, diagnostics) {
+    if (!def.arity || !COMPARATORS[def.arity.operator]) {
+        return;
+    }
+
+    if (!COMPARATORS[def.arity.operator](count, def.arity.value)) {
+        diagnostics.push(createDiagnostic(
+            range,
+            `Field '${entry.name}' requires ARITY ${def.arity.operator} ${def.arity.value} (found ${count}).`,
+            'arity',
+            vscode.DiagnosticSeverity.Error
+        ));
+    }
+}
+
+function createDiagnostic(range, message, code, severity, data) {
+    const diagnostic = new vscode.Diagnostic(range, message, severity);
+    diagnostic.source = DIAGNOSTIC_SOURCE;
+    diagnostic.code = code;
+    if (data) {
+        diagnostic.data = data;
+    }
+    return diagnostic;
+}
+
+function isSynDocument(document) {
+    return Boolean(document && document.uri && /\.syn$/i.test(document.uri.fsPath || ''));
+}
+
+module.exports = TemplateDiagnostics;
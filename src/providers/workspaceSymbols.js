@@ -0,0 +1,56 @@
+/**
+ * workspaceSymbols.js - "Go to Symbol in Workspace" para projetos Synesis
+ *
+ * Proposito:
+ *     Busca fuzzy (Ctrl+T) sobre conceitos ONTOLOGY, codigos do corpus,
+ *     bibrefs de SOURCE e FIELDs de template; cada resultado abre a linha
+ *     da definicao.
+ *
+ * Componentes principais:
+ *     - provideWorkspaceSymbols: Consulta -> vscode.SymbolInformation[]
+ *
+ * Dependencias criticas:
+ *     - SymbolIndex: indice incremental e pontuacao fuzzy
+ *
+ * Notas de implementacao:
+ *     - Funciona sem o LSP; o indice e atualizado por arquivo alterado
+ */
+
+const vscode = require('vscode');
+
+const SYMBOL_KINDS = {
+    concept: 'Class',
+    code: 'Variable',
+    source: 'Module',
+    field: 'Property'
+};
+
+class SynesisWorkspaceSymbolProvider {
+    /**
+     * @param {SymbolIndex} symbolIndex
+     */
+    constructor(symbolIndex) {
+        this.symbolIndex = symbolIndex;
+    }
+
+    /**
+     * @param {string} query
+     * @returns {Promise<vscode.SymbolInformation[]>}
+     */
+    async provideWorkspaceSymbols(query) {
+        try {
+            const symbols = await this.symbolIndex.search(query);
+            return symbols.map(symbol => new vscode.SymbolInformation(
+                symbol.name,
+                vscode.SymbolKind[SYMBOL_KINDS[symbol.kind]],
+                symbol.detail,
+                new vscode.Location(vscode.Uri.file(symbol.file), new vscode.Position(symbol.line, symbol.column))
+            ));
+        } catch (error) {
+            console.warn('SynesisWorkspaceSymbolProvider: Failed to search symbols:', error.message);
+            return [];
+        }
+    }
+}
+
+module.exports = SynesisWorkspaceSymbolProvider;
@@ -2,12 +2,20 @@
  * dataService.js - Adapter Pattern para dados LSP
  *
  * Proposito:
- *     Abstrai a fonte de dados (LSP server)
+ *     Abstrai a fonte de dados (LSP server ou parsing local)
  *     para que explorers e viewers consumam uma interface unica.
  *
  * Componentes:
  *     - LspDataProvider: envia requests ao LSP e normaliza respostas
- *     - DataService: orquestrador de acesso LSP-only
+ *     - LocalDataProvider: extrai os mesmos dados via parsers locais
+ *     - DataService: orquestrador (LSP primeiro, fallback local)
+ *
+ * Notas de implementação:
+ *     - LocalDataProvider e usado quando o LSP esta desabilitado, nao pronto,
+ *       sem suporte ao metodo, ou retorna erro/dados vazios
+ *     - Corpus local fica em cache (um por projeto .synp) ate invalidateLocalCache()
+ *     - Multi-root: cada metodo recebe o projeto alvo (default: projeto ativo);
+ *       o LSP usado e o da sessao da pasta do projeto (LspSessionManager)
  *
  * Shapes normalizados:
  *     - getReferences() -> Array<{ bibref, itemCount, occurrences }>
@@ -20,6 +28,12 @@
 
 const path = require('path');
 const vscode = require('vscode');
+const SynesisParser = require('../parsers/synesisParser');
+const OntologyParser = require('../parsers/ontologyParser');
+const chainParser = require('../parsers/chainParser');
+const { buildLineOffsets, findTokenPositions } = require('../utils/positionUtils');
+const { generateMermaidGraph } = require('../utils/mermaidUtils');
+const { readText } = require('../utils/documentUtils');
 
 // ---------------------------------------------------------------------------
 // LspDataProvider
@@ -272,81 +286,570 @@ class LspDataProvider {
     }
 }
 
+// ---------------------------------------------------------------------------
+// LocalDataProvider
+// ---------------------------------------------------------------------------
+
+class LocalDataProvider {
+    constructor({ workspaceScanner, templateManager }) {
+        this.scanner = workspaceScanner;
+        this.templateManager = templateManager;
+        this.synesisParser = new SynesisParser();
+        this.ontologyParser = new OntologyParser();
+        this._corpusPromises = new Map(); // projectUri -> Promise<corpus>
+    }
+
+    /**
+     * Descarta os corpus em cache (chamado quando arquivos mudam)
+     */
+    invalidate() {
+        this._corpusPromises.clear();
+    }
+
+    async getReferences(projectUri) {
+        const corpus = await this._loadCorpus(projectUri);
+        const grouped = new Map();
+
+        for (const source of corpus.sources) {
+            if (!grouped.has(source.bibref)) {
+                grouped.set(source.bibref, { bibref: source.bibref, itemCount: 0, occurrences: [] });
+            }
+            const entry = grouped.get(source.bibref);
+            const itemCount = corpus.itemCounts.get(`${source.file}\u0000${source.bibref}`) || 0;
+            entry.itemCount += itemCount;
+            entry.occurrences.push({
+                file: source.file,
+                line: source.line,
+                itemCount
+            });
+        }
+
+        return Array.from(grouped.values());
+    }
+
+    async getCodes(projectUri) {
+        const corpus = await this._loadCorpus(projectUri);
+        const grouped = new Map();
+
+        for (const occ of corpus.codeOccurrences) {
+            if (!grouped.has(occ.code)) {
+                grouped.set(occ.code, {
+                    code: occ.code,
+                    usageCount: 0,
+                    ontologyDefined: corpus.concepts.has(occ.code.toLowerCase()),
+                    occurrences: []
+                });
+            }
+            const entry = grouped.get(occ.code);
+            entry.usageCount += 1;
+            entry.occurrences.push({
+                file: occ.file,
+                line: occ.line,
+                column: occ.column,
+                context: occ.context,
+                field: occ.field
+            });
+        }
+
+        return Array.from(grouped.values());
+    }
+
+    async getRelations(projectUri) {
+        const corpus = await this._loadCorpus(projectUri);
+        const grouped = new Map();
+
+        for (const triplet of corpus.triplets) {
+            if (!grouped.has(triplet.relation)) {
+                grouped.set(triplet.relation, { relation: triplet.relation, triplets: [] });
+            }
+            grouped.get(triplet.relation).triplets.push({
+                from: triplet.from,
+                to: triplet.to,
+                file: triplet.file,
+                line: triplet.line,
+                column: triplet.column,
+                type: triplet.type
+            });
+        }
+
+        return Array.from(grouped.values());
+    }
+
+    async getRelationGraph(projectUri, bibref) {
+        const corpus = await this._loadCorpus(projectUri);
+        const target = String(bibref || '').toLowerCase();
+        const relations = corpus.triplets
+            .filter(triplet => !target || triplet.bibref.toLowerCase() === target)
+            .map(triplet => ({ from: triplet.from, to: triplet.to, label: triplet.relation }));
+
+        const mermaidCode = generateMermaidGraph(bibref, relations);
+        return mermaidCode ? { mermaidCode } : null;
+    }
+
+    async getOntologyTopics(projectUri) {
+        const corpus = await this._loadCorpus(projectUri);
+        const topicFields = corpus.registry.getTopicFields();
+        const topics = new Map();
+
+        for (const block of corpus.ontologyBlocks) {
+            for (const fieldName of topicFields) {
+                const values = toArray(block.fields[fieldName]);
+                for (const value of values) {
+                    const name = String(value).trim();
+                    if (!name) {
+                        continue;
+                    }
+                    if (!topics.has(name)) {
+                        topics.set(name, {
+                            name,
+                            level: 0,
+                            file: block.file,
+                            line: this._findFieldLine(block, fieldName),
+                            children: []
+                        });
+                    }
+                    topics.get(name).children.push({
+                        name: block.concept,
+                        level: 1,
+                        file: block.file,
+                        line: block.line,
+                        children: []
+                    });
+                }
+            }
+        }
+
+        return Array.from(topics.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async getOntologyAnnotations(projectUri, activeFile) {
+        const corpus = await this._loadCorpus(projectUri);
+        const target = activeFile ? path.normalize(activeFile) : null;
+        const grouped = new Map();
+
+        for (const occ of corpus.codeOccurrences) {
+            if (target && path.normalize(occ.file) !== target) {
+                continue;
+            }
+            if (!grouped.has(occ.code)) {
+                const concept = corpus.concepts.get(occ.code.toLowerCase()) || null;
+                grouped.set(occ.code, {
+                    code: occ.code,
+                    ontologyDefined: Boolean(concept),
+                    ontologyFile: concept ? concept.file : null,
+                    ontologyLine: concept ? concept.line : null,
+                    occurrences: []
+                });
+            }
+            grouped.get(occ.code).occurrences.push({
+                file: occ.file,
+                line: occ.line,
+                column: occ.column,
+                context: occ.context,
+                field: occ.field,
+                itemName: occ.bibref
+            });
+        }
+
+        return Array.from(grouped.values());
+    }
+
+    _findFieldLine(block, fieldName) {
+        const entry = (block.fieldEntries || []).find(field => field.name === fieldName);
+        return entry ? entry.line : block.line;
+    }
+
+    _loadCorpus(projectUri) {
+        const key = projectUri ? projectUri.toString() : '';
+        if (!this._corpusPromises.has(key)) {
+            this._corpusPromises.set(key, this._buildCorpus(projectUri).catch(error => {
+                this._corpusPromises.delete(key);
+                throw error;
+            }));
+        }
+        return this._corpusPromises.get(key);
+    }
+
+    async _buildCorpus(requestedProjectUri) {
+        const projectUri = requestedProjectUri || await this.scanner.findProjectFile();
+        const registry = await this.templateManager.loadFieldRegistry(projectUri);
+        const synFiles = await this.scanner.findSynFiles(projectUri);
+        const synoFiles = await this.scanner.findSynoFiles(projectUri);
+
+        const corpus = {
+            registry,
+            sources: [],
+            items: [],
+            itemCounts: new Map(),
+            codeOccurrences: [],
+            triplets: [],
+            ontologyBlocks: [],
+            concepts: new Map()
+        };
+
+        for (const fileUri of synoFiles) {
+            const text = await readText(fileUri);
+            const blocks = this.ontologyParser.parseOntologyBlocks(text, fileUri.fsPath);
+            for (const block of blocks) {
+                corpus.ontologyBlocks.push(block);
+                const key = block.concept.toLowerCase();
+                if (!corpus.concepts.has(key)) {
+                    corpus.concepts.set(key, block);
+                }
+            }
+        }
+
+        for (const fileUri of synFiles) {
+            const text = await readText(fileUri);
+            const filePath = fileUri.fsPath;
+            const lineOffsets = buildLineOffsets(text);
+
+            corpus.sources.push(...this.synesisParser.parseSourceBlocks(text, filePath));
+
+            const items = this.synesisParser.parseItems(text, filePath);
+            for (const item of items) {
+                corpus.items.push(item);
+                const countKey = `${filePath}\u0000${item.bibref}`;
+                corpus.itemCounts.set(countKey, (corpus.itemCounts.get(countKey) || 0) + 1);
+                this._collectItemCodes(corpus, item, text, lineOffsets);
+            }
+        }
+
+        return corpus;
+    }
+
+    _collectItemCodes(corpus, item, text, lineOffsets) {
+        const { registry } = corpus;
+
+        for (const entry of item.fieldEntries || []) {
+            if (registry.isCodeField(entry.name)) {
+                const codes = splitCodes(entry.value);
+                const positions = findTokenPositions(text, entry, codes, lineOffsets);
+                codes.forEach((code, index) => {
+                    corpus.codeOccurrences.push({
+                        code,
+                        file: item.file,
+                        line: positions[index].line,
+                        column: positions[index].column,
+                        context: 'code',
+                        field: entry.name,
+                        bibref: item.bibref
+                    });
+                });
+                continue;
+            }
+
+            if (!registry.isChainField(entry.name)) {
+                continue;
+            }
+
+            const chain = chainParser.parseChain(entry.value, registry.getFieldDef(entry.name));
+            const positions = findTokenPositions(text, entry, chain.codes, lineOffsets);
+            chain.codes.forEach((code, index) => {
+                corpus.codeOccurrences.push({
+                    code,
+                    file: item.file,
+                    line: positions[index].line,
+                    column: positions[index].column,
+                    context: 'chain',
+                    field: entry.name,
+                    bibref: item.bibref
+                });
+            });
+
+            for (let index = 0; index < chain.codes.length - 1; index += 1) {
+                const relation = chain.relations[index];
+                if (!relation) {
+                    continue;
+                }
+                corpus.triplets.push({
+                    from: chain.codes[index],
+                    relation,
+                    to: chain.codes[index + 1],
+                    file: item.file,
+                    line: positions[index].line,
+                    column: positions[index].column,
+                    type: chain.type,
+                    bibref: item.bibref
+                });
+            }
+        }
+    }
+}
+
+function splitCodes(value) {
+    return String(value || '')
+        .split(/[,\n]/)
+        .map(code => code.trim())
+        .filter(Boolean);
+}
+
+function toArray(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
 // ---------------------------------------------------------------------------
 // DataService (orchestrator)
 // ---------------------------------------------------------------------------
 
 class DataService {
-    constructor({ lspClient, onLspIncompatible } = {}) {
-        this.lspClient = lspClient || null;
-        this.lspProvider = lspClient ? new LspDataProvider(lspClient) : null;
+    /**
+     * @param {Object} options
+     * @param {LspSessionManager} [options.lspSessions] - Sessoes LSP por pasta (ausente = LSP desabilitado)
+     * @param {WorkspaceScanner} [options.workspaceScanner]
+     * @param {TemplateManager} [options.templateManager]
+     * @param {boolean} [options.localFallback] - Setting synesisExplorer.localFallback.enabled
+     */
+    constructor({ lspSessions, workspaceScanner, templateManager, localFallback = true, onLspIncompatible, onProviderChange } = {}) {
+        this.lspSessions = lspSessions || null;
+        this.scanner = workspaceScanner || null;
+        this.templateManager = templateManager || null;
+        this.lspProviders = new WeakMap(); // SynesisLspClient -> LspDataProvider
+        this.localProvider = null;
+        this.projects = [];
+        this.activeProvider = null;
+        this.onProviderChange = typeof onProviderChange === 'function' ? onProviderChange : null;
         this.unsupportedMethods = new Set();
         this.warnedUnsupported = false;
         this.onLspIncompatible = typeof onLspIncompatible === 'function' ? onLspIncompatible : null;
         this._lspNullCount = 0;
         this._lspNullWarned = false;
         this._warnedLspRequired = new Set();
+        this.setLocalFallback(localFallback);
     }
 
-    async getReferences() {
-        return this._callLsp('getReferences');
+    async getReferences(project) {
+        return this._callLsp('getReferences', project);
     }
 
-    async getCodes() {
-        return this._callLsp('getCodes');
+    async getCodes(project) {
+        return this._callLsp('getCodes', project);
     }
 
-    async getRelations() {
-        return this._callLsp('getRelations');
+    async getRelations(project) {
+        return this._callLsp('getRelations', project);
     }
 
-    async getRelationGraph(bibref) {
-        return this._callLsp('getRelationGraph', bibref);
+    async getRelationGraph(bibref, project) {
+        return this._callLsp('getRelationGraph', project, bibref);
     }
 
-    async getOntologyTopics() {
-        return this._callLsp('getOntologyTopics');
+    async getOntologyTopics(project) {
+        return this._callLsp('getOntologyTopics', project);
     }
 
-    async getOntologyAnnotations(activeFile) {
-        return this._callLsp('getOntologyAnnotations', activeFile);
+    async getOntologyAnnotations(activeFile, project) {
+        const target = project || (activeFile ? this.getProjectForFile(activeFile) : null);
+        return this._callLsp('getOntologyAnnotations', target, activeFile);
     }
 
-    async _callLsp(method, ...args) {
-        const lspReady = Boolean(this.lspClient && this.lspClient.isReady());
+    /**
+     * Relista os projetos (.synp) do workspace
+     * @returns {Promise<Array>}
+     */
+    async refreshProjects() {
+        this.projects = this.scanner ? await this.scanner.listProjects() : [];
+        return this.projects;
+    }
+
+    /**
+     * Projetos conhecidos desde o ultimo refreshProjects()
+     * @returns {Array<{key, uri, name, workspaceRoot, folderName}>}
+     */
+    getProjects() {
+        return this.projects;
+    }
+
+    /**
+     * Projeto usado quando nenhum e informado (projeto ativo do workspace).
+     * Sem .synp, descreve a pasta do editor ativo (uri null).
+     * @returns {Object|null}
+     */
+    getActiveProject() {
+        const active = this.scanner ? this.scanner.pickActiveProject(this.projects) : null;
+        if (active) {
+            return active;
+        }
+
+        const workspaceRoot = this._getWorkspaceRoot();
+        if (!workspaceRoot) {
+            return null;
+        }
+        const name = path.basename(workspaceRoot);
+        return { key: workspaceRoot, uri: null, name, workspaceRoot, folderName: name };
+    }
+
+    /**
+     * Projetos exibidos pelos explorers (todos os .synp, ou o projeto
+     * implicito da pasta ativa quando nao ha nenhum)
+     * @returns {Array}
+     */
+    getDisplayProjects() {
+        if (this.projects.length > 0) {
+            return this.projects;
+        }
+        const active = this.getActiveProject();
+        return active ? [active] : [];
+    }
+
+    /**
+     * @param {Object} project
+     * @returns {string} 'active' (projeto ativo escolhido) | ''
+     */
+    getProjectState(project) {
+        const active = this.scanner ? this.scanner.findActiveProject(this.projects) : null;
+        return active && active.key === project.key ? 'active' : '';
+    }
+
+    /**
+     * @param {string} filePath
+     * @returns {Object|null}
+     */
+    getProjectForFile(filePath) {
+        const project = this.scanner
+            ? this.scanner.pickProjectForUri(this.projects, vscode.Uri.file(filePath))
+            : null;
+        return project || this.getActiveProject();
+    }
+
+    /**
+     * Estado do LSP para o projeto ativo ou para a pasta de um arquivo
+     * @param {vscode.Uri} [uri]
+     * @returns {string} 'disabled' | 'loading' | 'ready'
+     */
+    getLspStatus(uri) {
+        if (!this.lspSessions) {
+            return 'disabled';
+        }
+
+        const session = uri
+            ? this.lspSessions.getSessionForUri(uri)
+            : this._getSession(this.getActiveProject());
+        return session && session.client.isReady() ? 'ready' : 'loading';
+    }
+
+    /**
+     * Indica se ha fallback local para quando o LSP nao responde
+     * @returns {boolean}
+     */
+    hasLocalProvider() {
+        return Boolean(this.localProvider);
+    }
+
+    /**
+     * Liga ou desliga o fallback local (mudanca do setting sem recarregar a janela)
+     * @param {boolean} enabled
+     */
+    setLocalFallback(enabled) {
+        if (Boolean(enabled) === Boolean(this.localProvider)) {
+            return;
+        }
+
+        this.localProvider = enabled && this.scanner && this.templateManager
+            ? new LocalDataProvider({ workspaceScanner: this.scanner, templateManager: this.templateManager })
+            : null;
+        if (!this.localProvider && this.activeProvider === 'local') {
+            this._setActiveProvider(null);
+        }
+    }
+
+    /**
+     * Retorna o provider que serviu o ultimo request ('lsp' | 'local' | null)
+     * @returns {string|null}
+     */
+    getActiveProvider() {
+        return this.activeProvider;
+    }
+
+    /**
+     * Descarta dados locais em cache apos alteracoes em arquivos
+     */
+    invalidateLocalCache() {
+        if (this.localProvider) {
+            this.localProvider.invalidate();
+        }
+    }
+
+    async _callLsp(method, project, ...args) {
+        const target = project || this.getActiveProject();
+        const session = this._getSession(target);
+        const lspReady = Boolean(session && session.client.isReady());
+        let reason = null;
 
         if (lspReady && !this.unsupportedMethods.has(method)) {
             try {
-                const workspaceRoot = this._getWorkspaceRoot();
-                const result = await this.lspProvider[method](workspaceRoot, ...args);
+                const result = await this._getLspProvider(session.client)[method](target.workspaceRoot, ...args);
                 if (result !== null) {
+                    this._setActiveProvider('lsp');
                     return result;
                 }
 
                 this._trackLspNull();
-                this._warnLspRequired(method, 'LSP returned empty data');
-                return this._emptyResultFor(method);
+                reason = 'LSP returned empty data';
             } catch (error) {
                 if (this._isMethodNotFound(error)) {
                     this.unsupportedMethods.add(method);
                     this._warnUnsupported(method, error);
-                    return this._emptyResultFor(method);
+                } else {
+                    console.error(`DataService.${method}: LSP error:`, error.message);
+                    reason = error.message;
                 }
-
-                console.error(`DataService.${method}: LSP error:`, error.message);
-                this._warnLspRequired(method, error.message);
-                return this._emptyResultFor(method);
             }
+        } else if (this.unsupportedMethods.has(method)) {
+            reason = 'LSP method not supported';
+        } else if (!lspReady) {
+            reason = this.lspSessions ? 'LSP not ready' : 'LSP disabled';
         }
 
-        if (this.unsupportedMethods.has(method)) {
-            this._warnLspRequired(method, 'LSP method not supported');
-        } else if (!lspReady) {
-            this._warnLspRequired(method, this.lspClient ? 'LSP not ready' : 'LSP disabled');
+        if (this.localProvider) {
+            return this._callLocal(method, target, ...args);
+        }
+
+        if (reason) {
+            this._warnLspRequired(method, reason);
         }
         return this._emptyResultFor(method);
     }
 
+    async _callLocal(method, project, ...args) {
+        try {
+            const result = await this.localProvider[method](project ? project.uri : null, ...args);
+            this._setActiveProvider('local');
+            return result === null || result === undefined ? this._emptyResultFor(method) : result;
+        } catch (error) {
+            console.error(`DataService.${method}: local provider error:`, error.message);
+            return this._emptyResultFor(method);
+        }
+    }
+
+    _getSession(project) {
+        if (!this.lspSessions || !project) {
+            return null;
+        }
+        return this.lspSessions.getSession(project.workspaceRoot);
+    }
+
+    _getLspProvider(client) {
+        if (!this.lspProviders.has(client)) {
+            this.lspProviders.set(client, new LspDataProvider(client));
+        }
+        return this.lspProviders.get(client);
+    }
+
+    _setActiveProvider(provider) {
+        if (this.activeProvider === provider) {
+            return;
+        }
+
+        this.activeProvider = provider;
+        if (this.onProviderChange) {
+            this.onProviderChange(provider);
+        }
+    }
+
     _trackLspNull() {
         if (this._lspNullWarned) {
             return;
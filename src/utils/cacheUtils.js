@@ -0,0 +1,32 @@
+/**
+ * cacheUtils.js - Cache de carregamentos assincronos
+ *
+ * Proposito:
+ *     Compartilha entre os providers o cache de Promises por chave
+ *     (projeto, arquivo .bib), sem guardar carregamentos que falharam.
+ *
+ * Componentes principais:
+ *     - cachePromise: Retorna a Promise cacheada ou inicia o carregamento
+ */
+
+/**
+ * @param {Map<string, Promise>} cache
+ * @param {string|vscode.Uri} key - URIs sao comparadas por toString()
+ * @param {Function} load - () => Promise
+ * @returns {Promise}
+ */
+function cachePromise(cache, key, load) {
+    const cacheKey = key.toString();
+    if (!cache.has(cacheKey)) {
+        const promise = load().catch(error => {
+            cache.delete(cacheKey);
+            throw error;
+        });
+        cache.set(cacheKey, promise);
+    }
+    return cache.get(cacheKey);
+}
+
+module.exports = {
+    cachePromise
+};
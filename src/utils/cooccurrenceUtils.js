@@ -0,0 +1,153 @@
+/**
+ * cooccurrenceUtils.js - Matriz de co-ocorrencia de codigos por ITEM
+ *
+ * Proposito:
+ *     Calcula quantos ITEMs compartilham cada par de codigos e deriva
+ *     similaridade de Jaccard e ordenacoes (frequencia, alfabetica, cluster).
+ *
+ * Componentes principais:
+ *     - collectItemCodes: Codigos de um ITEM (campos CODE e CHAIN do template)
+ *     - buildCooccurrenceMatrix: Matriz count/Jaccard dos N codigos mais frequentes
+ *     - clusterOrder: Ordem de folhas de um agrupamento hierarquico (average linkage)
+ *
+ * Dependencias criticas:
+ *     - FieldRegistry: identifica campos CODE/CHAIN
+ *     - chainParser: extrai codigos de CHAINs
+ */
+
+const chainParser = require('../parsers/chainParser');
+
+/**
+ * @param {Object} item - ItemBlock de SynesisParser.parseItems (com fieldEntries)
+ * @param {FieldRegistry} registry
+ * @returns {Set<string>}
+ */
+function collectItemCodes(item, registry) {
+    const codes = new Set();
+
+    for (const entry of item.fieldEntries || []) {
+        if (registry.isCodeField(entry.name)) {
+            String(entry.value || '')
+                .split(/[,\n]/)
+                .map(code => code.trim())
+                .filter(Boolean)
+                .forEach(code => codes.add(code));
+        } else if (registry.isChainField(entry.name)) {
+            const chain = chainParser.parseChain(entry.value, registry.getFieldDef(entry.name));
+            chain.codes.forEach(code => codes.add(code));
+        }
+    }
+
+    return codes;
+}
+
+/**
+ * @param {Array<Set<string>>} itemCodes - Conjunto de codigos por ITEM
+ * @param {Object} [options]
+ * @param {number} [options.limit=40] - Numero maximo de codigos (mais frequentes)
+ * @returns {{codes: string[], frequency: number[], itemIndexes: number[][], counts: number[][], jaccard: number[][], orders: Object}}
+ *
+ * itemIndexes[i]: indices (em itemCodes) dos ITEMs que contem codes[i]
+ * orders: { frequency, alphabetical, cluster } -> permutacoes de indices
+ */
+function buildCooccurrenceMatrix(itemCodes, options = {}) {
+    const limit = Math.max(2, options.limit || 40);
+    const itemsByCode = new Map();
+
+    itemCodes.forEach((codes, itemIndex) => {
+        for (const code of codes) {
+            if (!itemsByCode.has(code)) {
+                itemsByCode.set(code, []);
+            }
+            itemsByCode.get(code).push(itemIndex);
+        }
+    });
+
+    const selected = Array.from(itemsByCode.entries())
+        .sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]))
+        .slice(0, limit);
+
+    const codes = selected.map(([code]) => code);
+    const itemIndexes = selected.map(([, indexes]) => indexes);
+    const frequency = itemIndexes.map(indexes => indexes.length);
+    const sets = itemIndexes.map(indexes => new Set(indexes));
+
+    const size = codes.length;
+    const counts = Array.from({ length: size }, () => new Array(size).fill(0));
+    const jaccard = Array.from({ length: size }, () => new Array(size).fill(0));
+
+    for (let i = 0; i < size; i += 1) {
+        counts[i][i] = frequency[i];
+        jaccard[i][i] = 1;
+        for (let j = i + 1; j < size; j += 1) {
+            const [smaller, larger] = sets[i].size <= sets[j].size ? [sets[i], sets[j]] : [sets[j], sets[i]];
+            let shared = 0;
+            for (const index of smaller) {
+                if (larger.has(index)) {
+                    shared += 1;
+                }
+            }
+            const union = frequency[i] + frequency[j] - shared;
+            counts[i][j] = counts[j][i] = shared;
+            jaccard[i][j] = jaccard[j][i] = union > 0 ? shared / union : 0;
+        }
+    }
+
+    const indexes = codes.map((_, index) => index);
+    const orders = {
+        frequency: indexes.slice(),
+        alphabetical: indexes.slice().sort((a, b) => codes[a].localeCompare(codes[b])),
+        cluster: clusterOrder(jaccard)
+    };
+
+    return { codes, frequency, itemIndexes, counts, jaccard, orders };
+}
+
+/**
+ * Agrupamento hierarquico aglomerativo (average linkage) sobre similaridade.
+ * Retorna a ordem das folhas, mantendo codigos semelhantes adjacentes.
+ * @param {number[][]} similarity - Matriz simetrica em [0, 1]
+ * @returns {number[]}
+ */
+function clusterOrder(similarity) {
+    let clusters = similarity.map((_, index) => ({ members: [index], order: [index] }));
+
+    const linkage = (a, b) => {
+        let total = 0;
+        for (const i of a.members) {
+            for (const j of b.members) {
+                total += similarity[i][j];
+            }
+        }
+        return total / (a.members.length * b.members.length);
+    };
+
+    while (clusters.length > 1) {
+        let best = { score: -1, a: 0, b: 1 };
+        for (let a = 0; a < clusters.length; a += 1) {
+            for (let b = a + 1; b < clusters.length; b += 1) {
+                const score = linkage(clusters[a], clusters[b]);
+                if (score > best.score) {
+                    best = { score, a, b };
+                }
+            }
+        }
+
+        const left = clusters[best.a];
+        const right = clusters[best.b];
+        const merged = {
+            members: left.members.concat(right.members),
+            order: left.order.concat(right.order)
+        };
+        clusters = clusters.filter((_, index) => index !== best.a && index !== best.b);
+        clusters.push(merged);
+    }
+
+    return clusters.length > 0 ? clusters[0].order : [];
+}
+
+module.exports = {
+    collectItemCodes,
+    buildCooccurrenceMatrix,
+    clusterOrder
+};
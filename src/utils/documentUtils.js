@@ -0,0 +1,32 @@
+/**
+ * documentUtils.js - Leitura de arquivos do workspace
+ *
+ * Proposito:
+ *     Le o texto de um arquivo priorizando documentos abertos no editor,
+ *     para que alteracoes ainda nao salvas sejam consideradas.
+ *
+ * Componentes principais:
+ *     - readText: Retorna o conteudo textual de uma URI
+ */
+
+const vscode = require('vscode');
+
+/**
+ * @param {vscode.Uri} fileUri
+ * @returns {Promise<string>}
+ */
+async function readText(fileUri) {
+    const openDocument = vscode.workspace.textDocuments.find(
+        document => document.uri.fsPath === fileUri.fsPath
+    );
+    if (openDocument) {
+        return openDocument.getText();
+    }
+
+    const content = await vscode.workspace.fs.readFile(fileUri);
+    return Buffer.from(content).toString('utf-8');
+}
+
+module.exports = {
+    readText
+};
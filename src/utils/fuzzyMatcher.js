@@ -7,9 +7,32 @@
  *
  * Componentes principais:
  *     - findExcerpt: Encontra posicao de um trecho
+ *     - scoreExcerpt: Classifica um trecho (exact, fuzzy, not-found) com
+ *       similaridade e o melhor candidato no texto fonte
+ *     - prepareSource: Texto fonte com mapas de normalizacao construidos sob
+ *       demanda, reutilizaveis entre trechos do mesmo texto
+ *
+ * Notas de implementacao:
+ *     - exact: identico ao fonte, salvo espacos/quebras de linha
+ *     - fuzzy: encontrado apos normalizacao (caixa, pontuacao) ou por busca
+ *       aproximada com similaridade >= threshold
+ *     - Busca aproximada: janela deslizante de palavras (sobreposicao de
+ *       vocabulario) seleciona candidatos; similaridade = 1 - Levenshtein / maior comprimento
+ *     - Sem estado global: quem confere varios trechos no mesmo texto passa o
+ *       PreparedSource (findExcerpt/scoreExcerpt tambem aceitam string)
  */
 
-function findExcerpt(abstract, excerpt) {
+const DEFAULT_THRESHOLD = 0.85;
+const MAX_CANDIDATES = 3;
+
+/**
+ * @param {string|Object} source - Texto ou PreparedSource (prepareSource)
+ * @param {string} excerpt
+ * @returns {{start: number, end: number}|null}
+ */
+function findExcerpt(source, excerpt) {
+    const prepared = toPrepared(source);
+    const abstract = prepared.text;
     if (!abstract || !excerpt) {
         return null;
     }
@@ -22,7 +45,7 @@ function findExcerpt(abstract, excerpt) {
         };
     }
 
-    const normalizedAbstract = buildNormalizedMap(abstract);
+    const normalizedAbstract = prepared.getMap('normalized');
     const normalizedExcerpt = normalizeText(excerpt);
     if (!normalizedExcerpt) {
         return null;
@@ -47,6 +70,215 @@ function findExcerpt(abstract, excerpt) {
     };
 }
 
+/**
+ * @param {string|Object} source - Abstract ou texto completo (ou PreparedSource)
+ * @param {string} excerpt
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0.85] - Similaridade minima para 'fuzzy'
+ * @returns {{status: string, similarity: number, start: number, end: number}|null}
+ *
+ * status: 'exact' | 'fuzzy' | 'not-found'; start/end delimitam o melhor
+ * candidato em `source` (-1 quando nao ha nenhum). null se source ou excerpt vazios.
+ */
+function scoreExcerpt(source, excerpt, options = {}) {
+    const prepared = toPrepared(source);
+    const collapsedExcerpt = collapseWhitespace(excerpt);
+    if (!prepared.text || !collapsedExcerpt) {
+        return null;
+    }
+
+    const text = prepared.text;
+    const threshold = typeof options.threshold === 'number' ? options.threshold : DEFAULT_THRESHOLD;
+    const collapsedSource = prepared.getMap('collapsed');
+    const exactIndex = collapsedSource.text.indexOf(collapsedExcerpt);
+    if (exactIndex !== -1) {
+        return {
+            status: 'exact',
+            similarity: 1,
+            start: collapsedSource.map[exactIndex],
+            end: collapsedSource.map[exactIndex + collapsedExcerpt.length - 1] + 1
+        };
+    }
+
+    const match = findExcerpt(prepared, collapsedExcerpt);
+    if (match) {
+        return {
+            status: 'fuzzy',
+            similarity: similarity(collapsedExcerpt, collapseWhitespace(text.slice(match.start, match.end))),
+            start: match.start,
+            end: match.end
+        };
+    }
+
+    const candidate = findApproximateMatch(prepared, collapsedExcerpt);
+    if (!candidate) {
+        return { status: 'not-found', similarity: 0, start: -1, end: -1 };
+    }
+
+    return {
+        status: candidate.similarity >= threshold ? 'fuzzy' : 'not-found',
+        similarity: candidate.similarity,
+        start: candidate.start,
+        end: candidate.end
+    };
+}
+
+function findApproximateMatch(prepared, excerpt) {
+    const normalizedSource = prepared.getMap('normalized');
+    const normalizedExcerpt = normalizeText(excerpt);
+    const sourceWords = prepared.getMap('words');
+    const excerptWords = normalizedExcerpt ? normalizedExcerpt.split(' ') : [];
+    if (sourceWords.length === 0 || excerptWords.length === 0) {
+        return null;
+    }
+
+    const size = Math.min(excerptWords.length, sourceWords.length);
+    const starts = findCandidateWindows(sourceWords, excerptWords, size);
+    let best = null;
+
+    for (const startWord of starts) {
+        for (const windowSize of [size - 1, size, size + 1]) {
+            const endWord = startWord + windowSize - 1;
+            if (windowSize < 1 || endWord >= sourceWords.length) {
+                continue;
+            }
+
+            const from = sourceWords[startWord].start;
+            const to = sourceWords[endWord].end;
+            const score = similarity(normalizedExcerpt, normalizedSource.text.slice(from, to));
+            if (!best || score > best.similarity) {
+                best = { similarity: score, from, to };
+            }
+        }
+    }
+
+    if (!best) {
+        return null;
+    }
+
+    return {
+        similarity: best.similarity,
+        start: normalizedSource.map[best.from],
+        end: normalizedSource.map[best.to - 1] + 1
+    };
+}
+
+/**
+ * Janelas de `size` palavras com maior sobreposicao de vocabulario com o trecho
+ * @returns {number[]} Indices da primeira palavra de cada janela
+ */
+function findCandidateWindows(sourceWords, excerptWords, size) {
+    const wanted = new Map();
+    for (const word of excerptWords) {
+        wanted.set(word, (wanted.get(word) || 0) + 1);
+    }
+
+    const inWindow = new Map();
+    let overlap = 0;
+    let bestOverlap = -1;
+    let starts = [];
+
+    const add = (word) => {
+        const count = inWindow.get(word) || 0;
+        if (count < (wanted.get(word) || 0)) {
+            overlap += 1;
+        }
+        inWindow.set(word, count + 1);
+    };
+    const remove = (word) => {
+        const count = inWindow.get(word) - 1;
+        inWindow.set(word, count);
+        if (count < (wanted.get(word) || 0)) {
+            overlap -= 1;
+        }
+    };
+
+    for (let index = 0; index < sourceWords.length; index += 1) {
+        add(sourceWords[index].word);
+        if (index >= size) {
+            remove(sourceWords[index - size].word);
+        }
+        if (index < size - 1) {
+            continue;
+        }
+
+        const startWord = index - size + 1;
+        if (overlap > bestOverlap) {
+            bestOverlap = overlap;
+            starts = [startWord];
+        } else if (overlap === bestOverlap && starts.length < MAX_CANDIDATES) {
+            starts.push(startWord);
+        }
+    }
+
+    return starts;
+}
+
+function tokenize(normalizedText) {
+    const words = [];
+    const pattern = /\S+/g;
+    let match;
+    while ((match = pattern.exec(normalizedText)) !== null) {
+        words.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+    }
+    return words;
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 1 - distancia de Levenshtein / maior comprimento, em [0, 1]
+ */
+function similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    if (longest === 0) {
+        return 1;
+    }
+
+    let previous = new Array(b.length + 1);
+    let current = new Array(b.length + 1);
+    for (let j = 0; j <= b.length; j += 1) {
+        previous[j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i += 1) {
+        current[0] = i;
+        for (let j = 1; j <= b.length; j += 1) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        [previous, current] = [current, previous];
+    }
+
+    return 1 - previous[b.length] / longest;
+}
+
+function collapseWhitespace(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function buildCollapsedMap(text) {
+    const collapsed = [];
+    const map = [];
+    let lastWasSpace = true;
+
+    for (let index = 0; index < text.length; index += 1) {
+        if (isWhitespace(text[index])) {
+            if (!lastWasSpace) {
+                collapsed.push(' ');
+                map.push(index);
+                lastWasSpace = true;
+            }
+            continue;
+        }
+        collapsed.push(text[index]);
+        map.push(index);
+        lastWasSpace = false;
+    }
+
+    return { text: collapsed.join(''), map };
+}
+
 function findDirectMatch(abstract, excerpt) {
     const index = abstract.indexOf(excerpt);
     if (index !== -1) {
@@ -57,6 +289,34 @@ function findDirectMatch(abstract, excerpt) {
     return lowerIndex !== -1 ? lowerIndex : null;
 }
 
+const SOURCE_MAPS = {
+    collapsed: (text) => buildCollapsedMap(text),
+    normalized: (text) => buildNormalizedMap(text),
+    words: (text, prepared) => tokenize(prepared.getMap('normalized').text)
+};
+
+/**
+ * @param {string} text - Abstract ou texto completo
+ * @returns {{text: string, getMap: function(string): Object}} PreparedSource
+ */
+function prepareSource(text) {
+    const maps = {};
+    const prepared = {
+        text: text || '',
+        getMap(kind) {
+            if (!maps[kind]) {
+                maps[kind] = SOURCE_MAPS[kind](prepared.text, prepared);
+            }
+            return maps[kind];
+        }
+    };
+    return prepared;
+}
+
+function toPrepared(source) {
+    return source && typeof source === 'object' ? source : prepareSource(source);
+}
+
 function normalizeText(text) {
     return buildNormalizedMap(text).text;
 }
@@ -121,5 +381,8 @@ function isWhitespace(char) {
 }
 
 module.exports = {
-    findExcerpt
+    findExcerpt,
+    scoreExcerpt,
+    prepareSource,
+    similarity
 };
@@ -0,0 +1,181 @@
+/**
+ * graphExport.js - Exportacao de grafos de relacoes (GraphML/GEXF)
+ *
+ * Proposito:
+ *     Converte triplets de relacoes em formatos abertos de grafo para
+ *     uso em ferramentas externas (Gephi, Cytoscape, yEd).
+ *
+ * Componentes principais:
+ *     - buildGraphModel: Agrega triplets em nos e arestas ponderadas
+ *     - toGraphML: Serializa o modelo em GraphML
+ *     - toGexf: Serializa o modelo em GEXF 1.3
+ *
+ * Notas:
+ *     Peso da aresta = numero de triplets que afirmam a mesma relacao
+ *     entre os mesmos codigos.
+ */
+
+/**
+ * @param {Array<{relation, triplets}>} relations - Shape de DataService.getRelations()
+ * @param {Array<{code, usageCount, ontologyDefined}>} codes - Shape de DataService.getCodes()
+ * @param {Array<{from, relation, to}>|null} [edgeFilter] - Restringe as arestas exportadas
+ * @returns {{nodes: Array, edges: Array}}
+ */
+function buildGraphModel(relations, codes, edgeFilter = null) {
+    const allowed = Array.isArray(edgeFilter)
+        ? new Set(edgeFilter.map(edge => edgeKey(edge.from, edge.relation, edge.to)))
+        : null;
+    const codeInfo = new Map((codes || []).map(entry => [entry.code.toLowerCase(), entry]));
+    const nodes = new Map();
+    const edges = new Map();
+
+    const ensureNode = (name) => {
+        const key = name.toLowerCase();
+        if (!nodes.has(key)) {
+            const info = codeInfo.get(key);
+            nodes.set(key, {
+                id: `n${nodes.size}`,
+                label: name,
+                usageCount: info ? info.usageCount || 0 : 0,
+                ontologyDefined: Boolean(info && info.ontologyDefined)
+            });
+        }
+        return nodes.get(key);
+    };
+
+    for (const entry of relations || []) {
+        for (const triplet of entry.triplets || []) {
+            if (!triplet.from || !triplet.to) {
+                continue;
+            }
+
+            const key = edgeKey(triplet.from, entry.relation, triplet.to);
+            if (allowed && !allowed.has(key)) {
+                continue;
+            }
+
+            if (!edges.has(key)) {
+                edges.set(key, {
+                    id: `e${edges.size}`,
+                    source: ensureNode(triplet.from).id,
+                    target: ensureNode(triplet.to).id,
+                    relation: entry.relation,
+                    weight: 0
+                });
+            }
+            edges.get(key).weight += 1;
+        }
+    }
+
+    return {
+        nodes: Array.from(nodes.values()),
+        edges: Array.from(edges.values())
+    };
+}
+
+/**
+ * @param {{nodes, edges}} model
+ * @param {string} [graphName]
+ * @returns {string}
+ */
+function toGraphML(model, graphName = 'synesis') {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+        '         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+        '         xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+        '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+        '  <key id="usageCount" for="node" attr.name="usageCount" attr.type="int"/>',
+        '  <key id="ontologyDefined" for="node" attr.name="ontologyDefined" attr.type="boolean"/>',
+        '  <key id="relation" for="edge" attr.name="relation" attr.type="string"/>',
+        '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+        `  <graph id="${escapeXml(graphName)}" edgedefault="directed">`
+    ];
+
+    for (const node of model.nodes) {
+        lines.push(`    <node id="${node.id}">`);
+        lines.push(`      <data key="label">${escapeXml(node.label)}</data>`);
+        lines.push(`      <data key="usageCount">${node.usageCount}</data>`);
+        lines.push(`      <data key="ontologyDefined">${node.ontologyDefined}</data>`);
+        lines.push('    </node>');
+    }
+
+    for (const edge of model.edges) {
+        lines.push(`    <edge id="${edge.id}" source="${edge.source}" target="${edge.target}">`);
+        lines.push(`      <data key="relation">${escapeXml(edge.relation)}</data>`);
+        lines.push(`      <data key="weight">${edge.weight}</data>`);
+        lines.push('    </edge>');
+    }
+
+    lines.push('  </graph>', '</graphml>', '');
+    return lines.join('\n');
+}
+
+/**
+ * @param {{nodes, edges}} model
+ * @param {string} [graphName]
+ * @returns {string}
+ */
+function toGexf(model, graphName = 'synesis') {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+        '  <meta>',
+        '    <creator>Synesis Explorer</creator>',
+        `    <description>${escapeXml(graphName)}</description>`,
+        '  </meta>',
+        '  <graph defaultedgetype="directed" mode="static">',
+        '    <attributes class="node">',
+        '      <attribute id="0" title="usageCount" type="integer"/>',
+        '      <attribute id="1" title="ontologyDefined" type="boolean"/>',
+        '    </attributes>',
+        '    <attributes class="edge">',
+        '      <attribute id="0" title="relation" type="string"/>',
+        '    </attributes>',
+        '    <nodes>'
+    ];
+
+    for (const node of model.nodes) {
+        lines.push(`      <node id="${node.id}" label="${escapeXml(node.label)}">`);
+        lines.push('        <attvalues>');
+        lines.push(`          <attvalue for="0" value="${node.usageCount}"/>`);
+        lines.push(`          <attvalue for="1" value="${node.ontologyDefined}"/>`);
+        lines.push('        </attvalues>');
+        lines.push('      </node>');
+    }
+
+    lines.push('    </nodes>', '    <edges>');
+
+    for (const edge of model.edges) {
+        lines.push(
+            `      <edge id="${edge.id}" source="${edge.source}" target="${edge.target}" ` +
+            `label="${escapeXml(edge.relation)}" weight="${edge.weight}">`
+        );
+        lines.push('        <attvalues>');
+        lines.push(`          <attvalue for="0" value="${escapeXml(edge.relation)}"/>`);
+        lines.push('        </attvalues>');
+        lines.push('      </edge>');
+    }
+
+    lines.push('    </edges>', '  </graph>', '</gexf>', '');
+    return lines.join('\n');
+}
+
+function edgeKey(from, relation, to) {
+    return [from, relation, to].map(value => String(value || '').toLowerCase()).join('\u0000');
+}
+
+function escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+    buildGraphModel,
+    toGraphML,
+    toGexf
+};
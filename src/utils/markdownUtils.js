@@ -0,0 +1,76 @@
+/**
+ * markdownUtils.js - Helpers para MarkdownString de hovers e completions
+ *
+ * Proposito:
+ *     Escapa texto livre (campos de ontologia, metadados BibTeX) antes de
+ *     inseri-lo em markdown, encurta valores longos e formata citacoes.
+ *
+ * Componentes principais:
+ *     - escapeMarkdown: Escapa caracteres de marcacao
+ *     - truncateText: Colapsa espacos e corta em um limite de caracteres
+ *     - formatCitation: Citacao de bibtexParser.buildBibInfo em markdown
+ */
+
+const MAX_AUTHORS = 3;
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+    return String(text).replace(/[\\`*_{}[\]()#+\-.!|<>]/g, '\\$&');
+}
+
+/**
+ * @param {string} value
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function truncateText(value, maxLength) {
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Autores (ano). *Titulo*. Veiculo. DOI
+ * @param {Object} info - bibtexParser.buildBibInfo
+ * @returns {string}
+ */
+function formatCitation(info) {
+    const parts = [];
+    const authors = formatAuthors(info.author);
+    if (authors || info.year) {
+        parts.push(`**${escapeMarkdown([authors, info.year ? `(${info.year})` : ''].filter(Boolean).join(' '))}**`);
+    }
+    if (info.title) {
+        parts.push(`*${escapeMarkdown(info.title)}*`);
+    }
+    const venue = info.journal || info.booktitle || info.publisher;
+    if (venue) {
+        parts.push(escapeMarkdown(venue));
+    }
+
+    let citation = parts.join('. ');
+    if (info.doi) {
+        const link = info.doi.startsWith('http') ? info.doi : `https://doi.org/${info.doi}`;
+        citation += ` · [DOI](${link})`;
+    }
+    return citation;
+}
+
+function formatAuthors(author) {
+    const names = String(author || '').split(/\s+and\s+/).map(name => name.trim()).filter(Boolean);
+    if (names.length > MAX_AUTHORS) {
+        return `${names[0]} et al.`;
+    }
+    if (names.length > 1) {
+        return `${names.slice(0, -1).join('; ')} & ${names[names.length - 1]}`;
+    }
+    return names[0] || '';
+}
+
+module.exports = {
+    escapeMarkdown,
+    truncateText,
+    formatCitation
+};
@@ -2,9 +2,33 @@
  * mermaidUtils.js - Utilitarios para geracao de grafos Mermaid
  *
  * Extraido de graphViewer.js para reuso pelo GraphViewer.
+ *
+ * Componentes principais:
+ *     - generateMermaidGraph: Grafo de uma referencia (lista de relacoes)
+ *     - generateProjectGraph: Grafo agregado do projeto (peso por triplets)
+ *     - parseMermaidEdges: Arestas (from, relation, to) de um flowchart Mermaid
  */
 
-function ensureNodeId(map, name) {
+const RELATION_COLORS = [
+    '#2563eb', '#16a34a', '#dc2626', '#9333ea',
+    '#ea580c', '#0891b2', '#ca8a04', '#db2777'
+];
+
+const NODE_SIZE_TIERS = [
+    { name: 'size1', fontSize: 12 },
+    { name: 'size2', fontSize: 14 },
+    { name: 'size3', fontSize: 17 },
+    { name: 'size4', fontSize: 21 }
+];
+
+/**
+ * Id Mermaid estavel e unico para um nome de no
+ * @param {Map<string, string>} map - nome -> id
+ * @param {string} name
+ * @param {Set<string>} [usedIds] - Ids ja atribuidos (mantido junto ao map)
+ * @returns {string}
+ */
+function ensureNodeId(map, name, usedIds = new Set(map.values())) {
     if (map.has(name)) {
         return map.get(name);
     }
@@ -20,12 +44,13 @@ function ensureNodeId(map, name) {
 
     let id = base;
     let counter = 1;
-    while ([...map.values()].includes(id)) {
+    while (usedIds.has(id)) {
         counter += 1;
         id = `${base}_${counter}`;
     }
 
     map.set(name, id);
+    usedIds.add(id);
     return id;
 }
 
@@ -60,11 +85,12 @@ function generateMermaidGraph(reference, relations) {
     mermaid += '    classDef node fill:#dbeafe,stroke:#3b82f6,stroke-width:2px,color:#1e40af,rx:12,ry:12\n';
 
     const nodeIds = new Map();
+    const usedIds = new Set();
     const definedNodes = new Set();
 
     for (const relation of relations) {
-        const fromId = ensureNodeId(nodeIds, relation.from);
-        const toId = ensureNodeId(nodeIds, relation.to);
+        const fromId = ensureNodeId(nodeIds, relation.from, usedIds);
+        const toId = ensureNodeId(nodeIds, relation.to, usedIds);
         const label = escapeMermaidLabel(relation.label);
         const nodeClass = getNodeClass(relation.label);
 
@@ -88,8 +114,131 @@ function generateMermaidGraph(reference, relations) {
     return mermaid;
 }
 
+/**
+ * Gera grafo agregado com todas as relacoes do projeto
+ * @param {Array<{relation, triplets}>} relations - Shape de DataService.getRelations()
+ * @param {Array<{code, usageCount}>} codes - Shape de DataService.getCodes()
+ * @returns {{mermaidCode: string, nodes: Object, edges: Array, legend: Array}|null}
+ *
+ * nodes: nodeId -> code (para click-through no webview)
+ * edges: Array<{from, relation, to}> na ordem dos links do Mermaid
+ * legend: Array<{relation, color, count}>
+ */
+function generateProjectGraph(relations, codes) {
+    const edges = new Map();
+    const relationCounts = new Map();
+
+    for (const entry of relations || []) {
+        for (const triplet of entry.triplets || []) {
+            if (!triplet.from || !triplet.to) {
+                continue;
+            }
+
+            const key = `${triplet.from}\u0000${entry.relation}\u0000${triplet.to}`;
+            if (!edges.has(key)) {
+                edges.set(key, { from: triplet.from, relation: entry.relation, to: triplet.to, weight: 0 });
+            }
+            edges.get(key).weight += 1;
+            relationCounts.set(entry.relation, (relationCounts.get(entry.relation) || 0) + 1);
+        }
+    }
+
+    if (edges.size === 0) {
+        return null;
+    }
+
+    const legend = Array.from(relationCounts.entries())
+        .sort((a, b) => a[0].localeCompare(b[0]))
+        .map(([relation, count], index) => ({
+            relation,
+            count,
+            color: RELATION_COLORS[index % RELATION_COLORS.length]
+        }));
+    const colorByRelation = new Map(legend.map(item => [item.relation, item.color]));
+
+    const usage = new Map((codes || []).map(entry => [entry.code, entry.usageCount || 0]));
+    const nodeNames = new Set();
+    for (const edge of edges.values()) {
+        nodeNames.add(edge.from);
+        nodeNames.add(edge.to);
+    }
+    const maxUsage = Math.max(1, ...Array.from(nodeNames, name => usage.get(name) || 0));
+
+    let mermaid = 'flowchart LR\n';
+    for (const tier of NODE_SIZE_TIERS) {
+        mermaid += `    classDef ${tier.name} fill:#dbeafe,stroke:#3b82f6,stroke-width:2px,color:#1e40af,font-size:${tier.fontSize}px\n`;
+    }
+
+    const nodeIds = new Map();
+    const usedIds = new Set();
+    const nodes = {};
+    for (const name of nodeNames) {
+        const id = ensureNodeId(nodeIds, name, usedIds);
+        const ratio = Math.sqrt((usage.get(name) || 0) / maxUsage);
+        const tierIndex = Math.min(NODE_SIZE_TIERS.length - 1, Math.floor(ratio * NODE_SIZE_TIERS.length));
+        nodes[id] = name;
+        mermaid += `    ${id}["${escapeMermaidLabel(name)}"]:::${NODE_SIZE_TIERS[tierIndex].name}\n`;
+    }
+
+    const linkStyles = [];
+    const graphEdges = [];
+    let linkIndex = 0;
+    for (const edge of edges.values()) {
+        const fromId = nodeIds.get(edge.from);
+        const toId = nodeIds.get(edge.to);
+        const label = edge.weight > 1 ? `${edge.relation} ×${edge.weight}` : edge.relation;
+        const width = Math.min(8, 1.5 + (edge.weight - 1) * 0.75);
+
+        mermaid += `    ${fromId} -->|"${escapeMermaidLabel(label)}"| ${toId}\n`;
+        linkStyles.push(`    linkStyle ${linkIndex} stroke:${colorByRelation.get(edge.relation)},stroke-width:${width}px\n`);
+        graphEdges.push({ from: edge.from, relation: edge.relation, to: edge.to });
+        linkIndex += 1;
+    }
+
+    mermaid += linkStyles.join('');
+
+    return { mermaidCode: mermaid, nodes, edges: graphEdges, legend };
+}
+
+/**
+ * Extrai as arestas de um flowchart (uma por linha `A -->|"rel"| B`)
+ * @param {string} mermaidCode
+ * @returns {Array<{from: string, relation: string, to: string}>} Labels dos nos, sem escapes
+ */
+function parseMermaidEdges(mermaidCode) {
+    const labels = new Map();
+    const links = [];
+
+    for (const line of String(mermaidCode || '').split('\n')) {
+        const node = /^\s*([\p{L}\p{N}_]+)\["(.*)"\]/u.exec(line);
+        if (node) {
+            labels.set(node[1], unescapeMermaidLabel(node[2]));
+            continue;
+        }
+
+        const link = /^\s*([\p{L}\p{N}_]+)\s*-->\s*(?:\|"?(.*?)"?\|\s*)?([\p{L}\p{N}_]+)\s*$/u.exec(line);
+        if (link) {
+            links.push({ from: link[1], relation: unescapeMermaidLabel(link[2] || ''), to: link[3] });
+        }
+    }
+
+    return links.map(link => ({
+        from: labels.get(link.from) || link.from,
+        relation: link.relation,
+        to: labels.get(link.to) || link.to
+    }));
+}
+
+// escapeMermaidLabel reescapa o '#' das proprias entidades (&#91; -> &&#35;91;): decodifica duas vezes
+function unescapeMermaidLabel(value) {
+    const decode = text => text.replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)));
+    return decode(decode(String(value || ''))).replace(/&quot;/g, '"');
+}
+
 module.exports = {
     generateMermaidGraph,
+    generateProjectGraph,
+    parseMermaidEdges,
     ensureNodeId,
     getNodeClass,
     escapeMermaidLabel
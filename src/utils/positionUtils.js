@@ -7,6 +7,8 @@
  * Componentes principais:
  *     - buildLineOffsets: Cria indices de inicio de linha
  *     - getLineColumn: Calcula linha e coluna a partir do offset
+ *     - findTokenPositions: Localiza tokens sequenciais no valor de um campo
+ *     - splitValueTokens: Divide o valor de um campo com offsets absolutos
  */
 
 function buildLineOffsets(text) {
@@ -26,15 +28,20 @@ function getLineColumn(lineOffsets, offset) {
         return { line: 0, column: 0 };
     }
 
-    let target = Math.max(0, offset);
-    let line = 0;
+    const target = Math.max(0, offset);
+    let low = 0;
+    let high = lineOffsets.length - 1;
 
-    while (line + 1 < lineOffsets.length && lineOffsets[line + 1] <= target) {
-        line += 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (lineOffsets[mid] <= target) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
     }
 
-    const column = target - lineOffsets[line];
-    return { line, column };
+    return { line: low, column: target - lineOffsets[low] };
 }
 
 function escapeRegex(text) {
@@ -87,10 +94,72 @@ function findTokenPosition(item, fieldName, token, lineOffsets) {
     return getLineColumn(lineOffsets, absoluteOffset);
 }
 
+function findTokenPositions(content, entry, tokens, lineOffsets) {
+    const fallback = { line: entry.line, column: entry.column };
+    if (typeof entry.valueOffset !== 'number' || typeof entry.valueEnd !== 'number') {
+        return tokens.map(() => fallback);
+    }
+
+    const rawValue = content.slice(entry.valueOffset, entry.valueEnd);
+    let cursor = 0;
+
+    return tokens.map(token => {
+        const tokenOffset = findTokenOffset(rawValue.slice(cursor), token);
+        if (tokenOffset === null) {
+            return fallback;
+        }
+
+        const absoluteOffset = entry.valueOffset + cursor + tokenOffset;
+        cursor += tokenOffset + token.length;
+        return getLineColumn(lineOffsets, absoluteOffset);
+    });
+}
+
+/**
+ * Divide o valor bruto de um campo por um separador, preservando offsets
+ * @param {string} content - Conteudo completo do arquivo
+ * @param {Object} entry - FieldEntry (valueOffset/valueEnd absolutos)
+ * @param {RegExp} separator - Ex: /->/ para CHAIN, /[,\n]/ para CODE
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+function splitValueTokens(content, entry, separator) {
+    if (typeof entry.valueOffset !== 'number' || typeof entry.valueEnd !== 'number') {
+        return [];
+    }
+
+    const rawValue = content.slice(entry.valueOffset, entry.valueEnd);
+    const pattern = new RegExp(separator.source, separator.flags.includes('g') ? separator.flags : `${separator.flags}g`);
+    const tokens = [];
+    let cursor = 0;
+
+    const pushToken = (end) => {
+        const raw = rawValue.slice(cursor, end);
+        const text = raw.trim();
+        if (text) {
+            const start = entry.valueOffset + cursor + (raw.length - raw.trimStart().length);
+            tokens.push({ text, start, end: start + text.length });
+        }
+    };
+
+    let match;
+    while ((match = pattern.exec(rawValue)) !== null) {
+        pushToken(match.index);
+        cursor = match.index + match[0].length;
+        if (match[0].length === 0) {
+            pattern.lastIndex += 1;
+        }
+    }
+    pushToken(rawValue.length);
+
+    return tokens;
+}
+
 module.exports = {
     buildLineOffsets,
     getLineColumn,
     findTokenPosition,
+    findTokenPositions,
+    splitValueTokens,
     findFieldValueInfo,
     findTokenOffset
 };
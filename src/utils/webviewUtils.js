@@ -0,0 +1,88 @@
+/**
+ * webviewUtils.js - Helpers para webviews sem dependencias remotas
+ *
+ * Proposito:
+ *     Resolve assets empacotados em dist/media (Mermaid, fontes Inter)
+ *     e gera nonce + Content-Security-Policy estrita para os webviews.
+ *
+ * Componentes principais:
+ *     - getNonce: Gera nonce aleatorio para scripts inline
+ *     - getMediaRoot: Raiz dos assets (usar em localResourceRoots)
+ *     - getMediaUri: Converte asset local em URI do webview
+ *     - buildContentSecurityPolicy: Monta a meta CSP
+ *     - buildFontFaceCss: Declara @font-face da Inter empacotada
+ *     - serializeForScript: JSON seguro para embutir em <script>
+ */
+
+const crypto = require('crypto');
+const vscode = require('vscode');
+
+const MEDIA_SEGMENTS = ['dist', 'media'];
+const INTER_WEIGHTS = [400, 500, 600, 700];
+
+function getNonce() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+function getMediaRoot(extensionUri) {
+    return vscode.Uri.joinPath(extensionUri, ...MEDIA_SEGMENTS);
+}
+
+function getMediaUri(webview, extensionUri, ...segments) {
+    return webview.asWebviewUri(vscode.Uri.joinPath(getMediaRoot(extensionUri), ...segments));
+}
+
+/**
+ * Monta CSP sem origens remotas
+ * @param {vscode.Webview} webview
+ * @param {string|null} nonce - Omitir para webviews sem scripts
+ * @returns {string}
+ */
+function buildContentSecurityPolicy(webview, nonce) {
+    const directives = [
+        "default-src 'none'",
+        `img-src ${webview.cspSource} data:`,
+        `style-src ${webview.cspSource} 'unsafe-inline'`,
+        `font-src ${webview.cspSource}`
+    ];
+
+    if (nonce) {
+        directives.push(`script-src 'nonce-${nonce}'`);
+    }
+
+    return directives.join('; ');
+}
+
+function buildFontFaceCss(webview, extensionUri) {
+    return INTER_WEIGHTS.map(weight => {
+        const fontUri = getMediaUri(webview, extensionUri, 'fonts', `inter-latin-${weight}-normal.woff2`);
+        return `@font-face {
+            font-family: 'Inter';
+            font-style: normal;
+            font-weight: ${weight};
+            font-display: swap;
+            src: url('${fontUri}') format('woff2');
+        }`;
+    }).join('\n');
+}
+
+/**
+ * Serializa valor como JSON seguro dentro de <script>
+ * @param {*} value
+ * @returns {string}
+ */
+function serializeForScript(value) {
+    return JSON.stringify(value === undefined ? null : value)
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+module.exports = {
+    getNonce,
+    getMediaRoot,
+    getMediaUri,
+    buildContentSecurityPolicy,
+    buildFontFaceCss,
+    serializeForScript
+};
@@ -2,30 +2,37 @@
  * abstractViewer.js - Webview para visualizacao de abstracts
  *
  * Proposito:
- *     Exibe o abstract BibTeX com trechos destacados.
- *     Lista excerpts com contexto (nota e chain).
+ *     Exibe o abstract BibTeX e, quando disponivel, o texto completo local
+ *     com trechos destacados. Lista excerpts com contexto (nota e chain).
  *
  * Componentes principais:
  *     - showAbstract: Fluxo principal de carregamento
+ *     - refresh: Reconstroi os paineis abertos (template ou corpus alterado)
  *     - highlightExcerpts: Insere marcacoes no abstract
+ *     - highlightFullText: Marcacoes por pagina/paragrafo + lista de saltos
  *
  * Dependencias criticas:
  *     - projectLoader: resolucao de bibliografia
  *     - bibtexParser: parsing de .bib
+ *     - fullTextLoader: PDF (campo `file`) ou sidecar .txt/.md
  *     - SynesisParser: parse de ITEMs
  */
 
+const path = require('path');
 const vscode = require('vscode');
 const SynesisParser = require('../parsers/synesisParser');
 const projectLoader = require('../core/projectLoader');
 const bibtexParser = require('../parsers/bibtexParser');
+const fullTextLoader = require('../core/fullTextLoader');
 const fuzzyMatcher = require('../utils/fuzzyMatcher');
+const { buildContentSecurityPolicy } = require('../utils/webviewUtils');
 
 class AbstractViewer {
     constructor(workspaceScanner, templateManager) {
         this.scanner = workspaceScanner;
         this.templateManager = templateManager;
         this.parser = new SynesisParser();
+        this.panels = new Set(); // { panel, bibref, projectUri }
         this.colors = [
             '#ffeb3b', '#ff9800', '#f44336', '#e91e63',
             '#9c27b0', '#673ab7', '#3f51b5', '#2196f3',
@@ -33,88 +40,128 @@ class AbstractViewer {
         ];
     }
 
-    async showAbstract() {
-        const editor = vscode.window.activeTextEditor;
-        if (!editor) {
-            vscode.window.showWarningMessage('No active editor');
-            return;
-        }
-
-        const bibref = this._findBibref(editor.document, editor.selection.active);
+    /**
+     * @param {string} [bibref] - Referencia explicita (hover); sem ela, usa o bloco sob o cursor
+     * @param {string} [filePath] - Arquivo de origem, para resolver o projeto
+     */
+    async showAbstract(bibref, filePath) {
         if (!bibref) {
-            vscode.window.showWarningMessage('No reference found. Position cursor inside a SOURCE or ITEM block.');
-            return;
+            const editor = vscode.window.activeTextEditor;
+            if (!editor) {
+                vscode.window.showWarningMessage('No active editor');
+                return;
+            }
+
+            bibref = this._findBibref(editor.document, editor.selection.active);
+            if (!bibref) {
+                vscode.window.showWarningMessage('No reference found. Position cursor inside a SOURCE or ITEM block.');
+                return;
+            }
         }
 
-        const projectUri = await this.scanner.findProjectFile();
+        const projectUri = (filePath && await this.scanner.findProjectFileForUri(vscode.Uri.file(filePath)))
+            || await this.scanner.findProjectFile();
         if (!projectUri) {
             vscode.window.showWarningMessage('No project file found. Create a .synp to enable abstracts.');
             return;
         }
 
-        const project = await projectLoader.load(projectUri);
-        if (!project.bibliographyPath) {
-            vscode.window.showWarningMessage('Bibliography not found in project.');
+        const view = await this._loadView(bibref, projectUri);
+        if (view.error) {
+            vscode.window.showErrorMessage(view.error);
             return;
         }
-
-        const entries = await bibtexParser.parse(project.bibliographyPath);
-        const entry = bibtexParser.findEntry(entries, bibref);
-        if (!entry) {
-            vscode.window.showErrorMessage(`Entry ${bibref} not found in bibliography.`);
+        if (view.warning) {
+            vscode.window.showWarningMessage(view.warning);
             return;
         }
-
-        const abstract = bibtexParser.getAbstract(entry);
-        const extracted = await this._extractExcerpts(bibref, projectUri);
-        const excerpts = extracted.excerpts;
-        const display = extracted.display;
-        const highlighted = abstract ? this.highlightExcerpts(abstract, excerpts) : '';
-        const hasAbstract = Boolean(abstract);
-        if (!hasAbstract) {
-            vscode.window.showWarningMessage(`No abstract found for ${bibref}. Showing bibliographic info only.`);
+        if (!view.hasAbstract && !view.fullTextView) {
+            vscode.window.showWarningMessage(`No abstract or local full text found for ${bibref}. Showing bibliographic info only.`);
         }
 
         const panel = vscode.window.createWebviewPanel(
             'synesisAbstract',
             `Abstract: ${bibref}`,
             vscode.ViewColumn.Beside,
-            { enableScripts: false }
+            { enableScripts: false, localResourceRoots: [] }
         );
 
-        panel.webview.html = this.getHtmlContent(bibref, entry, highlighted, excerpts, hasAbstract, display);
+        const shown = { panel, bibref, projectUri };
+        this.panels.add(shown);
+        panel.onDidDispose(() => this.panels.delete(shown));
+        this._render(shown, view);
     }
 
-    highlightExcerpts(abstract, excerpts) {
-        if (!abstract) {
-            return '';
+    /**
+     * Recarrega abstract, texto completo e excerpts dos paineis abertos
+     */
+    async refresh() {
+        for (const shown of Array.from(this.panels)) {
+            try {
+                const view = await this._loadView(shown.bibref, shown.projectUri);
+                if (view.error || view.warning) {
+                    console.warn(`AbstractViewer: Failed to refresh ${shown.bibref}:`, view.error || view.warning);
+                } else if (this.panels.has(shown)) {
+                    this._render(shown, view);
+                }
+            } catch (error) {
+                console.warn(`AbstractViewer: Failed to refresh ${shown.bibref}:`, error.message);
+            }
         }
+    }
 
-        const matches = [];
+    /**
+     * @returns {Promise<Object>} Dados do painel, ou { error } / { warning }
+     */
+    async _loadView(bibref, projectUri) {
+        const project = await projectLoader.load(projectUri);
+        if (!project.bibliographyPath) {
+            return { warning: 'Bibliography not found in project.' };
+        }
 
-        for (let index = 0; index < excerpts.length; index += 1) {
-            if (!excerpts[index].text) {
-                continue;
-            }
+        const entries = await bibtexParser.parse(project.bibliographyPath);
+        const entry = bibtexParser.findEntry(entries, bibref);
+        if (!entry) {
+            return { error: `Entry ${bibref} not found in bibliography.` };
+        }
 
-            const match = fuzzyMatcher.findExcerpt(abstract, excerpts[index].text);
-            if (!match) {
-                continue;
-            }
+        const abstract = bibtexParser.getAbstract(entry);
+        const extracted = await this._extractExcerpts(bibref, projectUri);
+        const excerpts = extracted.excerpts;
+        const fullText = await this._loadFullText(entry, project.bibliographyPath);
+        return {
+            entry,
+            excerpts,
+            display: extracted.display,
+            highlighted: abstract ? this.highlightExcerpts(abstract, excerpts) : '',
+            hasAbstract: Boolean(abstract),
+            fullTextView: fullText ? this.highlightFullText(fullText, excerpts) : null
+        };
+    }
 
-            matches.push({
-                start: match.start,
-                end: match.end,
-                color: this.colors[index % this.colors.length]
-            });
+    _render(shown, view) {
+        shown.panel.webview.html = this.getHtmlContent(
+            shown.panel.webview,
+            shown.bibref,
+            view.entry,
+            view.highlighted,
+            view.excerpts,
+            view.hasAbstract,
+            view.display,
+            view.fullTextView
+        );
+    }
+
+    highlightExcerpts(abstract, excerpts) {
+        if (!abstract) {
+            return '';
         }
 
+        const matches = this._locateExcerpts(abstract, excerpts);
         if (matches.length === 0) {
             return escapeHtml(abstract);
         }
 
-        matches.sort((a, b) => a.start - b.start);
-
         let result = '';
         let cursor = 0;
 
@@ -134,6 +181,97 @@ class AbstractViewer {
         return result;
     }
 
+    /**
+     * Destaca excerpts no texto completo, segmento a segmento
+     * @param {{path, kind, text, segments}} fullText - Retorno de fullTextLoader.load
+     * @param {Array} excerpts
+     * @returns {{fileName, kind, segmentCount, segmentsHtml, jumps, unmatched}}
+     *
+     * jumps: Array<{ index, label, anchor }> em ordem de aparicao no documento
+     * unmatched: indices de excerpts (com texto) nao encontrados
+     */
+    highlightFullText(fullText, excerpts) {
+        const { text, segments } = fullText;
+        const matches = this._locateExcerpts(text, excerpts);
+        const marked = [];
+        const jumps = [];
+        let cursor = 0;
+
+        for (const match of matches) {
+            const segmentIndex = findSegmentIndex(segments, match.start);
+            const overlaps = match.start < cursor;
+            if (!overlaps) {
+                marked.push(match);
+                cursor = match.end;
+            }
+            jumps.push({
+                index: match.index,
+                label: segmentIndex >= 0 ? segments[segmentIndex].label : '',
+                anchor: overlaps ? `seg-${segmentIndex}` : `hl-${match.index}`
+            });
+        }
+
+        const found = new Set(matches.map(match => match.index));
+        const unmatched = excerpts
+            .map((excerpt, index) => index)
+            .filter(index => excerpts[index].text && !found.has(index));
+
+        const segmentsHtml = segments.map((segment, segmentIndex) => `
+          <div class="segment" id="seg-${segmentIndex}">
+            <div class="segment-label">${escapeHtml(segment.label)}</div>
+            <div class="segment-text">${renderSegment(text, segment, marked)}</div>
+          </div>
+        `).join('');
+
+        return {
+            fileName: path.basename(fullText.path),
+            kind: fullText.kind,
+            segmentCount: segments.length,
+            segmentsHtml,
+            jumps,
+            unmatched
+        };
+    }
+
+    /**
+     * @param {string} text
+     * @param {Array} excerpts
+     * @returns {Array<{index, start, end, color}>} Ordenado por posicao
+     */
+    _locateExcerpts(text, excerpts) {
+        const matches = [];
+        const source = fuzzyMatcher.prepareSource(text);
+
+        for (let index = 0; index < excerpts.length; index += 1) {
+            if (!excerpts[index].text) {
+                continue;
+            }
+
+            const match = fuzzyMatcher.findExcerpt(source, excerpts[index].text);
+            if (!match) {
+                continue;
+            }
+
+            matches.push({
+                index,
+                start: match.start,
+                end: match.end,
+                color: this.colors[index % this.colors.length]
+            });
+        }
+
+        return matches.sort((a, b) => a.start - b.start);
+    }
+
+    async _loadFullText(entry, bibliographyPath) {
+        try {
+            return await fullTextLoader.load(entry, bibliographyPath);
+        } catch (error) {
+            console.warn('AbstractViewer: Failed to load full text:', error.message);
+            return null;
+        }
+    }
+
     async _extractExcerpts(bibref, projectUri) {
         const excerpts = [];
         const registry = await this.templateManager.loadTemplate(projectUri);
@@ -235,8 +373,9 @@ class AbstractViewer {
         };
     }
 
-    getHtmlContent(bibref, entry, abstractHtml, excerpts, hasAbstract, display) {
-        const bibInfo = buildBibInfo(entry);
+    getHtmlContent(webview, bibref, entry, abstractHtml, excerpts, hasAbstract, display, fullTextView = null) {
+        const bibInfo = bibtexParser.buildBibInfo(entry);
+        const jumpsByExcerpt = new Map((fullTextView ? fullTextView.jumps : []).map(jump => [jump.index, jump]));
         const legendHtml = excerpts.map((excerpt, index) => {
             const color = this.colors[index % this.colors.length];
             const shortText = excerpt.text.length > 80
@@ -252,13 +391,17 @@ class AbstractViewer {
             const codesHtml = display.showCodes && excerpt.codes && excerpt.codes.length > 0
                 ? `<div class="chain-line"><em>Codes:</em> ${formatCodes(excerpt.codes)}</div>`
                 : '';
+            const jump = jumpsByExcerpt.get(index);
+            const jumpHtml = jump
+                ? `<a class="jump-link" href="#${jump.anchor}">${escapeHtml(jump.label)}</a>`
+                : '';
 
             return `
         <div class="legend-item">
           <div style="display: flex; align-items: flex-start;">
             <span class="legend-color" style="background-color: ${color};"></span>
             <div>
-              <div class="legend-excerpt">${label}</div>
+              <div class="legend-excerpt">${label} ${jumpHtml}</div>
               <div class="legend-description">
                 ${noteHtml}
                 ${chainHtml}
@@ -278,12 +421,14 @@ class AbstractViewer {
           </div>
         </div>
         ` : '';
+        const fullTextSection = fullTextView ? buildFullTextHtml(fullTextView, excerpts, this.colors) : '';
 
         return `
       <!DOCTYPE html>
       <html>
       <head>
         <meta charset="UTF-8">
+        <meta http-equiv="Content-Security-Policy" content="${buildContentSecurityPolicy(webview, null)}">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
         <title>Abstract: ${escapeHtml(bibref)}</title>
         <style>
@@ -310,7 +455,7 @@ class AbstractViewer {
             color: var(--text);
           }
 
-          .header, .abstract-container, .legend, .stats {
+          .header, .abstract-container, .full-text-container, .legend, .stats {
             margin-bottom: 24px;
             padding: 28px 32px;
             border-radius: var(--radius);
@@ -438,6 +583,81 @@ class AbstractViewer {
             line-height: 1.75;
           }
 
+          .full-text-container h2 {
+            font-size: 18px;
+            font-weight: 700;
+            margin: 0 0 6px;
+          }
+
+          .full-text-source {
+            font-size: 12.5px;
+            color: var(--text-secondary);
+            margin-bottom: 16px;
+          }
+
+          .jump-list {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+            margin-bottom: 16px;
+          }
+
+          .jump-link {
+            display: inline-flex;
+            align-items: center;
+            gap: 6px;
+            padding: 3px 10px;
+            border-radius: 12px;
+            border: 1px solid var(--border);
+            background: var(--surface-2);
+            color: var(--primary);
+            font-size: 12px;
+            font-weight: 600;
+            text-decoration: none;
+          }
+
+          .jump-link:hover {
+            color: var(--primary-hover);
+          }
+
+          .jump-swatch {
+            width: 10px;
+            height: 10px;
+            border-radius: 3px;
+          }
+
+          .unmatched {
+            font-size: 12.5px;
+            color: var(--text-secondary);
+            margin-bottom: 16px;
+          }
+
+          .full-text-body {
+            max-height: 70vh;
+            overflow-y: auto;
+            padding-right: 8px;
+          }
+
+          .segment {
+            padding: 12px 0;
+            border-top: 1px solid var(--border);
+          }
+
+          .segment-label {
+            font-size: 11px;
+            font-weight: 600;
+            text-transform: uppercase;
+            letter-spacing: 0.3px;
+            color: var(--text-secondary);
+            margin-bottom: 6px;
+          }
+
+          .segment-text {
+            white-space: pre-wrap;
+            font-size: 14.5px;
+            line-height: 1.7;
+          }
+
           mark {
             font-weight: 500;
             border-radius: 4px;
@@ -575,6 +795,7 @@ class AbstractViewer {
           ${bibInfoHtml}
         </div>
         ${abstractSection}
+        ${fullTextSection}
         <div class="legend">
           <h2>Excerpts (${excerpts.length} found)</h2>
           ${legendHtml}
@@ -610,6 +831,67 @@ class AbstractViewer {
     }
 }
 
+function buildFullTextHtml(view, excerpts, colors) {
+    const unit = view.kind === 'pdf' ? 'page' : 'paragraph';
+    const jumpsHtml = view.jumps.map(jump => `
+          <a class="jump-link" href="#${jump.anchor}">
+            <span class="jump-swatch" style="background-color: ${colors[jump.index % colors.length]};"></span>
+            Excerpt ${jump.index + 1} · ${escapeHtml(jump.label)}
+          </a>
+        `).join('');
+    const unmatchedHtml = view.unmatched.length > 0
+        ? `<div class="unmatched">Not found in full text: ${view.unmatched.map(index => `Excerpt ${index + 1}`).join(', ')}</div>`
+        : '';
+
+    return `
+        <div class="full-text-container">
+          <h2>Full text</h2>
+          <div class="full-text-source">${escapeHtml(view.fileName)} · ${view.segmentCount} ${unit}${view.segmentCount === 1 ? '' : 's'}</div>
+          ${jumpsHtml ? `<div class="jump-list">${jumpsHtml}</div>` : ''}
+          ${unmatchedHtml}
+          <div class="full-text-body">
+            ${view.segmentsHtml}
+          </div>
+        </div>
+        `;
+}
+
+/**
+ * Renderiza um segmento com as marcacoes que o intersectam.
+ * Trechos que cruzam segmentos sao cortados; o id de ancora fica no primeiro pedaco.
+ */
+function renderSegment(text, segment, matches) {
+    let result = '';
+    let cursor = segment.start;
+
+    for (const match of matches) {
+        if (match.end <= segment.start || match.start >= segment.end) {
+            continue;
+        }
+
+        const start = Math.max(match.start, segment.start);
+        const end = Math.min(match.end, segment.end);
+        const anchor = start === match.start ? ` id="hl-${match.index}"` : '';
+        result += escapeHtml(text.slice(cursor, start));
+        result += `<mark${anchor} style="background-color: ${match.color};">`;
+        result += escapeHtml(text.slice(start, end));
+        result += '</mark>';
+        cursor = end;
+    }
+
+    result += escapeHtml(text.slice(cursor, segment.end));
+    return result;
+}
+
+function findSegmentIndex(segments, offset) {
+    for (let index = segments.length - 1; index >= 0; index -= 1) {
+        if (segments[index].start <= offset) {
+            return index;
+        }
+    }
+    return segments.length > 0 ? 0 : -1;
+}
+
 function normalizeExcerpt(text) {
     return text.replace(/\s+/g, ' ').trim();
 }
@@ -700,21 +982,6 @@ function extractCodesFromFields(fields, names) {
     return codes;
 }
 
-function buildBibInfo(entry) {
-    const tags = entry?.entryTags || {};
-    return {
-        type: entry?.entryType || '',
-        title: sanitizeBibValue(tags.title),
-        author: sanitizeBibValue(tags.author),
-        year: sanitizeBibValue(tags.year),
-        journal: sanitizeBibValue(tags.journal),
-        booktitle: sanitizeBibValue(tags.booktitle),
-        publisher: sanitizeBibValue(tags.publisher),
-        doi: sanitizeBibValue(tags.doi),
-        url: sanitizeBibValue(tags.url)
-    };
-}
-
 function buildBibInfoHtml(info, bibref) {
     const items = [];
 
@@ -772,17 +1039,6 @@ function buildBibInfoHtml(info, bibref) {
     return items.join('\n');
 }
 
-function sanitizeBibValue(value) {
-    if (!value) {
-        return '';
-    }
-
-    return String(value)
-        .replace(/[{}]/g, '')
-        .replace(/\s+/g, ' ')
-        .trim();
-}
-
 function getFieldsByType(registry, type) {
     return Object.entries(registry)
         .filter(([, def]) => def.type === type)
@@ -0,0 +1,555 @@
+/**
+ * cooccurrenceViewer.js - Webview com matriz de co-ocorrencia de codigos
+ *
+ * Proposito:
+ *     Exibe um heatmap codigo x codigo indicando quantos ITEMs compartilham
+ *     cada par (contagem ou Jaccard), com ordenacao e agrupamento.
+ *     Click em uma celula lista os ITEMs onde os dois codigos ocorrem.
+ *
+ * Componentes principais:
+ *     - show: Carrega ITEMs do projeto e abre o painel
+ *     - refresh: Recarrega o painel aberto (template ou corpus alterado)
+ *     - _loadItems: SynesisParser.parseItems + campos CODE/CHAIN do template
+ *     - _postMatrix: Recalcula matriz para o limite escolhido no webview
+ *
+ * Dependencias criticas:
+ *     - SynesisParser / TemplateManager: extracao local de codigos por ITEM
+ *     - cooccurrenceUtils: contagem, Jaccard e clustering
+ *     - webviewUtils: CSP com nonce e fontes empacotadas
+ */
+
+const vscode = require('vscode');
+const SynesisParser = require('../parsers/synesisParser');
+const { readText } = require('../utils/documentUtils');
+const { collectItemCodes, buildCooccurrenceMatrix } = require('../utils/cooccurrenceUtils');
+const {
+    getNonce,
+    getMediaRoot,
+    buildContentSecurityPolicy,
+    buildFontFaceCss
+} = require('../utils/webviewUtils');
+
+const LIMIT_OPTIONS = [20, 40, 80, 150];
+const DEFAULT_LIMIT = 40;
+
+class CooccurrenceViewer {
+    constructor(workspaceScanner, templateManager, extensionUri) {
+        this.scanner = workspaceScanner;
+        this.templateManager = templateManager;
+        this.extensionUri = extensionUri;
+        this.parser = new SynesisParser();
+        this.panel = null;
+        this.items = [];
+        this.limit = DEFAULT_LIMIT;
+    }
+
+    async show() {
+        this.items = await this._loadItems();
+        if (!this.items.some(item => item.codes.size > 0)) {
+            vscode.window.showWarningMessage('No coded ITEM blocks found in the project.');
+            return;
+        }
+
+        if (this.panel) {
+            this.panel.reveal(vscode.ViewColumn.Beside);
+            this._postMatrix();
+            return;
+        }
+
+        this.panel = vscode.window.createWebviewPanel(
+            'synesisCooccurrence',
+            'Code Co-occurrence',
+            vscode.ViewColumn.Beside,
+            {
+                enableScripts: true,
+                retainContextWhenHidden: true,
+                localResourceRoots: [getMediaRoot(this.extensionUri)]
+            }
+        );
+
+        this.panel.webview.onDidReceiveMessage(message => this._handleMessage(message));
+        this.panel.onDidDispose(() => {
+            this.panel = null;
+        });
+
+        this.panel.webview.html = this.getWebviewContent(this.panel.webview);
+    }
+
+    /**
+     * Recarrega os ITEMs do painel aberto; sem painel, nao faz nada
+     */
+    async refresh() {
+        if (!this.panel) {
+            return;
+        }
+
+        try {
+            this.items = await this._loadItems();
+            this._postMatrix();
+        } catch (error) {
+            console.warn('CooccurrenceViewer: Failed to refresh matrix:', error.message);
+        }
+    }
+
+    async _loadItems() {
+        const projectUri = await this.scanner.findProjectFile();
+        const registry = await this.templateManager.loadFieldRegistry(projectUri);
+        const synFiles = await this.scanner.findSynFiles(projectUri);
+        const items = [];
+
+        for (const fileUri of synFiles) {
+            const text = await readText(fileUri);
+            for (const item of this.parser.parseItems(text, fileUri.fsPath)) {
+                items.push({
+                    bibref: item.bibref,
+                    file: fileUri.fsPath,
+                    line: item.line,
+                    codes: collectItemCodes(item, registry)
+                });
+            }
+        }
+
+        return items;
+    }
+
+    _handleMessage(message) {
+        if (!message || typeof message !== 'object') {
+            return;
+        }
+
+        if (message.type === 'ready') {
+            this._postMatrix();
+        } else if (message.type === 'setLimit' && LIMIT_OPTIONS.includes(message.limit)) {
+            this.limit = message.limit;
+            this._postMatrix();
+        } else if (message.type === 'openLocation' && message.file) {
+            vscode.commands.executeCommand('synesis.openLocation', message.file, message.line || 0, 0);
+        }
+    }
+
+    _postMatrix() {
+        if (!this.panel) {
+            return;
+        }
+
+        const matrix = buildCooccurrenceMatrix(this.items.map(item => item.codes), { limit: this.limit });
+        this.panel.webview.postMessage({
+            type: 'matrix',
+            limit: this.limit,
+            itemCount: this.items.length,
+            items: this.items.map(item => ({
+                bibref: item.bibref,
+                file: item.file,
+                label: vscode.workspace.asRelativePath(item.file),
+                line: item.line
+            })),
+            ...matrix
+        });
+    }
+
+    getWebviewContent(webview) {
+        const nonce = getNonce();
+        const limitOptions = LIMIT_OPTIONS
+            .map(limit => `<option value="${limit}"${limit === this.limit ? ' selected' : ''}>Top ${limit}</option>`)
+            .join('');
+
+        return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="${buildContentSecurityPolicy(webview, nonce)}">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Code Co-occurrence</title>
+    <style>
+        ${buildFontFaceCss(webview, this.extensionUri)}
+
+        :root {
+            --bg: #f8fafc;
+            --surface: #ffffff;
+            --border: #e2e8f0;
+            --primary: #3b82f6;
+            --primary-light: #dbeafe;
+            --text: #0f172a;
+            --text-muted: #64748b;
+            --radius: 12px;
+            --shadow: 0 4px 12px rgba(0,0,0,0.08);
+        }
+
+        * {
+            box-sizing: border-box;
+            margin: 0;
+            padding: 0;
+        }
+
+        body {
+            font-family: 'Inter', system-ui, sans-serif;
+            background: var(--bg);
+            color: var(--text);
+            height: 100vh;
+            display: flex;
+            flex-direction: column;
+            overflow: hidden;
+        }
+
+        .header {
+            padding: 12px 24px;
+            background: var(--surface);
+            border-bottom: 1px solid var(--border);
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 16px;
+            flex-shrink: 0;
+        }
+
+        .header h1 {
+            font-size: 16px;
+            font-weight: 700;
+        }
+
+        .header p {
+            margin-top: 2px;
+            font-size: 12px;
+            color: var(--text-muted);
+        }
+
+        .controls {
+            display: flex;
+            gap: 8px;
+            align-items: center;
+            font-size: 12px;
+        }
+
+        .segmented {
+            display: flex;
+            border: 1px solid var(--border);
+            border-radius: 6px;
+            overflow: hidden;
+        }
+
+        .segmented button {
+            background: var(--surface);
+            border: none;
+            padding: 6px 10px;
+            font-family: inherit;
+            font-size: 12px;
+            font-weight: 500;
+            color: var(--text);
+            cursor: pointer;
+        }
+
+        .segmented button + button {
+            border-left: 1px solid var(--border);
+        }
+
+        .segmented button.active {
+            background: var(--primary-light);
+            color: var(--primary);
+        }
+
+        select {
+            font-family: inherit;
+            font-size: 12px;
+            padding: 5px 8px;
+            border: 1px solid var(--border);
+            border-radius: 6px;
+            background: var(--surface);
+            color: var(--text);
+        }
+
+        .content {
+            flex: 1;
+            display: flex;
+            gap: 16px;
+            padding: 16px;
+            min-height: 0;
+        }
+
+        .matrix-wrapper {
+            flex: 1;
+            overflow: auto;
+            background: var(--surface);
+            border-radius: var(--radius);
+            box-shadow: var(--shadow);
+            padding: 12px;
+        }
+
+        table {
+            border-collapse: collapse;
+            font-size: 11px;
+        }
+
+        th {
+            font-weight: 500;
+            color: var(--text);
+            white-space: nowrap;
+            background: var(--surface);
+        }
+
+        thead th {
+            position: sticky;
+            top: 0;
+            height: 140px;
+            vertical-align: bottom;
+            z-index: 1;
+        }
+
+        thead th span {
+            display: inline-block;
+            writing-mode: vertical-rl;
+            transform: rotate(180deg);
+            max-height: 136px;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
+
+        tbody th {
+            position: sticky;
+            left: 0;
+            text-align: right;
+            padding-right: 8px;
+            max-width: 220px;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
+
+        td {
+            width: 22px;
+            min-width: 22px;
+            height: 22px;
+            border: 1px solid #f1f5f9;
+            text-align: center;
+            font-size: 10px;
+            cursor: pointer;
+        }
+
+        td.diagonal {
+            background: #f1f5f9;
+            color: var(--text-muted);
+            cursor: default;
+        }
+
+        td.selected {
+            outline: 2px solid #0f172a;
+            outline-offset: -2px;
+        }
+
+        .details {
+            width: 300px;
+            flex-shrink: 0;
+            overflow: auto;
+            background: var(--surface);
+            border-radius: var(--radius);
+            box-shadow: var(--shadow);
+            padding: 14px;
+            font-size: 12px;
+        }
+
+        .details h2 {
+            font-size: 13px;
+            font-weight: 700;
+            margin-bottom: 4px;
+        }
+
+        .details .muted {
+            color: var(--text-muted);
+        }
+
+        .details ul {
+            list-style: none;
+            margin-top: 10px;
+        }
+
+        .details li + li {
+            margin-top: 6px;
+        }
+
+        .details a {
+            color: var(--primary);
+            text-decoration: none;
+            cursor: pointer;
+        }
+
+        .details a:hover {
+            text-decoration: underline;
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <div>
+            <h1>Code Co-occurrence</h1>
+            <p id="summary">Loading…</p>
+        </div>
+        <div class="controls">
+            <div class="segmented" id="metricToggle">
+                <button data-value="count" class="active">Count</button>
+                <button data-value="jaccard">Jaccard</button>
+            </div>
+            <div class="segmented" id="orderToggle">
+                <button data-value="frequency" class="active">Frequency</button>
+                <button data-value="alphabetical">A–Z</button>
+                <button data-value="cluster">Cluster</button>
+            </div>
+            <select id="limitSelect">${limitOptions}</select>
+        </div>
+    </div>
+
+    <div class="content">
+        <div class="matrix-wrapper" id="matrix"></div>
+        <div class="details" id="details">
+            <p class="muted">Click a cell to list the ITEM blocks where both codes occur.</p>
+        </div>
+    </div>
+
+    <script nonce="${nonce}">
+        const vscodeApi = acquireVsCodeApi();
+        let data = null;
+        let metric = 'count';
+        let order = 'frequency';
+        let selectedCell = null;
+
+        function escapeText(value) {
+            const div = document.createElement('div');
+            div.textContent = value;
+            return div.innerHTML;
+        }
+
+        function cellValue(i, j) {
+            return metric === 'count' ? data.counts[i][j] : data.jaccard[i][j];
+        }
+
+        function heatColor(ratio) {
+            const light = Math.round(97 - ratio * 52);
+            return 'hsl(217, 91%, ' + light + '%)';
+        }
+
+        function formatValue(value) {
+            if (metric === 'count') {
+                return value > 0 ? String(value) : '';
+            }
+            return value > 0 ? value.toFixed(2).replace(/^0/, '') : '';
+        }
+
+        function render() {
+            if (!data) {
+                return;
+            }
+
+            const indexes = data.orders[order];
+            let max = 0;
+            for (const i of indexes) {
+                for (const j of indexes) {
+                    if (i !== j) {
+                        max = Math.max(max, cellValue(i, j));
+                    }
+                }
+            }
+
+            let html = '<table><thead><tr><th></th>';
+            for (const j of indexes) {
+                html += '<th title="' + escapeText(data.codes[j]) + '"><span>' + escapeText(data.codes[j]) + '</span></th>';
+            }
+            html += '</tr></thead><tbody>';
+
+            for (const i of indexes) {
+                html += '<tr><th title="' + escapeText(data.codes[i]) + ' (' + data.frequency[i] + ' items)">' +
+                    escapeText(data.codes[i]) + '</th>';
+                for (const j of indexes) {
+                    if (i === j) {
+                        html += '<td class="diagonal" title="' + escapeText(data.codes[i]) + ': ' +
+                            data.frequency[i] + ' items">' + data.frequency[i] + '</td>';
+                        continue;
+                    }
+                    const value = cellValue(i, j);
+                    const ratio = max > 0 ? value / max : 0;
+                    const color = ratio > 0.55 ? '#ffffff' : 'var(--text)';
+                    const selected = selectedCell && selectedCell[0] === i && selectedCell[1] === j ? ' selected' : '';
+                    html += '<td class="cell' + selected + '" data-i="' + i + '" data-j="' + j + '"' +
+                        ' style="background:' + (value > 0 ? heatColor(ratio) : 'transparent') + ';color:' + color + '"' +
+                        ' title="' + escapeText(data.codes[i] + ' × ' + data.codes[j]) + ': ' +
+                        data.counts[i][j] + ' items, Jaccard ' + data.jaccard[i][j].toFixed(3) + '">' +
+                        formatValue(value) + '</td>';
+                }
+                html += '</tr>';
+            }
+
+            html += '</tbody></table>';
+            document.getElementById('matrix').innerHTML = html;
+        }
+
+        function showItems(i, j) {
+            selectedCell = [i, j];
+            const other = new Set(data.itemIndexes[j]);
+            const shared = data.itemIndexes[i].filter(index => other.has(index)).map(index => data.items[index]);
+
+            let html = '<h2>' + escapeText(data.codes[i]) + ' × ' + escapeText(data.codes[j]) + '</h2>' +
+                '<p class="muted">' + shared.length + ' shared items · Jaccard ' + data.jaccard[i][j].toFixed(3) + '</p>';
+            if (shared.length > 0) {
+                html += '<ul>';
+                shared.forEach((item, index) => {
+                    html += '<li><a data-index="' + index + '">' + escapeText(item.bibref) + '</a><br>' +
+                        '<span class="muted">' + escapeText(item.label) + ':' + (item.line + 1) + '</span></li>';
+                });
+                html += '</ul>';
+            }
+
+            const details = document.getElementById('details');
+            details.innerHTML = html;
+            details.querySelectorAll('a[data-index]').forEach(link => {
+                link.addEventListener('click', () => {
+                    const item = shared[Number(link.dataset.index)];
+                    vscodeApi.postMessage({ type: 'openLocation', file: item.file, line: item.line });
+                });
+            });
+            render();
+        }
+
+        function bindToggle(id, onChange) {
+            const group = document.getElementById(id);
+            group.querySelectorAll('button').forEach(button => {
+                button.addEventListener('click', () => {
+                    group.querySelectorAll('button').forEach(other => other.classList.remove('active'));
+                    button.classList.add('active');
+                    onChange(button.dataset.value);
+                    render();
+                });
+            });
+        }
+
+        bindToggle('metricToggle', value => { metric = value; });
+        bindToggle('orderToggle', value => { order = value; });
+
+        document.getElementById('limitSelect').addEventListener('change', event => {
+            document.getElementById('summary').textContent = 'Loading…';
+            vscodeApi.postMessage({ type: 'setLimit', limit: Number(event.target.value) });
+        });
+
+        document.getElementById('matrix').addEventListener('click', event => {
+            const cell = event.target.closest('td.cell');
+            if (cell) {
+                showItems(Number(cell.dataset.i), Number(cell.dataset.j));
+            }
+        });
+
+        window.addEventListener('message', event => {
+            const message = event.data;
+            if (!message || message.type !== 'matrix') {
+                return;
+            }
+            data = message;
+            selectedCell = null;
+            document.getElementById('summary').textContent =
+                data.codes.length + ' most frequent codes across ' + data.itemCount + ' ITEM blocks';
+            document.getElementById('limitSelect').value = String(data.limit);
+            render();
+        });
+
+        vscodeApi.postMessage({ type: 'ready' });
+    </script>
+</body>
+</html>`;
+    }
+}
+
+module.exports = CooccurrenceViewer;
@@ -7,58 +7,188 @@
  *
  * Componentes principais:
  *     - showGraph: Fluxo principal de exibicao
+ *     - showProjectGraph: Grafo agregado de todas as referencias
  *     - showGraphPanel: Renderiza webview com Mermaid.js
+ *     - refresh: Recalcula o grafo exibido (template ou corpus alterado)
+ *     - _handleMessage: Canal webview -> extensao (click em no/aresta, hover, export)
+ *     - _exportGraph: Salva SVG, PNG, Mermaid, GraphML ou GEXF via showSaveDialog
+ *       (GraphML/GEXF a partir dos triplets e do projeto do grafo exibido)
  *
  * Dependencias criticas:
- *     - DataService: LSP-only access for mermaidCode
+ *     - DataService: mermaidCode via LSP ou provider local
+ *     - ontologyIndex: descricao dos conceitos (.syno) exibida no hover
  *     - SynesisParser: Fallback local para extracao de bibref
+ *     - webviewUtils: Mermaid e fontes empacotados (sem CDN), CSP com nonce
  */
 
+const path = require('path');
 const vscode = require('vscode');
 const SynesisParser = require('../parsers/synesisParser');
+const { generateProjectGraph, parseMermaidEdges } = require('../utils/mermaidUtils');
+const { loadConcepts, getFieldText } = require('../core/ontologyIndex');
+const { buildGraphModel, toGraphML, toGexf } = require('../utils/graphExport');
+const {
+    getNonce,
+    getMediaRoot,
+    getMediaUri,
+    buildContentSecurityPolicy,
+    buildFontFaceCss,
+    serializeForScript
+} = require('../utils/webviewUtils');
+
+const EXPORT_FORMATS = {
+    svg: { label: 'SVG', extension: 'svg' },
+    png: { label: 'PNG', extension: 'png' },
+    mermaid: { label: 'Mermaid', extension: 'mmd' },
+    graphml: { label: 'GraphML', extension: 'graphml' },
+    gexf: { label: 'GEXF', extension: 'gexf' }
+};
 
 class GraphViewer {
-    constructor(dataService) {
+    constructor(dataService, extensionUri, workspaceScanner) {
         this.dataService = dataService;
+        this.extensionUri = extensionUri;
+        this.workspaceScanner = workspaceScanner;
         this.panel = null;
         this.parser = new SynesisParser();
+        this.conceptsPromise = null;
+        this.currentGraph = null;
     }
 
-    async showGraph() {
-        const editor = vscode.window.activeTextEditor;
-        if (!editor) {
-            vscode.window.showWarningMessage('No active editor');
-            return;
-        }
+    /**
+     * @param {string} [bibref] - Referencia explicita (hover); sem ela, usa o bloco sob o cursor
+     * @param {string} [filePath] - Arquivo de origem, para resolver o projeto
+     */
+    async showGraph(bibref, filePath) {
+        if (!bibref) {
+            const editor = vscode.window.activeTextEditor;
+            if (!editor) {
+                vscode.window.showWarningMessage('No active editor');
+                return;
+            }
 
-        console.log('GraphViewer.showGraph: Starting graph generation');
-        console.log('GraphViewer.showGraph: Document URI:', editor.document.uri.toString());
+            console.log('GraphViewer.showGraph: Starting graph generation');
+            console.log('GraphViewer.showGraph: Document URI:', editor.document.uri.toString());
 
-        const bibref = await this._findBibref(editor.document, editor.selection.active);
-        if (!bibref) {
-            console.warn('GraphViewer.showGraph: No bibref found at cursor position');
-            vscode.window.showWarningMessage(
-                'No reference found. Place the cursor inside a SOURCE or ITEM block.'
-            );
-            return;
+            bibref = await this._findBibref(editor.document, editor.selection.active);
+            if (!bibref) {
+                console.warn('GraphViewer.showGraph: No bibref found at cursor position');
+                vscode.window.showWarningMessage(
+                    'No reference found. Place the cursor inside a SOURCE or ITEM block.'
+                );
+                return;
+            }
+            filePath = editor.document.uri.fsPath;
         }
 
         console.log('GraphViewer.showGraph: Found bibref:', bibref);
 
-        const result = await this.dataService.getRelationGraph(bibref);
-        console.log('GraphViewer.showGraph: getRelationGraph result:', result);
+        const project = filePath ? this.dataService.getProjectForFile(filePath) : this.dataService.getActiveProject();
+        const graph = await this._buildReferenceGraph(bibref, project);
 
-        if (!result || !result.mermaidCode) {
+        if (!graph) {
             console.warn('GraphViewer.showGraph: No mermaid code generated for bibref:', bibref);
             vscode.window.showWarningMessage(`No chain relations found for ${bibref}.`);
             return;
         }
 
-        console.log('GraphViewer.showGraph: Opening graph panel with mermaid code length:', result.mermaidCode.length);
-        this.showGraphPanel(bibref, result.mermaidCode);
+        console.log('GraphViewer.showGraph: Opening graph panel with mermaid code length:', graph.mermaidCode.length);
+        this.showGraphPanel(bibref, graph.mermaidCode, graph.options);
+    }
+
+    async showProjectGraph() {
+        const graph = await this._buildProjectGraph(this.dataService.getActiveProject());
+        if (!graph) {
+            vscode.window.showWarningMessage('No chain relations found in the project.');
+            return;
+        }
+
+        this.showGraphPanel('Project', graph.mermaidCode, graph.options);
     }
 
-    showGraphPanel(reference, mermaidCode) {
+    /**
+     * Recalcula o grafo aberto com os dados atuais, sem trazer o painel para frente
+     */
+    async refresh() {
+        if (!this.panel || !this.currentGraph) {
+            return;
+        }
+
+        const { reference, options } = this.currentGraph;
+        try {
+            const graph = options.bibref
+                ? await this._buildReferenceGraph(options.bibref, options.project)
+                : await this._buildProjectGraph(options.project);
+            if (!graph) {
+                console.warn(`GraphViewer: No chain relations left for ${reference}; keeping the current graph`);
+                return;
+            }
+            if (this.panel && this.currentGraph && this.currentGraph.reference === reference) {
+                this._render(reference, graph.mermaidCode, graph.options);
+            }
+        } catch (error) {
+            console.warn('GraphViewer: Failed to refresh graph:', error.message);
+        }
+    }
+
+    /**
+     * @returns {Promise<{mermaidCode: string, options: Object}|null>}
+     */
+    async _buildReferenceGraph(bibref, project) {
+        const result = await this.dataService.getRelationGraph(bibref, project);
+        if (!result || !result.mermaidCode) {
+            return null;
+        }
+
+        return {
+            mermaidCode: result.mermaidCode,
+            options: {
+                bibref,
+                project,
+                triplets: parseMermaidEdges(result.mermaidCode)
+            }
+        };
+    }
+
+    /**
+     * @returns {Promise<{mermaidCode: string, options: Object}|null>}
+     */
+    async _buildProjectGraph(project) {
+        const [relations, codes] = await Promise.all([
+            this.dataService.getRelations(project),
+            this.dataService.getCodes(project)
+        ]);
+
+        const graph = generateProjectGraph(relations, codes);
+        if (!graph) {
+            return null;
+        }
+
+        return {
+            mermaidCode: graph.mermaidCode,
+            options: {
+                nodes: graph.nodes,
+                edges: graph.edges,
+                legend: graph.legend,
+                project,
+                triplets: flattenTriplets(relations)
+            }
+        };
+    }
+
+    /**
+     * Renderiza grafo no painel (reutilizado entre referencia e projeto)
+     * @param {string} reference
+     * @param {string} mermaidCode
+     * @param {Object} [options]
+     * @param {string} [options.bibref] - Referencia do grafo (ausente no grafo do projeto)
+     * @param {Object} [options.nodes] - nodeId -> code (sem ele, o label do no e usado)
+     * @param {Array} [options.edges] - Array<{from, relation, to}> na ordem dos links
+     * @param {Array} [options.legend] - Array<{relation, color, count}>
+     * @param {Object} [options.project] - Projeto do grafo (DataService); sem ele, o projeto ativo
+     * @param {Array} [options.triplets] - Array<{from, relation, to}>, um por triplet do grafo (exportacao)
+     */
+    showGraphPanel(reference, mermaidCode, options = {}) {
         if (this.panel) {
             this.panel.reveal(vscode.ViewColumn.Beside);
         } else {
@@ -68,29 +198,219 @@ class GraphViewer {
                 vscode.ViewColumn.Beside,
                 {
                     enableScripts: true,
-                    retainContextWhenHidden: true
+                    retainContextWhenHidden: true,
+                    localResourceRoots: [getMediaRoot(this.extensionUri)]
                 }
             );
 
+            this.panel.webview.onDidReceiveMessage(message => this._handleMessage(message));
             this.panel.onDidDispose(() => {
                 this.panel = null;
             });
         }
 
+        this._render(reference, mermaidCode, options);
+    }
+
+    _render(reference, mermaidCode, options) {
+        this.conceptsPromise = null;
+        this.currentGraph = { reference, mermaidCode, options };
         this.panel.title = `Graph: ${reference}`;
-        this.panel.webview.html = this.getWebviewContent(reference, mermaidCode);
+        this.panel.webview.html = this.getWebviewContent(this.panel.webview, reference, mermaidCode, options);
+    }
+
+    async _handleMessage(message) {
+        if (!message || typeof message !== 'object') {
+            return;
+        }
+
+        try {
+            if (message.type === 'openCode' && message.code) {
+                await this._openCodeOccurrence(message.code);
+            } else if (message.type === 'revealCode' && message.code) {
+                await vscode.commands.executeCommand('synesis.code.reveal', message.code);
+            } else if (message.type === 'showRelation' && message.relation) {
+                await this._showRelationLocations(message.from, message.relation, message.to);
+            } else if (message.type === 'describeCode' && message.code) {
+                await this._postCodeDescription(message.code);
+            } else if (message.type === 'export' && EXPORT_FORMATS[message.format]) {
+                await this._exportGraph(message);
+            } else if (message.type === 'exportError') {
+                vscode.window.showErrorMessage(`Graph export failed: ${message.message}`);
+            }
+        } catch (error) {
+            console.error('GraphViewer._handleMessage: Failed to handle message:', message.type, error);
+            vscode.window.showErrorMessage(`Graph action failed: ${error.message}`);
+        }
+    }
+
+    async _openCodeOccurrence(code) {
+        const codes = await this.dataService.getCodes(this._getProject());
+        const entry = (codes || []).find(item => sameName(item.code, code));
+        const occurrences = entry ? sortLocations(entry.occurrences) : [];
+
+        if (occurrences.length === 0) {
+            vscode.window.showWarningMessage(`No occurrences found for code "${code}".`);
+            return;
+        }
+
+        const first = occurrences[0];
+        await vscode.commands.executeCommand('synesis.openLocation', first.file, first.line || 0, first.column || 0);
+    }
+
+    async _showRelationLocations(from, relation, to) {
+        const relations = await this.dataService.getRelations(this._getProject());
+        const entry = (relations || []).find(item => sameName(item.relation, relation));
+        const triplets = sortLocations(
+            (entry ? entry.triplets : []).filter(triplet =>
+                (!from || sameName(triplet.from, from)) && (!to || sameName(triplet.to, to))
+            )
+        );
+
+        if (triplets.length === 0) {
+            vscode.window.showWarningMessage(`No locations found for ${from} -> ${relation} -> ${to}.`);
+            return;
+        }
+
+        const picks = triplets.map(triplet => ({
+            label: `${triplet.from} → ${triplet.to}`,
+            description: relation,
+            detail: `${vscode.workspace.asRelativePath(triplet.file)}:${(triplet.line || 0) + 1}:${(triplet.column || 0) + 1}`,
+            triplet
+        }));
+
+        const selected = triplets.length === 1
+            ? picks[0]
+            : await vscode.window.showQuickPick(picks, {
+                placeHolder: `${triplets.length} locations assert ${from} -> ${relation} -> ${to}`,
+                matchOnDetail: true
+            });
+        if (!selected) {
+            return;
+        }
+
+        const { file, line, column } = selected.triplet;
+        await vscode.commands.executeCommand('synesis.openLocation', file, line || 0, column || 0);
     }
 
-    getWebviewContent(reference, mermaidCode) {
+    /**
+     * @param {Object} message
+     * @param {string} message.format - Chave de EXPORT_FORMATS
+     * @param {string} [message.data] - SVG serializado ou PNG em base64 (gerados no webview)
+     * @param {Array} [message.edges] - Arestas renderizadas ({from, relation, to}); usadas so se o
+     *     Mermaid do grafo nao tiver arestas reconheciveis
+     */
+    async _exportGraph(message) {
+        if (!this.currentGraph) {
+            return;
+        }
+
+        const format = EXPORT_FORMATS[message.format];
+        const { reference, mermaidCode, options } = this.currentGraph;
+        const fileName = `${String(reference).replace(/^@/, '').replace(/[^\w.-]+/g, '_')}-graph.${format.extension}`;
+        // Pasta do projeto do grafo (multi-root), nao a primeira pasta do workspace
+        const project = this._getProject();
+        const folder = project && project.uri
+            ? vscode.Uri.file(path.dirname(project.uri.fsPath))
+            : (vscode.workspace.workspaceFolders ? vscode.workspace.workspaceFolders[0].uri : null);
+
+        const target = await vscode.window.showSaveDialog({
+            defaultUri: folder ? vscode.Uri.joinPath(folder, fileName) : undefined,
+            filters: { [format.label]: [format.extension] },
+            saveLabel: `Export ${format.label}`
+        });
+        if (!target) {
+            return;
+        }
+
+        let content;
+        if (message.format === 'svg') {
+            content = Buffer.from(String(message.data || ''), 'utf-8');
+        } else if (message.format === 'png') {
+            content = Buffer.from(String(message.data || ''), 'base64');
+        } else if (message.format === 'mermaid') {
+            content = Buffer.from(mermaidCode, 'utf-8');
+        } else {
+            const triplets = options.triplets && options.triplets.length > 0
+                ? options.triplets
+                : (message.edges || []);
+            const codes = await this.dataService.getCodes(project);
+            // Grafo de uma referencia: uso do codigo = triplets da referencia em que aparece
+            const usage = options.edges ? null : countCodeUsage(triplets);
+            const model = buildGraphModel(
+                groupTriplets(triplets),
+                (codes || []).map(entry => usage
+                    ? { ...entry, usageCount: usage.get(entry.code.toLowerCase()) || 0 }
+                    : entry)
+            );
+            const text = message.format === 'graphml' ? toGraphML(model, reference) : toGexf(model, reference);
+            content = Buffer.from(text, 'utf-8');
+        }
+
+        if (content.length === 0) {
+            vscode.window.showWarningMessage(`Nothing to export as ${format.label}.`);
+            return;
+        }
+
+        await vscode.workspace.fs.writeFile(target, content);
+        vscode.window.showInformationMessage(`Graph exported to ${vscode.workspace.asRelativePath(target)}.`);
+    }
+
+    async _postCodeDescription(code) {
+        if (!this.panel) {
+            return;
+        }
+
+        if (!this.conceptsPromise) {
+            const project = this._getProject();
+            this.conceptsPromise = this.workspaceScanner
+                ? loadConcepts(this.workspaceScanner, project ? project.uri : null).catch(error => {
+                    console.warn('GraphViewer: Failed to load ontology concepts:', error.message);
+                    return new Map();
+                })
+                : Promise.resolve(new Map());
+        }
+
+        const concepts = await this.conceptsPromise;
+        const block = concepts.get(String(code).toLowerCase());
+
+        if (this.panel) {
+            this.panel.webview.postMessage({
+                type: 'codeDescription',
+                code,
+                description: block ? getFieldText(block, 'description') : '',
+                defined: Boolean(block)
+            });
+        }
+    }
+
+    _getProject() {
+        return (this.currentGraph && this.currentGraph.options.project) || this.dataService.getActiveProject();
+    }
+
+    getWebviewContent(webview, reference, mermaidCode, options = {}) {
+        const nonce = getNonce();
+        const mermaidUri = getMediaUri(webview, this.extensionUri, 'mermaid.min.js');
+        const nodes = options.nodes || {};
+        const edges = options.edges || null;
+        const legendHtml = buildLegendHtml(options.legend);
+        // Grafo do projeto: click revela o codigo no Codes Explorer; grafo de referencia: abre a ocorrencia
+        const revealOnClick = !options.bibref;
+        const clickHint = revealOnClick
+            ? 'Click a code to reveal it in Codes (Alt+click opens its first occurrence)'
+            : 'Click a code to open its first occurrence (Alt+click reveals it in Codes)';
+
         return `<!DOCTYPE html>
 <html lang="pt-BR">
 <head>
     <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="${buildContentSecurityPolicy(webview, nonce)}">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Graph: ${escapeHtml(reference)}</title>
-    <link href="https://rsms.me/inter/inter.css" rel="stylesheet">
-    <script src="https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.min.js"></script>
+    <script nonce="${nonce}" src="${mermaidUri}"></script>
     <style>
+        ${buildFontFaceCss(webview, this.extensionUri)}
+
         :root {
             --bg: #f8fafc;
             --surface: #ffffff;
@@ -178,6 +498,13 @@ class GraphViewer {
             transform: scale(0.95);
         }
 
+        .toolbar-separator {
+            width: 1px;
+            height: 20px;
+            background: var(--border);
+            margin: 0 4px;
+        }
+
         .zoom-level {
             font-size: 12px;
             color: var(--text-muted);
@@ -247,6 +574,85 @@ class GraphViewer {
             color: #1e40af;
         }
 
+        .legend {
+            position: absolute;
+            top: 28px;
+            right: 28px;
+            background: var(--surface);
+            border: 1px solid var(--border);
+            border-radius: 8px;
+            box-shadow: var(--shadow);
+            padding: 10px 14px;
+            font-size: 12px;
+            z-index: 1;
+        }
+
+        .legend h2 {
+            font-size: 12px;
+            font-weight: 700;
+            margin-bottom: 6px;
+        }
+
+        .legend-row {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-top: 4px;
+        }
+
+        .legend-swatch {
+            width: 18px;
+            height: 4px;
+            border-radius: 2px;
+        }
+
+        .legend-count {
+            color: var(--text-muted);
+            margin-left: auto;
+            padding-left: 12px;
+        }
+
+        .mermaid svg .node.clickable,
+        .mermaid svg .edgeLabel.clickable,
+        .mermaid svg path.clickable {
+            cursor: pointer;
+        }
+
+        .mermaid svg .node.clickable:hover rect,
+        .mermaid svg .node.clickable:hover polygon,
+        .mermaid svg .node.clickable:hover circle {
+            stroke-width: 3px;
+        }
+
+        .mermaid svg path.clickable {
+            pointer-events: visibleStroke;
+        }
+
+        .tooltip {
+            position: fixed;
+            max-width: 360px;
+            background: var(--text);
+            color: #f8fafc;
+            border-radius: 8px;
+            box-shadow: var(--shadow);
+            padding: 8px 12px;
+            font-size: 12px;
+            line-height: 1.5;
+            pointer-events: none;
+            z-index: 2;
+            display: none;
+        }
+
+        .tooltip strong {
+            display: block;
+            margin-bottom: 2px;
+        }
+
+        .tooltip .muted {
+            color: #cbd5e1;
+            font-style: italic;
+        }
+
         .error {
             color: var(--danger);
             padding: 20px;
@@ -259,31 +665,46 @@ class GraphViewer {
     <div class="header">
         <div class="header-left">
             <h1>Graph Viewer</h1>
-            <p>Reference: <strong>${escapeHtml(reference)}</strong></p>
+            <p>Reference: <strong>${escapeHtml(reference)}</strong> · ${clickHint}, click a relation to list its locations</p>
         </div>
         <div class="zoom-controls">
-            <button class="zoom-btn" onclick="zoomOut()" title="Zoom out">
+            <button class="zoom-btn" id="zoomOutBtn" title="Zoom out">
                 <span>-</span>
             </button>
             <span class="zoom-level" id="zoomLevel">100%</span>
-            <button class="zoom-btn" onclick="zoomIn()" title="Zoom in">
+            <button class="zoom-btn" id="zoomInBtn" title="Zoom in">
                 <span>+</span>
             </button>
-            <button class="zoom-btn" onclick="resetZoom()" title="Reset zoom">
+            <button class="zoom-btn" id="resetZoomBtn" title="Reset zoom">
                 <span>Reset</span>
             </button>
+            <span class="toolbar-separator"></span>
+            <span class="zoom-level">Export</span>
+            <button class="zoom-btn export-btn" data-format="svg" title="Save the rendered graph as SVG">SVG</button>
+            <button class="zoom-btn export-btn" data-format="png" title="Save the rendered graph as PNG">PNG</button>
+            <button class="zoom-btn export-btn" data-format="mermaid" title="Save the Mermaid source">Mermaid</button>
+            <button class="zoom-btn export-btn" data-format="graphml" title="Save relation triplets as GraphML (Cytoscape, yEd)">GraphML</button>
+            <button class="zoom-btn export-btn" data-format="gexf" title="Save relation triplets as GEXF (Gephi)">GEXF</button>
         </div>
     </div>
 
     <div class="graph-container">
+        ${legendHtml}
         <div class="mermaid-wrapper" id="mermaidWrapper">
             <div class="mermaid" id="mermaidContent">
 ${mermaidCode}
             </div>
         </div>
+        <div class="tooltip" id="tooltip"></div>
     </div>
 
-    <script>
+    <script nonce="${nonce}">
+        const vscodeApi = acquireVsCodeApi();
+        const graphNodes = ${serializeForScript(nodes)};
+        const graphEdges = ${serializeForScript(edges)};
+        const revealOnClick = ${serializeForScript(revealOnClick)};
+        const descriptions = new Map();
+        const renderedEdges = [];
         let currentZoom = 1.0;
         const zoomStep = 0.15;
         const minZoom = 0.25;
@@ -308,6 +729,10 @@ ${mermaidCode}
             updateZoom(1.0);
         }
 
+        document.getElementById('zoomOutBtn').addEventListener('click', zoomOut);
+        document.getElementById('zoomInBtn').addEventListener('click', zoomIn);
+        document.getElementById('resetZoomBtn').addEventListener('click', resetZoom);
+
         document.addEventListener('keydown', (e) => {
             if (e.ctrlKey || e.metaKey) {
                 if (e.key === '+' || e.key === '=') {
@@ -331,9 +756,186 @@ ${mermaidCode}
             }
         }, { passive: false });
 
+        const tooltip = document.getElementById('tooltip');
+        let hoveredCode = null;
+
+        function labelText(element) {
+            const label = element ? element.querySelector('.nodeLabel, text, .label') : null;
+            return (label ? label.textContent : (element ? element.textContent : '')).trim();
+        }
+
+        function stripWeight(label) {
+            return label.replace(/\\s+×\\d+$/, '').trim();
+        }
+
+        function escapeText(value) {
+            const div = document.createElement('div');
+            div.textContent = value;
+            return div.innerHTML;
+        }
+
+        function renderTooltip(code) {
+            const info = descriptions.get(code);
+            let body;
+            if (!info) {
+                body = '<span class="muted">Loading…</span>';
+            } else if (!info.defined) {
+                body = '<span class="muted">Not defined in the ontology.</span>';
+            } else {
+                body = info.description ? escapeText(info.description) : '<span class="muted">No description.</span>';
+            }
+            tooltip.innerHTML = '<strong>' + escapeText(code) + '</strong>' + body;
+        }
+
+        function moveTooltip(event) {
+            const offset = 14;
+            const maxLeft = window.innerWidth - tooltip.offsetWidth - offset;
+            const maxTop = window.innerHeight - tooltip.offsetHeight - offset;
+            tooltip.style.left = Math.max(offset, Math.min(event.clientX + offset, maxLeft)) + 'px';
+            tooltip.style.top = Math.max(offset, Math.min(event.clientY + offset, maxTop)) + 'px';
+        }
+
+        function showTooltip(code, event) {
+            hoveredCode = code;
+            if (!descriptions.has(code)) {
+                vscodeApi.postMessage({ type: 'describeCode', code });
+            }
+            renderTooltip(code);
+            tooltip.style.display = 'block';
+            moveTooltip(event);
+        }
+
+        function hideTooltip() {
+            hoveredCode = null;
+            tooltip.style.display = 'none';
+        }
+
+        window.addEventListener('message', event => {
+            const message = event.data;
+            if (message && message.type === 'codeDescription') {
+                descriptions.set(message.code, message);
+                if (hoveredCode === message.code) {
+                    renderTooltip(message.code);
+                }
+            }
+        });
+
+        function bindGraphInteractions(content) {
+            const codeByNodeId = {};
+
+            content.querySelectorAll('g.node').forEach(element => {
+                const match = /^flowchart-(.+)-\\d+$/.exec(element.id || '');
+                const nodeId = match ? match[1] : null;
+                const code = (nodeId && graphNodes[nodeId]) || labelText(element);
+                if (!code) {
+                    return;
+                }
+                if (nodeId) {
+                    codeByNodeId[nodeId] = code;
+                }
+
+                element.classList.add('clickable');
+                element.addEventListener('click', event => {
+                    hideTooltip();
+                    const reveal = event.altKey ? !revealOnClick : revealOnClick;
+                    vscodeApi.postMessage({ type: reveal ? 'revealCode' : 'openCode', code });
+                });
+                element.addEventListener('mouseenter', event => showTooltip(code, event));
+                element.addEventListener('mousemove', moveTooltip);
+                element.addEventListener('mouseleave', hideTooltip);
+            });
+
+            const paths = content.querySelectorAll('.edgePaths path');
+            const labels = content.querySelectorAll('.edgeLabels .edgeLabel');
+
+            paths.forEach((path, index) => {
+                let edge = graphEdges ? graphEdges[index] : null;
+                if (!edge) {
+                    const classes = Array.from(path.classList);
+                    const start = classes.find(name => name.startsWith('LS-'));
+                    const end = classes.find(name => name.startsWith('LE-'));
+                    const relation = stripWeight(labelText(labels[index]));
+                    if (!start || !end || !relation) {
+                        return;
+                    }
+                    edge = {
+                        from: codeByNodeId[start.slice(3)] || start.slice(3),
+                        relation,
+                        to: codeByNodeId[end.slice(3)] || end.slice(3)
+                    };
+                }
+
+                renderedEdges.push(edge);
+                const select = () => vscodeApi.postMessage({ type: 'showRelation', ...edge });
+                path.classList.add('clickable');
+                path.addEventListener('click', select);
+                if (labels[index]) {
+                    labels[index].classList.add('clickable');
+                    labels[index].addEventListener('click', select);
+                }
+            });
+        }
+
+        function serializeSvg() {
+            const svg = document.querySelector('#mermaidContent svg');
+            if (!svg) {
+                return null;
+            }
+            const clone = svg.cloneNode(true);
+            clone.querySelectorAll('.clickable').forEach(element => element.classList.remove('clickable'));
+            clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+            const box = svg.getBBox();
+            if (!clone.getAttribute('viewBox')) {
+                clone.setAttribute('viewBox', [box.x, box.y, box.width, box.height].join(' '));
+            }
+            return {
+                text: '<?xml version="1.0" encoding="UTF-8"?>\\n' + new XMLSerializer().serializeToString(clone),
+                width: Math.ceil(svg.viewBox.baseVal && svg.viewBox.baseVal.width ? svg.viewBox.baseVal.width : box.width),
+                height: Math.ceil(svg.viewBox.baseVal && svg.viewBox.baseVal.height ? svg.viewBox.baseVal.height : box.height)
+            };
+        }
+
+        function rasterize(serialized, scale) {
+            return new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = serialized.width * scale;
+                    canvas.height = serialized.height * scale;
+                    const context = canvas.getContext('2d');
+                    context.fillStyle = '#ffffff';
+                    context.fillRect(0, 0, canvas.width, canvas.height);
+                    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+                    resolve(canvas.toDataURL('image/png').split(',')[1]);
+                };
+                image.onerror = () => reject(new Error('Could not rasterize the SVG.'));
+                image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(serialized.text);
+            });
+        }
+
+        async function exportGraph(format) {
+            const message = { type: 'export', format, edges: renderedEdges };
+            if (format === 'svg' || format === 'png') {
+                const serialized = serializeSvg();
+                if (!serialized) {
+                    return;
+                }
+                message.data = format === 'svg' ? serialized.text : await rasterize(serialized, 2);
+            }
+            vscodeApi.postMessage(message);
+        }
+
+        document.querySelectorAll('.export-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                exportGraph(button.dataset.format).catch(err => {
+                    vscodeApi.postMessage({ type: 'exportError', message: err.message });
+                });
+            });
+        });
+
         if (typeof mermaid === 'undefined') {
             document.getElementById('mermaidContent').innerHTML =
-                '<div class="error">Failed to load Mermaid library. Check your network connection.</div>';
+                '<div class="error">Failed to load the bundled Mermaid library. Rebuild the extension (npm run build).</div>';
         } else {
             mermaid.initialize({
                 startOnLoad: false,
@@ -346,6 +948,8 @@ ${mermaidCode}
                     primaryTextColor: '#1e40af',
                     lineColor: '#94a3b8'
                 },
+                maxTextSize: 5000000,
+                maxEdges: 100000,
                 flowchart: {
                     useMaxWidth: false,
                     htmlLabels: false,
@@ -359,6 +963,8 @@ ${mermaidCode}
                     const content = document.getElementById('mermaidContent');
                     const svg = content.querySelector('svg');
 
+                    bindGraphInteractions(content);
+
                     if (svg && wrapper) {
                         const wrapperWidth = wrapper.clientWidth - 40;
                         const wrapperHeight = wrapper.clientHeight - 40;
@@ -385,7 +991,7 @@ ${mermaidCode}
     }
 
     async _findBibref(document, position) {
-        const lspReady = Boolean(this.dataService && this.dataService.lspClient && this.dataService.lspClient.isReady());
+        const lspReady = Boolean(this.dataService && this.dataService.getLspStatus(document.uri) === 'ready');
         console.log('GraphViewer._findBibref: LSP ready?', lspReady);
 
         let bibref = null;
@@ -462,6 +1068,73 @@ ${mermaidCode}
     }
 }
 
+function buildLegendHtml(legend) {
+    if (!Array.isArray(legend) || legend.length === 0) {
+        return '';
+    }
+
+    const rows = legend.map(item => `
+            <div class="legend-row">
+                <span class="legend-swatch" style="background: ${escapeHtml(item.color)};"></span>
+                <span>${escapeHtml(item.relation)}</span>
+                <span class="legend-count">${item.count}</span>
+            </div>`).join('');
+
+    return `<div class="legend">
+            <h2>Relations</h2>${rows}
+        </div>`;
+}
+
+function flattenTriplets(relations) {
+    const triplets = [];
+    for (const entry of relations || []) {
+        for (const triplet of entry.triplets || []) {
+            triplets.push({ from: triplet.from, relation: entry.relation, to: triplet.to });
+        }
+    }
+    return triplets;
+}
+
+/**
+ * Agrupa triplets no shape de DataService.getRelations()
+ */
+function groupTriplets(triplets) {
+    const grouped = new Map();
+    for (const triplet of triplets) {
+        if (!grouped.has(triplet.relation)) {
+            grouped.set(triplet.relation, { relation: triplet.relation, triplets: [] });
+        }
+        grouped.get(triplet.relation).triplets.push({ from: triplet.from, to: triplet.to });
+    }
+    return Array.from(grouped.values());
+}
+
+function countCodeUsage(triplets) {
+    const usage = new Map();
+    for (const triplet of triplets) {
+        for (const code of [triplet.from, triplet.to]) {
+            const key = String(code || '').toLowerCase();
+            usage.set(key, (usage.get(key) || 0) + 1);
+        }
+    }
+    return usage;
+}
+
+function sameName(a, b) {
+    return String(a || '').toLowerCase() === String(b || '').toLowerCase();
+}
+
+function sortLocations(locations) {
+    return (locations || [])
+        .filter(location => location && location.file)
+        .slice()
+        .sort((a, b) =>
+            a.file.localeCompare(b.file) ||
+            (a.line || 0) - (b.line || 0) ||
+            (a.column || 0) - (b.column || 0)
+        );
+}
+
 function escapeHtml(value) {
     if (!value) {
         return '';
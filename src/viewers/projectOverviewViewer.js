@@ -0,0 +1,657 @@
+/**
+ * projectOverviewViewer.js - Dashboard do projeto Synesis
+ *
+ * Proposito:
+ *     Exibe nome, METADATA e DESCRIPTION do .synp, os INCLUDEs resolvidos
+ *     (presentes ou ausentes), contagens do corpus, os codigos mais usados
+ *     e a distribuicao de items por source, com atalhos para cada explorer.
+ *
+ * Componentes principais:
+ *     - show: Resolve o projeto (ativo ou do no clicado) e abre o painel
+ *     - refresh: Reconstroi o dashboard aberto (template ou corpus alterado)
+ *     - _handleMessage: focusView, revealCode, openLocation, refresh
+ *
+ * Dependencias criticas:
+ *     - projectOverview: monta os dados do dashboard
+ *     - webviewUtils: CSP com nonce e fontes empacotadas
+ *
+ * Notas de implementacao:
+ *     - Graficos em barras CSS (sem bibliotecas no webview)
+ *     - Views ocultas por clausula "when" podem nao aceitar foco; o erro e avisado
+ */
+
+const vscode = require('vscode');
+const { buildOverview } = require('../core/projectOverview');
+const {
+    getNonce,
+    getMediaRoot,
+    buildContentSecurityPolicy,
+    buildFontFaceCss
+} = require('../utils/webviewUtils');
+
+const EXPLORER_VIEWS = {
+    references: 'synesisReferenceExplorer',
+    codes: 'synesisCodeExplorer',
+    relations: 'synesisRelationExplorer',
+    ontology: 'synesisOntologyTopicsExplorer',
+    annotations: 'synesisOntologyAnnotationExplorer'
+};
+
+class ProjectOverviewViewer {
+    constructor(dataService, workspaceScanner, extensionUri) {
+        this.dataService = dataService;
+        this.scanner = workspaceScanner;
+        this.extensionUri = extensionUri;
+        this.panel = null;
+        this.project = null;
+        this.overview = null;
+    }
+
+    /**
+     * @param {Object} [projectItem] - ProjectTreeItem (menu inline dos explorers)
+     */
+    async show(projectItem) {
+        const project = projectItem && projectItem.project && projectItem.project.uri
+            ? projectItem.project
+            : await this._resolveProject();
+        if (!project) {
+            vscode.window.showWarningMessage('No project file found. Create a .synp to see the project overview.');
+            return;
+        }
+
+        let overview;
+        try {
+            overview = await vscode.window.withProgress(
+                {
+                    location: vscode.ProgressLocation.Window,
+                    title: 'Synesis: Building project overview'
+                },
+                () => buildOverview(this.dataService, this.scanner, project)
+            );
+        } catch (error) {
+            console.error('ProjectOverviewViewer: Failed to build overview:', error);
+            vscode.window.showErrorMessage(`Failed to build project overview: ${error.message}`);
+            return;
+        }
+
+        this.project = project;
+        this.overview = overview;
+
+        if (this.panel) {
+            this.panel.title = `Overview: ${overview.project.name}`;
+            this.panel.reveal(vscode.ViewColumn.Beside);
+            this._postOverview();
+            return;
+        }
+
+        this.panel = vscode.window.createWebviewPanel(
+            'synesisProjectOverview',
+            `Overview: ${overview.project.name}`,
+            vscode.ViewColumn.Beside,
+            {
+                enableScripts: true,
+                retainContextWhenHidden: true,
+                localResourceRoots: [getMediaRoot(this.extensionUri)]
+            }
+        );
+
+        this.panel.webview.onDidReceiveMessage(message => this._handleMessage(message));
+        this.panel.onDidDispose(() => {
+            this.panel = null;
+        });
+
+        this.panel.webview.html = this.getWebviewContent(this.panel.webview);
+    }
+
+    /**
+     * Reconstroi o dashboard aberto com os dados atuais, sem trazer o painel para frente
+     */
+    async refresh() {
+        if (!this.panel || !this.project) {
+            return;
+        }
+
+        const project = this.project;
+        try {
+            const overview = await buildOverview(this.dataService, this.scanner, project);
+            if (!this.panel || this.project !== project) {
+                return;
+            }
+            this.overview = overview;
+            this.panel.title = `Overview: ${overview.project.name}`;
+            this._postOverview();
+        } catch (error) {
+            console.warn('ProjectOverviewViewer: Failed to refresh overview:', error.message);
+        }
+    }
+
+    async _resolveProject() {
+        const projectUri = await this.scanner.findProjectFile();
+        if (!projectUri) {
+            return null;
+        }
+
+        const key = projectUri.toString();
+        return this.dataService.getProjects().find(project => project.key === key)
+            || this.scanner.describeProject(projectUri);
+    }
+
+    async _handleMessage(message) {
+        if (!message || typeof message !== 'object') {
+            return;
+        }
+
+        if (message.type === 'ready') {
+            this._postOverview();
+        } else if (message.type === 'refresh') {
+            this.show(this.project ? { project: this.project } : undefined);
+        } else if (message.type === 'focusView' && EXPLORER_VIEWS[message.view]) {
+            try {
+                await vscode.commands.executeCommand(`${EXPLORER_VIEWS[message.view]}.focus`);
+            } catch (error) {
+                console.warn('ProjectOverviewViewer: Failed to focus view:', error.message);
+                vscode.window.showInformationMessage('This explorer is not available for the current editor.');
+            }
+        } else if (message.type === 'revealCode' && message.code) {
+            vscode.commands.executeCommand('synesis.code.reveal', message.code);
+        } else if (message.type === 'openLocation' && message.file) {
+            vscode.commands.executeCommand('synesis.openLocation', message.file, message.line || 0, message.column || 0);
+        }
+    }
+
+    _postOverview() {
+        if (!this.panel || !this.overview) {
+            return;
+        }
+
+        this.panel.webview.postMessage({
+            type: 'overview',
+            ...this.overview,
+            includes: this.overview.includes.map(include => ({
+                ...include,
+                label: vscode.workspace.asRelativePath(include.absolutePath)
+            })),
+            sources: this.overview.sources.map(source => ({
+                ...source,
+                label: source.file ? vscode.workspace.asRelativePath(source.file) : ''
+            }))
+        });
+    }
+
+    dispose() {
+        if (this.panel) {
+            this.panel.dispose();
+        }
+    }
+
+    getWebviewContent(webview) {
+        const nonce = getNonce();
+
+        return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="${buildContentSecurityPolicy(webview, nonce)}">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Project Overview</title>
+    <style>
+        ${buildFontFaceCss(webview, this.extensionUri)}
+
+        :root {
+            --bg: #f8fafc;
+            --surface: #ffffff;
+            --border: #e2e8f0;
+            --primary: #3b82f6;
+            --primary-light: #dbeafe;
+            --text: #0f172a;
+            --text-muted: #64748b;
+            --present: #16a34a;
+            --missing: #dc2626;
+            --radius: 12px;
+            --shadow: 0 4px 12px rgba(0,0,0,0.08);
+        }
+
+        * {
+            box-sizing: border-box;
+            margin: 0;
+            padding: 0;
+        }
+
+        body {
+            font-family: 'Inter', system-ui, sans-serif;
+            background: var(--bg);
+            color: var(--text);
+            height: 100vh;
+            display: flex;
+            flex-direction: column;
+            overflow: hidden;
+        }
+
+        .header {
+            padding: 12px 24px;
+            background: var(--surface);
+            border-bottom: 1px solid var(--border);
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 16px;
+            flex-shrink: 0;
+        }
+
+        .header h1 {
+            font-size: 16px;
+            font-weight: 700;
+        }
+
+        .header p {
+            margin-top: 2px;
+            font-size: 12px;
+            color: var(--text-muted);
+        }
+
+        .refresh {
+            background: var(--surface);
+            border: 1px solid var(--border);
+            border-radius: 6px;
+            padding: 6px 10px;
+            font-family: inherit;
+            font-size: 12px;
+            font-weight: 500;
+            color: var(--text);
+            cursor: pointer;
+        }
+
+        .refresh:hover {
+            background: var(--primary-light);
+        }
+
+        .content {
+            flex: 1;
+            overflow: auto;
+            padding: 16px;
+            display: flex;
+            flex-direction: column;
+            gap: 16px;
+        }
+
+        .cards {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(130px, 1fr));
+            gap: 12px;
+        }
+
+        .card {
+            background: var(--surface);
+            border: 1px solid transparent;
+            border-radius: var(--radius);
+            box-shadow: var(--shadow);
+            padding: 12px 16px;
+            text-align: left;
+            font-family: inherit;
+            color: var(--text);
+            cursor: pointer;
+        }
+
+        .card:hover {
+            border-color: var(--primary);
+        }
+
+        .card .value {
+            font-size: 22px;
+            font-weight: 700;
+            font-variant-numeric: tabular-nums;
+        }
+
+        .card .label {
+            margin-top: 2px;
+            font-size: 12px;
+            color: var(--text-muted);
+        }
+
+        .grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(320px, 1fr));
+            gap: 16px;
+        }
+
+        .panel {
+            background: var(--surface);
+            border-radius: var(--radius);
+            box-shadow: var(--shadow);
+            padding: 14px 16px;
+            font-size: 12.5px;
+            line-height: 1.5;
+        }
+
+        .panel h2 {
+            font-size: 13px;
+            font-weight: 600;
+            margin-bottom: 8px;
+        }
+
+        .panel .hint {
+            font-size: 11.5px;
+            color: var(--text-muted);
+            margin-bottom: 8px;
+        }
+
+        .description {
+            white-space: pre-wrap;
+        }
+
+        table {
+            width: 100%;
+            border-collapse: collapse;
+        }
+
+        td {
+            padding: 4px 0;
+            vertical-align: top;
+            border-top: 1px solid var(--border);
+        }
+
+        td.key {
+            width: 35%;
+            color: var(--text-muted);
+            padding-right: 12px;
+        }
+
+        .include {
+            display: grid;
+            grid-template-columns: 72px 1fr auto;
+            gap: 8px;
+            align-items: center;
+            padding: 4px 0;
+            border-top: 1px solid var(--border);
+        }
+
+        .badge {
+            text-align: center;
+            padding: 1px 8px;
+            border-radius: 10px;
+            font-size: 11px;
+            font-weight: 600;
+            color: #ffffff;
+        }
+
+        .badge.present { background: var(--present); }
+        .badge.missing { background: var(--missing); }
+
+        .muted {
+            color: var(--text-muted);
+            font-size: 11.5px;
+        }
+
+        .bar-row {
+            display: grid;
+            grid-template-columns: minmax(90px, 35%) 1fr 40px;
+            gap: 8px;
+            align-items: center;
+            padding: 3px 0;
+        }
+
+        .bar-row a {
+            color: var(--primary);
+            text-decoration: none;
+            cursor: pointer;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+
+        .bar-row a:hover {
+            text-decoration: underline;
+        }
+
+        .bar {
+            height: 10px;
+            border-radius: 5px;
+            background: var(--primary-light);
+            overflow: hidden;
+        }
+
+        .bar span {
+            display: block;
+            height: 100%;
+            background: var(--primary);
+        }
+
+        .bar-row .count {
+            text-align: right;
+            font-variant-numeric: tabular-nums;
+        }
+
+        .links {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+        }
+
+        .links button {
+            background: var(--surface);
+            border: 1px solid var(--border);
+            border-radius: 6px;
+            padding: 6px 10px;
+            font-family: inherit;
+            font-size: 12px;
+            color: var(--primary);
+            cursor: pointer;
+        }
+
+        .links button:hover {
+            background: var(--primary-light);
+        }
+
+        .empty {
+            color: var(--text-muted);
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <div>
+            <h1 id="title">Project Overview</h1>
+            <p id="subtitle">Loading…</p>
+        </div>
+        <button class="refresh" id="refresh">Refresh</button>
+    </div>
+
+    <div class="content">
+        <div class="cards" id="cards"></div>
+
+        <div class="grid">
+            <div class="panel">
+                <h2>Description</h2>
+                <div class="description" id="description"></div>
+            </div>
+            <div class="panel">
+                <h2>Metadata</h2>
+                <div id="metadata"></div>
+            </div>
+        </div>
+
+        <div class="panel">
+            <h2>Includes</h2>
+            <div id="includes"></div>
+        </div>
+
+        <div class="grid">
+            <div class="panel">
+                <h2>Top codes</h2>
+                <div class="hint">Occurrences per code. Click a code to reveal it in the Codes explorer.</div>
+                <div id="topCodes"></div>
+            </div>
+            <div class="panel">
+                <h2>Items per source</h2>
+                <div class="hint" id="distribution"></div>
+                <div id="sources"></div>
+            </div>
+        </div>
+
+        <div class="panel">
+            <h2>Explorers</h2>
+            <div class="links">
+                <button data-view="references">References</button>
+                <button data-view="codes">Codes</button>
+                <button data-view="relations">Relations</button>
+                <button data-view="ontology">Ontology Topics</button>
+                <button data-view="annotations">Ontology (Annotations)</button>
+            </div>
+        </div>
+    </div>
+
+    <script nonce="${nonce}">
+        const vscodeApi = acquireVsCodeApi();
+        const MAX_SOURCES = 25;
+        let data = null;
+
+        function escapeText(value) {
+            const div = document.createElement('div');
+            div.textContent = value;
+            return div.innerHTML;
+        }
+
+        function formatNumber(value) {
+            return Number.isInteger(value) ? String(value) : value.toFixed(1);
+        }
+
+        function renderCards() {
+            const counts = data.counts;
+            const cards = [
+                { view: 'references', value: counts.sources, label: 'sources (' + counts.references + ' references)' },
+                { view: 'references', value: counts.items, label: 'items' },
+                { view: 'codes', value: counts.codes, label: 'codes' },
+                { view: 'relations', value: counts.triplets, label: 'relations (' + counts.relations + ' types)' },
+                { view: 'ontology', value: counts.concepts, label: 'ontology concepts' }
+            ];
+            document.getElementById('cards').innerHTML = cards.map(card =>
+                '<button class="card" data-view="' + card.view + '">' +
+                    '<div class="value">' + card.value + '</div>' +
+                    '<div class="label">' + escapeText(card.label) + '</div>' +
+                '</button>'
+            ).join('');
+        }
+
+        function renderProject() {
+            document.getElementById('title').textContent = data.project.name;
+            document.getElementById('subtitle').textContent = data.project.label +
+                (data.template ? ' · template ' + data.template.label + (data.template.exists ? '' : ' (missing)') : '');
+
+            const description = document.getElementById('description');
+            description.textContent = data.project.description || 'No DESCRIPTION in the project file.';
+            description.classList.toggle('empty', !data.project.description);
+
+            document.getElementById('metadata').innerHTML = data.project.metadata.length === 0
+                ? '<div class="empty">No METADATA block in the project file.</div>'
+                : '<table>' + data.project.metadata.map(([key, value]) =>
+                    '<tr><td class="key">' + escapeText(key) + '</td><td>' + escapeText(String(value)) + '</td></tr>'
+                ).join('') + '</table>';
+        }
+
+        function renderIncludes() {
+            if (data.includes.length === 0) {
+                document.getElementById('includes').innerHTML = '<div class="empty">No INCLUDE statements in the project file.</div>';
+                return;
+            }
+
+            document.getElementById('includes').innerHTML = data.includes.map(include => {
+                let detail = include.type;
+                if (include.kind === 'directory') {
+                    detail += ' · folder, ' + include.matches + ' entries';
+                } else if (include.kind === 'glob') {
+                    detail += ' · pattern, ' + include.matches + ' matches';
+                }
+                const status = include.exists ? 'present' : 'missing';
+                return '<div class="include">' +
+                    '<span class="badge ' + status + '">' + (include.exists ? 'Present' : 'Missing') + '</span>' +
+                    '<span>' + escapeText(include.label) + '</span>' +
+                    '<span class="muted">' + escapeText(detail) + '</span>' +
+                '</div>';
+            }).join('');
+        }
+
+        function renderBars(containerId, rows, emptyText) {
+            const container = document.getElementById(containerId);
+            if (rows.length === 0) {
+                container.innerHTML = '<div class="empty">' + emptyText + '</div>';
+                return;
+            }
+
+            const max = Math.max(1, ...rows.map(row => row.value));
+            container.innerHTML = rows.map((row, index) =>
+                '<div class="bar-row">' +
+                    '<a data-index="' + index + '" title="' + escapeText(row.title) + '">' + escapeText(row.label) + '</a>' +
+                    '<div class="bar"><span style="width:' + (row.value / max * 100).toFixed(1) + '%"></span></div>' +
+                    '<span class="count">' + row.value + '</span>' +
+                '</div>'
+            ).join('');
+        }
+
+        function renderCharts() {
+            renderBars('topCodes', data.topCodes.map(code => ({
+                label: code.code,
+                title: code.ontologyDefined ? code.code + ' (defined in ONTOLOGY)' : code.code,
+                value: code.usageCount
+            })), 'No codes in this project.');
+
+            const dist = data.distribution;
+            document.getElementById('distribution').textContent = data.sources.length === 0
+                ? ''
+                : 'Min ' + dist.min + ' · median ' + formatNumber(dist.median) + ' · mean ' + formatNumber(dist.mean) +
+                  ' · max ' + dist.max + (dist.withoutItems ? ' · ' + dist.withoutItems + ' without items' : '') +
+                  (data.sources.length > MAX_SOURCES ? ' · showing top ' + MAX_SOURCES + ' of ' + data.sources.length : '');
+
+            renderBars('sources', data.sources.slice(0, MAX_SOURCES).map(source => ({
+                label: source.bibref,
+                title: source.label ? source.label + ':' + (source.line + 1) : source.bibref,
+                value: source.itemCount
+            })), 'No SOURCE blocks in this project.');
+        }
+
+        document.body.addEventListener('click', event => {
+            const viewButton = event.target.closest('[data-view]');
+            if (viewButton) {
+                vscodeApi.postMessage({ type: 'focusView', view: viewButton.dataset.view });
+                return;
+            }
+
+            const link = event.target.closest('a[data-index]');
+            if (!link || !data) {
+                return;
+            }
+            const index = Number(link.dataset.index);
+            if (link.closest('#topCodes')) {
+                vscodeApi.postMessage({ type: 'revealCode', code: data.topCodes[index].code });
+            } else {
+                const source = data.sources[index];
+                if (source.file) {
+                    vscodeApi.postMessage({ type: 'openLocation', file: source.file, line: source.line, column: 0 });
+                }
+            }
+        });
+
+        document.getElementById('refresh').addEventListener('click', () => {
+            document.getElementById('subtitle').textContent = 'Refreshing…';
+            vscodeApi.postMessage({ type: 'refresh' });
+        });
+
+        window.addEventListener('message', event => {
+            const message = event.data;
+            if (!message || message.type !== 'overview') {
+                return;
+            }
+            data = message;
+            renderProject();
+            renderCards();
+            renderIncludes();
+            renderCharts();
+        });
+
+        vscodeApi.postMessage({ type: 'ready' });
+    </script>
+</body>
+</html>`;
+    }
+}
+
+module.exports = ProjectOverviewViewer;
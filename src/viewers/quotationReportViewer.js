@@ -0,0 +1,509 @@
+/**
+ * quotationReportViewer.js - Relatorio de verificacao de QUOTATIONs
+ *
+ * Proposito:
+ *     Executa quotationVerifier sobre o projeto, publica entradas no painel
+ *     Problems e exibe um relatorio (exact, fuzzy, not-found) com similaridade
+ *     e o trecho mais proximo encontrado no texto fonte.
+ *
+ * Componentes principais:
+ *     - show: Verifica o projeto, atualiza diagnosticos e abre o painel
+ *     - _publishDiagnostics: fuzzy -> Information, not-found -> Warning
+ *     - clear: Remove diagnosticos de um arquivo editado (ranges obsoletos)
+ *
+ * Dependencias criticas:
+ *     - quotationVerifier: classificacao dos trechos
+ *     - webviewUtils: CSP com nonce e fontes empacotadas
+ *
+ * Notas de implementacao:
+ *     - Resultados 'no-source' aparecem apenas no relatorio
+ *     - Threshold configuravel em synesisExplorer.verifyQuotations.threshold
+ */
+
+const vscode = require('vscode');
+const quotationVerifier = require('../core/quotationVerifier');
+const {
+    getNonce,
+    getMediaRoot,
+    buildContentSecurityPolicy,
+    buildFontFaceCss
+} = require('../utils/webviewUtils');
+
+const DIAGNOSTIC_SOURCE = 'synesis-explorer';
+
+class QuotationReportViewer {
+    constructor(workspaceScanner, templateManager, extensionUri) {
+        this.scanner = workspaceScanner;
+        this.templateManager = templateManager;
+        this.extensionUri = extensionUri;
+        this.collection = vscode.languages.createDiagnosticCollection('synesis-quotations');
+        this.panel = null;
+        this.report = null;
+        this.threshold = 0.85;
+    }
+
+    async show() {
+        const projectUri = await this.scanner.findProjectFile();
+        if (!projectUri) {
+            vscode.window.showWarningMessage('No project file found. Create a .synp to verify quotations.');
+            return;
+        }
+
+        this.threshold = vscode.workspace.getConfiguration('synesisExplorer').get('verifyQuotations.threshold', 0.85);
+
+        let report;
+        try {
+            report = await vscode.window.withProgress(
+                {
+                    location: vscode.ProgressLocation.Notification,
+                    title: 'Synesis: Verifying quotations'
+                },
+                () => quotationVerifier.verifyProject(this.scanner, this.templateManager, projectUri, {
+                    threshold: this.threshold
+                })
+            );
+        } catch (error) {
+            console.error('QuotationReportViewer: Verification failed:', error);
+            vscode.window.showErrorMessage(`Failed to verify quotations: ${error.message}`);
+            return;
+        }
+
+        if (report.quotationFields.length === 0) {
+            vscode.window.showWarningMessage('The project template defines no QUOTATION field.');
+            return;
+        }
+
+        this.report = report;
+        this._publishDiagnostics(report.results);
+
+        if (this.panel) {
+            this.panel.reveal(vscode.ViewColumn.Beside);
+            this._postReport();
+            return;
+        }
+
+        this.panel = vscode.window.createWebviewPanel(
+            'synesisQuotationReport',
+            'Quotation Verification',
+            vscode.ViewColumn.Beside,
+            {
+                enableScripts: true,
+                retainContextWhenHidden: true,
+                localResourceRoots: [getMediaRoot(this.extensionUri)]
+            }
+        );
+
+        this.panel.webview.onDidReceiveMessage(message => this._handleMessage(message));
+        this.panel.onDidDispose(() => {
+            this.panel = null;
+        });
+
+        this.panel.webview.html = this.getWebviewContent(this.panel.webview);
+    }
+
+    /**
+     * @param {vscode.Uri} uri
+     */
+    clear(uri) {
+        this.collection.delete(uri);
+    }
+
+    _publishDiagnostics(results) {
+        const byFile = new Map();
+
+        for (const result of results) {
+            if (result.status !== 'fuzzy' && result.status !== 'not-found') {
+                continue;
+            }
+
+            const range = new vscode.Range(result.line, result.column, result.endLine, result.endColumn);
+            const percent = formatPercent(result.similarity);
+            const where = result.segment ? `${result.source}, ${result.segment}` : result.source;
+            const message = result.status === 'fuzzy'
+                ? `Quotation differs from the ${where} of ${result.bibref} (similarity ${percent}). Source reads: "${result.candidate}"`
+                : `Quotation not found in the ${result.searched} of ${result.bibref} (best similarity ${percent}).`;
+            const diagnostic = new vscode.Diagnostic(
+                range,
+                message,
+                result.status === 'fuzzy' ? vscode.DiagnosticSeverity.Information : vscode.DiagnosticSeverity.Warning
+            );
+            diagnostic.source = DIAGNOSTIC_SOURCE;
+            diagnostic.code = result.status === 'fuzzy' ? 'quotation-fuzzy' : 'quotation-not-found';
+
+            if (!byFile.has(result.file)) {
+                byFile.set(result.file, []);
+            }
+            byFile.get(result.file).push(diagnostic);
+        }
+
+        this.collection.clear();
+        for (const [file, diagnostics] of byFile) {
+            this.collection.set(vscode.Uri.file(file), diagnostics);
+        }
+    }
+
+    _handleMessage(message) {
+        if (!message || typeof message !== 'object') {
+            return;
+        }
+
+        if (message.type === 'ready') {
+            this._postReport();
+        } else if (message.type === 'rerun') {
+            this.show();
+        } else if (message.type === 'openLocation' && message.file) {
+            vscode.commands.executeCommand('synesis.openLocation', message.file, message.line || 0, message.column || 0);
+        }
+    }
+
+    _postReport() {
+        if (!this.panel || !this.report) {
+            return;
+        }
+
+        this.panel.webview.postMessage({
+            type: 'report',
+            threshold: this.threshold,
+            counts: this.report.counts,
+            results: this.report.results.map(result => ({
+                ...result,
+                label: vscode.workspace.asRelativePath(result.file)
+            }))
+        });
+    }
+
+    dispose() {
+        this.collection.dispose();
+        if (this.panel) {
+            this.panel.dispose();
+        }
+    }
+
+    getWebviewContent(webview) {
+        const nonce = getNonce();
+
+        return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="${buildContentSecurityPolicy(webview, nonce)}">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Quotation Verification</title>
+    <style>
+        ${buildFontFaceCss(webview, this.extensionUri)}
+
+        :root {
+            --bg: #f8fafc;
+            --surface: #ffffff;
+            --border: #e2e8f0;
+            --primary: #3b82f6;
+            --primary-light: #dbeafe;
+            --text: #0f172a;
+            --text-muted: #64748b;
+            --exact: #16a34a;
+            --fuzzy: #d97706;
+            --missing: #dc2626;
+            --none: #64748b;
+            --radius: 12px;
+            --shadow: 0 4px 12px rgba(0,0,0,0.08);
+        }
+
+        * {
+            box-sizing: border-box;
+            margin: 0;
+            padding: 0;
+        }
+
+        body {
+            font-family: 'Inter', system-ui, sans-serif;
+            background: var(--bg);
+            color: var(--text);
+            height: 100vh;
+            display: flex;
+            flex-direction: column;
+            overflow: hidden;
+        }
+
+        .header {
+            padding: 12px 24px;
+            background: var(--surface);
+            border-bottom: 1px solid var(--border);
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 16px;
+            flex-shrink: 0;
+        }
+
+        .header h1 {
+            font-size: 16px;
+            font-weight: 700;
+        }
+
+        .header p {
+            margin-top: 2px;
+            font-size: 12px;
+            color: var(--text-muted);
+        }
+
+        .controls {
+            display: flex;
+            gap: 8px;
+            align-items: center;
+        }
+
+        .segmented {
+            display: flex;
+            border: 1px solid var(--border);
+            border-radius: 6px;
+            overflow: hidden;
+        }
+
+        .segmented button, .rerun {
+            background: var(--surface);
+            border: none;
+            padding: 6px 10px;
+            font-family: inherit;
+            font-size: 12px;
+            font-weight: 500;
+            color: var(--text);
+            cursor: pointer;
+        }
+
+        .segmented button + button {
+            border-left: 1px solid var(--border);
+        }
+
+        .segmented button.active {
+            background: var(--primary-light);
+            color: var(--primary);
+        }
+
+        .rerun {
+            border: 1px solid var(--border);
+            border-radius: 6px;
+        }
+
+        .rerun:hover {
+            background: var(--primary-light);
+        }
+
+        .content {
+            flex: 1;
+            overflow: auto;
+            padding: 16px;
+        }
+
+        .results {
+            background: var(--surface);
+            border-radius: var(--radius);
+            box-shadow: var(--shadow);
+            overflow: hidden;
+        }
+
+        .result {
+            display: grid;
+            grid-template-columns: 96px 64px 1fr;
+            gap: 12px;
+            padding: 12px 16px;
+            font-size: 12.5px;
+            line-height: 1.5;
+        }
+
+        .result + .result {
+            border-top: 1px solid var(--border);
+        }
+
+        .badge {
+            align-self: start;
+            text-align: center;
+            padding: 2px 8px;
+            border-radius: 10px;
+            font-size: 11px;
+            font-weight: 600;
+            color: #ffffff;
+        }
+
+        .badge.exact { background: var(--exact); }
+        .badge.fuzzy { background: var(--fuzzy); }
+        .badge.not-found { background: var(--missing); }
+        .badge.no-source { background: var(--none); }
+
+        .score {
+            font-weight: 600;
+            font-variant-numeric: tabular-nums;
+            text-align: right;
+        }
+
+        .meta {
+            color: var(--text-muted);
+            font-size: 11.5px;
+        }
+
+        .meta a {
+            color: var(--primary);
+            text-decoration: none;
+            cursor: pointer;
+        }
+
+        .meta a:hover {
+            text-decoration: underline;
+        }
+
+        .quote {
+            margin-top: 4px;
+        }
+
+        .candidate {
+            margin-top: 6px;
+            padding-left: 10px;
+            border-left: 3px solid var(--border);
+            color: var(--text-muted);
+        }
+
+        .empty {
+            padding: 24px;
+            text-align: center;
+            color: var(--text-muted);
+            font-size: 13px;
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <div>
+            <h1>Quotation Verification</h1>
+            <p id="summary">Loading…</p>
+        </div>
+        <div class="controls">
+            <div class="segmented" id="statusFilter">
+                <button data-value="all" class="active">All</button>
+                <button data-value="not-found">Not found</button>
+                <button data-value="fuzzy">Fuzzy</button>
+                <button data-value="exact">Exact</button>
+                <button data-value="no-source">No source</button>
+            </div>
+            <button class="rerun" id="rerun">Re-run</button>
+        </div>
+    </div>
+
+    <div class="content">
+        <div class="results" id="results"></div>
+    </div>
+
+    <script nonce="${nonce}">
+        const vscodeApi = acquireVsCodeApi();
+        const STATUS_LABELS = { exact: 'Exact', fuzzy: 'Fuzzy', 'not-found': 'Not found', 'no-source': 'No source' };
+        const STATUS_ORDER = { 'not-found': 0, fuzzy: 1, 'no-source': 2, exact: 3 };
+        let data = null;
+        let filter = 'all';
+
+        function escapeText(value) {
+            const div = document.createElement('div');
+            div.textContent = value;
+            return div.innerHTML;
+        }
+
+        function formatPercent(value) {
+            return (value * 100).toFixed(1) + '%';
+        }
+
+        function render() {
+            if (!data) {
+                return;
+            }
+
+            const rows = data.results
+                .map((result, index) => ({ result, index }))
+                .filter(({ result }) => filter === 'all' || result.status === filter)
+                .sort((a, b) =>
+                    STATUS_ORDER[a.result.status] - STATUS_ORDER[b.result.status] ||
+                    a.result.similarity - b.result.similarity
+                );
+
+            if (rows.length === 0) {
+                document.getElementById('results').innerHTML = '<div class="empty">No quotations in this category.</div>';
+                return;
+            }
+
+            document.getElementById('results').innerHTML = rows.map(({ result, index }) => {
+                const where = result.status === 'no-source'
+                    ? result.reason
+                    : result.source + (result.segment ? ' · ' + result.segment : '');
+                const candidate = result.candidate
+                    ? '<div class="candidate">Source reads: ' + escapeText(result.candidate) + '</div>'
+                    : '';
+                return '<div class="result">' +
+                    '<span class="badge ' + result.status + '">' + STATUS_LABELS[result.status] + '</span>' +
+                    '<span class="score">' + (result.status === 'no-source' ? '—' : formatPercent(result.similarity)) + '</span>' +
+                    '<div>' +
+                        '<div class="meta"><strong>' + escapeText(result.bibref) + '</strong> · ' +
+                        escapeText(result.field) + ' · ' + escapeText(where) + ' · ' +
+                        '<a data-index="' + index + '">' + escapeText(result.label) + ':' + (result.line + 1) + '</a></div>' +
+                        '<div class="quote">' + escapeText(result.excerpt) + '</div>' +
+                        candidate +
+                    '</div>' +
+                '</div>';
+            }).join('');
+        }
+
+        function updateSummary() {
+            const counts = data.counts;
+            document.getElementById('summary').textContent =
+                data.results.length + ' quotations · ' +
+                counts.exact + ' exact · ' + counts.fuzzy + ' fuzzy · ' +
+                counts['not-found'] + ' not found · ' + counts['no-source'] + ' without source text' +
+                ' (fuzzy threshold ' + formatPercent(data.threshold) + ')';
+
+            document.querySelectorAll('#statusFilter button').forEach(button => {
+                const value = button.dataset.value;
+                const count = value === 'all' ? data.results.length : counts[value];
+                button.textContent = (value === 'all' ? 'All' : STATUS_LABELS[value]) + ' (' + count + ')';
+            });
+        }
+
+        document.querySelectorAll('#statusFilter button').forEach(button => {
+            button.addEventListener('click', () => {
+                document.querySelectorAll('#statusFilter button').forEach(other => other.classList.remove('active'));
+                button.classList.add('active');
+                filter = button.dataset.value;
+                render();
+            });
+        });
+
+        document.getElementById('rerun').addEventListener('click', () => {
+            document.getElementById('summary').textContent = 'Verifying…';
+            vscodeApi.postMessage({ type: 'rerun' });
+        });
+
+        document.getElementById('results').addEventListener('click', event => {
+            const link = event.target.closest('a[data-index]');
+            if (!link) {
+                return;
+            }
+            const result = data.results[Number(link.dataset.index)];
+            vscodeApi.postMessage({ type: 'openLocation', file: result.file, line: result.line, column: result.column });
+        });
+
+        window.addEventListener('message', event => {
+            const message = event.data;
+            if (!message || message.type !== 'report') {
+                return;
+            }
+            data = message;
+            updateSummary();
+            render();
+        });
+
+        vscodeApi.postMessage({ type: 'ready' });
+    </script>
+</body>
+</html>`;
+    }
+}
+
+function formatPercent(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+module.exports = QuotationReportViewer;